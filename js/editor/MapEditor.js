@@ -3,6 +3,7 @@
  */
 
 import { MapManager } from '../utils/MapManager.js';
+import { MAX_TEAMS, TEAM_PRESETS } from '../entities/Team.js';
 
 export class MapEditor {
     constructor(canvas) {
@@ -29,7 +30,7 @@ export class MapEditor {
         };
 
         // Tools
-        this.currentTool = 'draw'; // draw, erase, rect, ellipse
+        this.currentTool = 'draw'; // draw, erase, rect, ellipse, spawn
         this.brushSize = 50;
         this.brushHardness = 1.0; // 1.0 = hard edge, 0.0 = soft
         this.terrainColor = '#8B4513'; // Dirt brown
@@ -55,11 +56,9 @@ export class MapEditor {
         this.placedObjects = [];
         this.selectedObject = null;
 
-        // Spawns
-        this.spawns = {
-            team1: [],
-            team2: []
-        };
+        // Spawns - one list per team slot
+        this.spawns = this.createEmptySpawns();
+        this.spawnTeam = 0; // Team the spawn tool places markers for
 
         // Undo history
         this.history = [];
@@ -212,15 +211,11 @@ export class MapEditor {
 
             if (this.currentTool === 'rect' || this.currentTool === 'ellipse') {
                 this.shapeStart = { x: this.mouse.x, y: this.mouse.y };
-            } else if (this.currentTool === 'spawn1') {
-                const spawnPoint = { x: Math.round(this.mouse.x), y: Math.round(this.mouse.y) };
-                this.spawns.team1.push(spawnPoint);
-                console.log('📍 Team 1 Spawn placed:', spawnPoint, 'Total:', this.spawns.team1.length);
-                this.saveToHistory();
-            } else if (this.currentTool === 'spawn2') {
+            } else if (this.currentTool === 'spawn') {
                 const spawnPoint = { x: Math.round(this.mouse.x), y: Math.round(this.mouse.y) };
-                this.spawns.team2.push(spawnPoint);
-                console.log('📍 Team 2 Spawn placed:', spawnPoint, 'Total:', this.spawns.team2.length);
+                const team = this.spawns[this.spawnTeam];
+                team.push(spawnPoint);
+                console.log(`📍 Team ${this.spawnTeam + 1} Spawn placed:`, spawnPoint, 'Total:', team.length);
                 this.saveToHistory();
             } else {
                 // For brush tools, apply immediately
@@ -228,8 +223,8 @@ export class MapEditor {
             }
         } else if (e.button === 2) { // Right click
             // If spawn tool is active, remove nearby spawn
-            if (this.currentTool === 'spawn1' || this.currentTool === 'spawn2') {
-                const team = this.currentTool === 'spawn1' ? this.spawns.team1 : this.spawns.team2;
+            if (this.currentTool === 'spawn') {
+                const team = this.spawns[this.spawnTeam];
                 const index = team.findIndex(s => Math.hypot(s.x - this.mouse.x, s.y - this.mouse.y) < 20);
                 if (index !== -1) {
                     team.splice(index, 1);
@@ -254,8 +249,7 @@ export class MapEditor {
             { id: 'erase', y: 120 },
             { id: 'rect', y: 145 },
             { id: 'ellipse', y: 170 },
-            { id: 'spawn1', y: 195 },
-            { id: 'spawn2', y: 220 }
+            { id: 'spawn', y: 195 }
         ];
 
         for (const tool of tools) {
@@ -266,6 +260,17 @@ export class MapEditor {
             }
         }
 
+        // Spawn team swatches (row under the spawn tool)
+        if (screenY >= 208 && screenY <= 230) {
+            for (let i = 0; i < MAX_TEAMS; i++) {
+                const x = 15 + i * 29;
+                if (screenX >= x && screenX <= x + 24) {
+                    this.setSpawnTeam(i);
+                    return true;
+                }
+            }
+        }
+
         // Terrain type buttons (2x2 grid starting at y=400)
         const terrainTypes = ['dirt', 'rock', 'grass', 'sand'];
         for (let i = 0; i < terrainTypes.length; i++) {
@@ -341,8 +346,8 @@ export class MapEditor {
         if (e.key === '2' || e.key === 'e') this.setTool('erase');
         if (e.key === '3' || e.key === 'r') this.setTool('rect');
         if (e.key === '4' || e.key === 'c') this.setTool('ellipse');
-        if (e.key === '5') this.setTool('spawn1');
-        if (e.key === '6') this.setTool('spawn2');
+        if (e.key === '5') this.setTool('spawn');
+        if (e.key === '6') this.setSpawnTeam((this.spawnTeam + 1) % MAX_TEAMS);
 
         // Brush size
         if (e.key === '[') this.setBrushSize(Math.max(10, this.brushSize - 10));
@@ -517,6 +522,21 @@ export class MapEditor {
         this.updateToolbarUI();
     }
 
+    /**
+     * Select which team the spawn tool places markers for (also picks the tool)
+     */
+    setSpawnTeam(teamIndex) {
+        this.spawnTeam = teamIndex;
+        this.setTool('spawn');
+    }
+
+    /**
+     * One empty spawn list per team slot
+     */
+    createEmptySpawns() {
+        return Array.from({ length: MAX_TEAMS }, () => []);
+    }
+
     /**
      * Set brush size
      */
@@ -819,29 +839,22 @@ export class MapEditor {
     drawSpawns() {
         const ctx = this.ctx;
 
-        // Team 1 spawns (red)
-        for (const spawn of this.spawns.team1) {
-            ctx.fillStyle = 'rgba(231, 76, 60, 0.7)';
-            ctx.beginPath();
-            ctx.arc(spawn.x, spawn.y, 15, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('1', spawn.x, spawn.y + 4);
-        }
-
-        // Team 2 spawns (blue)
-        for (const spawn of this.spawns.team2) {
-            ctx.fillStyle = 'rgba(52, 152, 219, 0.7)';
-            ctx.beginPath();
-            ctx.arc(spawn.x, spawn.y, 15, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('2', spawn.x, spawn.y + 4);
-        }
+        // Each team's markers in its default color, numbered by team
+        this.spawns.forEach((team, teamIndex) => {
+            for (const spawn of team) {
+                ctx.globalAlpha = 0.7;
+                ctx.fillStyle = TEAM_PRESETS[teamIndex].color;
+                ctx.beginPath();
+                ctx.arc(spawn.x, spawn.y, 15, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.fillStyle = '#fff';
+                ctx.font = 'bold 12px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(String(teamIndex + 1), spawn.x, spawn.y + 4);
+            }
+        });
+        ctx.textAlign = 'left';
     }
 
     /**
@@ -934,8 +947,7 @@ export class MapEditor {
             { id: 'erase', label: '🧹 Erase (2)', y: 120 },
             { id: 'rect', label: '▭ Rectangle (3)', y: 145 },
             { id: 'ellipse', label: '⬭ Ellipse (4)', y: 170 },
-            { id: 'spawn1', label: '🚩 Team 1 Spawn', y: 195 },
-            { id: 'spawn2', label: '🚩 Team 2 Spawn', y: 220 }
+            { id: 'spawn', label: `🚩 Team ${this.spawnTeam + 1} Spawn (5)`, y: 195 }
         ];
 
         tools.forEach(tool => {
@@ -946,6 +958,21 @@ export class MapEditor {
             ctx.fillText(tool.label, 25, tool.y);
         });
 
+        // Spawn team swatches (6 cycles through them)
+        for (let i = 0; i < MAX_TEAMS; i++) {
+            const x = 15 + i * 29;
+            ctx.fillStyle = TEAM_PRESETS[i].color;
+            ctx.fillRect(x, 208, 24, 22);
+            if (this.spawnTeam === i) {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x, 208, 24, 22);
+            }
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 11px Outfit';
+            ctx.fillText(String(i + 1), x + 8, 223);
+        }
+
         // Brush size
         ctx.fillStyle = '#fff';
         ctx.font = 'bold 14px Outfit';
@@ -1049,15 +1076,16 @@ export class MapEditor {
      * Export map data as JSON
      */
     exportMap(name = 'Untitled Map') {
-        // Deep copy spawns to avoid reference issues
-        const spawnsCopy = {
-            team1: this.spawns.team1.map(s => ({ x: s.x, y: s.y })),
-            team2: this.spawns.team2.map(s => ({ x: s.x, y: s.y }))
-        };
+        // Deep copy spawns to avoid reference issues (drop unused trailing teams)
+        const spawnsCopy = this.spawns.map(team => team.map(s => ({ x: s.x, y: s.y })));
+        while (spawnsCopy.length > 0 && spawnsCopy[spawnsCopy.length - 1].length === 0) {
+            spawnsCopy.pop();
+        }
 
         console.log('📦 Exporting map:', name);
-        console.log('   Team 1 spawns:', JSON.stringify(spawnsCopy.team1));
-        console.log('   Team 2 spawns:', JSON.stringify(spawnsCopy.team2));
+        spawnsCopy.forEach((team, i) => {
+            console.log(`   Team ${i + 1} spawns:`, JSON.stringify(team));
+        });
 
         // Recalculate map bounds before export to ensure accuracy
         this.calculateMapBounds();
@@ -1065,7 +1093,7 @@ export class MapEditor {
 
         return {
             name: name,
-            version: 2, // Bumped version for new bounds feature
+            version: 3, // Per-team spawn lists (v2 added map bounds)
             width: this.worldWidth,
             height: this.worldHeight,
             backgroundColor: this.backgroundColor,
@@ -1086,7 +1114,10 @@ export class MapEditor {
                 this.terrainCtx.clearRect(0, 0, this.worldWidth, this.worldHeight);
                 this.terrainCtx.drawImage(img, 0, 0);
                 this.placedObjects = mapData.objects || [];
-                this.spawns = mapData.spawns || { team1: [], team2: [] };
+                this.spawns = this.createEmptySpawns();
+                MapManager.normalizeSpawns(mapData.spawns).slice(0, MAX_TEAMS).forEach((team, i) => {
+                    this.spawns[i] = team.map(s => ({ x: s.x, y: s.y }));
+                });
                 this.backgroundColor = mapData.backgroundColor || '#1a1a2e';
                 this.saveToHistory();
                 resolve();
@@ -1126,7 +1157,7 @@ export class MapEditor {
 
             // Reset state
             this.placedObjects = [];
-            this.spawns = { team1: [], team2: [] };
+            this.spawns = this.createEmptySpawns();
             this.saveToHistory();
 
             console.log('🖼️ Image imported (Full Fill):', img.width, 'x', img.height, '→', this.worldWidth, 'x', this.worldHeight);
@@ -0,0 +1,546 @@
+/**
+ * AI Controller - Plays a CPU team's turns in practice mode
+ * Plans each shot by simulating trajectories (gravity, wind, bounces) against the
+ * terrain, then drives the same InputManager / fireWeapon paths a player uses:
+ * virtual mouse aiming, charging the power bar, and walking keys for the retreat.
+ * Its turns are therefore recorded and replayed like anyone else's.
+ */
+
+import { AI_LEVELS } from '../entities/Team.js';
+
+/**
+ * Per-difficulty tuning
+ * angleSteps/powerStride set the search resolution, aimError/powerError the
+ * random spread added to the chosen shot
+ */
+export const AI_DIFFICULTY = {
+    easy: {
+        thinkTime: 2.0,
+        angleSteps: 24,
+        powerStride: 6,
+        refine: false,
+        aimError: 0.08,
+        powerError: 0.08,
+        preferWeak: false,
+        smartWeapons: false,
+        retreatTime: 1.0
+    },
+    normal: {
+        thinkTime: 1.2,
+        angleSteps: 36,
+        powerStride: 4,
+        refine: false,
+        aimError: 0.025,
+        powerError: 0.025,
+        preferWeak: true,
+        smartWeapons: true,
+        retreatTime: 2.0
+    },
+    hard: {
+        thinkTime: 0.8,
+        angleSteps: 48,
+        powerStride: 3,
+        refine: true,
+        aimError: 0,
+        powerError: 0,
+        preferWeak: true,
+        smartWeapons: true,
+        retreatTime: 3.0
+    }
+};
+
+// Aim search covers the upper half circle plus a little below horizontal
+const MIN_ANGLE = -Math.PI - 0.35;
+const MAX_ANGLE = 0.35;
+
+const MAX_FLIGHT_TIME = 8; // Seconds before a simulated shot counts as lost
+const MAX_FUSE = 5;
+
+const FRIENDLY_FIRE_PENALTY = 1.5;
+const KILL_BONUS = 25;
+const MISS_WEIGHT = 0.05; // Score lost per pixel between impact and target
+const STRANDED_MISS = 150; // Best shot lands this far away = go somewhere else
+const TELEPORT_DISTANCE = 250; // Preferred distance from the target after teleporting
+
+export class AIController {
+    constructor(game, teamIndex, difficulty = 'normal') {
+        this.game = game;
+        this.teamIndex = teamIndex;
+        this.difficulty = AI_LEVELS.includes(difficulty) ? difficulty : 'normal';
+        this.settings = AI_DIFFICULTY[this.difficulty];
+
+        this.turnNumber = 0;
+        this.plan = null;
+        this.thinkTimer = 0;
+        this.retreatTimer = 0;
+    }
+
+    /**
+     * Advance one step (called by Game.update while this team has the turn,
+     * before the step reads its input)
+     */
+    update(dt) {
+        const game = this.game;
+        const koala = game.getCurrentKoala();
+        if (!koala || !koala.isAlive) {
+            this.releaseKeys();
+            return;
+        }
+
+        if (this.turnNumber !== game.turnNumber) {
+            this.beginTurn();
+        }
+
+        switch (game.phase) {
+            case 'aiming':
+                this.updateAiming(koala, dt);
+                break;
+            case 'firing':
+                this.updateCharging();
+                break;
+            case 'retreat':
+                this.updateRetreat(koala, dt);
+                break;
+            default:
+                this.releaseKeys();
+        }
+    }
+
+    /**
+     * Reset per-turn state
+     */
+    beginTurn() {
+        this.turnNumber = this.game.turnNumber;
+        this.plan = null;
+        this.thinkTimer = this.settings.thinkTime;
+        this.retreatTimer = this.settings.retreatTime;
+        this.game.inputManager.keys = {};
+    }
+
+    /**
+     * Think, pick a weapon, swing the aim round and start charging
+     */
+    updateAiming(koala, dt) {
+        const game = this.game;
+        const input = game.inputManager;
+
+        // Wait for the koala to land before planning from its position
+        this.thinkTimer -= dt;
+        if (this.thinkTimer > 0 || !koala.onGround) return;
+
+        if (!this.plan) {
+            this.plan = this.planTurn(koala);
+            if (!this.plan) return;
+
+            console.log(`🤖 ${game.getCurrentTeam().name} (${this.difficulty}): ${this.plan.weaponId}`);
+
+            input.selectWeapon(this.plan.weaponId);
+            if (this.plan.timer) {
+                game.weaponManager.setTimer(this.plan.timer);
+            }
+        }
+
+        const weapon = game.weaponManager.currentWeapon;
+        if (!weapon || weapon.id !== this.plan.weaponId) return;
+
+        // Airstrike / teleport: "click" the target
+        if (weapon.targetted) {
+            game.fireTargettedWeapon(weapon, this.plan.targetX, this.plan.targetY);
+            return;
+        }
+
+        if (!this.turnAim(koala, this.plan.angle, dt)) return;
+
+        input.startCharging();
+    }
+
+    /**
+     * Move the virtual mouse round towards an angle (true once aimed)
+     */
+    turnAim(koala, angle, dt) {
+        const remaining = wrapAngle(angle - koala.aimAngle);
+        if (Math.abs(remaining) < 1e-6) return true;
+
+        // updateAimFromMouse ignores changes under 0.01 rad - back off and come in again
+        if (Math.abs(remaining) <= 0.01) {
+            this.pointMouse(koala, angle - Math.sign(remaining) * 0.05);
+            return false;
+        }
+
+        const maxTurn = this.game.inputManager.aimSpeed * dt;
+        this.pointMouse(koala, koala.aimAngle + Math.max(-maxTurn, Math.min(maxTurn, remaining)));
+        return false;
+    }
+
+    /**
+     * Place the mouse along an angle from the koala and aim through it
+     */
+    pointMouse(koala, angle) {
+        const input = this.game.inputManager;
+        input.mouse.x = koala.x + Math.cos(angle) * 100;
+        input.mouse.y = koala.y - 10 + Math.sin(angle) * 100;
+        input.updateAimFromMouse();
+    }
+
+    /**
+     * Let go of the charge once the power bar reaches the planned power
+     */
+    updateCharging() {
+        const input = this.game.inputManager;
+        const weaponManager = this.game.weaponManager;
+        if (!input.isCharging || !this.plan) return;
+
+        if (weaponManager.power >= this.plan.power * weaponManager.maxPower - 1e-6) {
+            input.releaseCharge();
+        }
+    }
+
+    /**
+     * Walk away from where the shot landed
+     */
+    updateRetreat(koala, dt) {
+        const input = this.game.inputManager;
+
+        this.retreatTimer -= dt;
+        if (this.retreatTimer <= 0 || !this.plan) {
+            this.releaseKeys();
+            return;
+        }
+
+        const direction = koala.x < this.plan.x ? -1 : 1;
+
+        // Don't walk off a ledge into the water
+        const game = this.game;
+        const groundAhead = game.terrain.getGroundBelow(koala.x + direction * 20, koala.y - 10);
+        if (groundAhead >= game.waterLevel) {
+            this.releaseKeys();
+            return;
+        }
+
+        input.keys['KeyA'] = direction < 0;
+        input.keys['KeyD'] = direction > 0;
+    }
+
+    /**
+     * Release every key the AI may be holding
+     */
+    releaseKeys() {
+        const keys = this.game.inputManager.keys;
+        keys['KeyA'] = false;
+        keys['KeyD'] = false;
+    }
+
+    /**
+     * Decide this turn's weapon and shot
+     */
+    planTurn(koala) {
+        const game = this.game;
+        const target = this.pickTarget(koala);
+        if (!target) return null;
+
+        const weapons = game.weaponManager.weapons;
+        const hasAmmo = id => weapons[id] && weapons[id].ammo > 0;
+        const { smartWeapons } = this.settings;
+
+        // Nothing overhead: call in the airstrike (unless it would land on us too)
+        if (smartWeapons && hasAmmo('airstrike') && this.isExposed(target) && !this.endangersTeam(koala, target.x, 110)) {
+            return { weaponId: 'airstrike', targetX: target.x, targetY: target.y, x: target.x, y: target.y };
+        }
+
+        // Behind cover: lob a grenade over it, otherwise the bazooka
+        const covered = !game.terrain.lineOfSight(koala.x, koala.y - 10, target.x, target.y);
+        let shot = null;
+        if (covered && hasAmmo('grenade')) {
+            shot = this.findShot(koala, target, weapons.grenade);
+        }
+        if (!shot || shot.miss > STRANDED_MISS) {
+            const bazookaShot = this.findShot(koala, target, weapons.bazooka);
+            if (!shot || (bazookaShot && bazookaShot.value > shot.value)) {
+                shot = bazookaShot;
+            }
+        }
+
+        // Stranded: no shot gets anywhere near - teleport closer instead
+        if (smartWeapons && hasAmmo('teleport') && (!shot || shot.miss > STRANDED_MISS)) {
+            const spot = this.findTeleportSpot(target);
+            if (spot) {
+                return { weaponId: 'teleport', targetX: spot.x, targetY: spot.y, x: spot.x, y: spot.y };
+            }
+        }
+
+        if (!shot) {
+            // Nothing reachable at all - lob one roughly towards the target
+            const angle = target.x < koala.x ? -Math.PI * 3 / 4 : -Math.PI / 4;
+            return { weaponId: 'bazooka', angle, power: 1, x: target.x, y: target.y };
+        }
+
+        // Human-ish inaccuracy (own seeded stream so runs stay reproducible)
+        const { aimError, powerError } = this.settings;
+        const random = game.aiRandom;
+        return {
+            ...shot,
+            angle: wrapAngle(shot.angle + (random() * 2 - 1) * aimError),
+            power: Math.max(0.2, Math.min(1, shot.power + (random() * 2 - 1) * powerError))
+        };
+    }
+
+    /**
+     * Choose which enemy koala to shoot at
+     */
+    pickTarget(koala) {
+        let best = null;
+        let bestScore = Infinity;
+
+        this.game.teams.forEach((team, index) => {
+            if (index === this.teamIndex) return;
+
+            for (const enemy of team.koalas) {
+                if (!enemy.isAlive) continue;
+
+                // Harder CPUs go for the kill on weakened koalas
+                const distance = Math.hypot(enemy.x - koala.x, enemy.y - koala.y);
+                const score = distance + (this.settings.preferWeak ? enemy.health * 4 : 0);
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = enemy;
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Is there open sky above the koala (for airstrike missiles)?
+     */
+    isExposed(target) {
+        return this.game.terrain.lineOfSight(target.x, 50, target.x, target.y - 20);
+    }
+
+    /**
+     * Would a blast centered on x catch one of our own koalas?
+     */
+    endangersTeam(koala, x, range) {
+        return koala.team.koalas.some(friend => friend.isAlive && Math.abs(friend.x - x) < range);
+    }
+
+    /**
+     * Search angle x power (and fuse) for the best shot at the target
+     */
+    findShot(koala, target, weapon) {
+        const weaponManager = this.game.weaponManager;
+        const { angleSteps, powerStride, refine } = this.settings;
+
+        // Power can only be released on a whole charge step
+        const chargeSteps = Math.round(weaponManager.maxPower / (weaponManager.chargeSpeed * this.game.fixedTimestep));
+        const minStep = Math.ceil(chargeSteps * 0.2);
+
+        let best = null;
+        const tryShot = (angle, step) => {
+            const power = step / chargeSteps;
+            for (const impact of this.simulateShot(koala, weapon, angle, power)) {
+                const shot = this.scoreImpact(koala, target, weapon, impact);
+                if (!best || shot.value > best.value) {
+                    best = { weaponId: weapon.id, angle, power, ...shot };
+                }
+            }
+        };
+
+        const angleStep = (MAX_ANGLE - MIN_ANGLE) / angleSteps;
+        for (let i = 0; i <= angleSteps; i++) {
+            for (let step = minStep; step <= chargeSteps; step += powerStride) {
+                tryShot(MIN_ANGLE + i * angleStep, step);
+            }
+        }
+
+        // Hard: search finely around the best coarse shot
+        if (refine && best) {
+            const coarse = best;
+            const coarseStep = Math.round(coarse.power * chargeSteps);
+            for (let i = -4; i <= 4; i++) {
+                for (let step = coarseStep - powerStride; step <= coarseStep + powerStride; step++) {
+                    if (step < minStep || step > chargeSteps) continue;
+                    tryShot(coarse.angle + i * angleStep / 4, step);
+                }
+            }
+        }
+
+        if (best) {
+            best.angle = wrapAngle(best.angle);
+        }
+        return best;
+    }
+
+    /**
+     * Fly a shot with the same integration and ray-cast collision as
+     * Game.updateProjectiles. Returns the possible explosion points
+     * ({ x, y, timer } - one per fuse for timed weapons, none if lost).
+     */
+    simulateShot(koala, weapon, angle, power) {
+        const game = this.game;
+        const terrain = game.terrain;
+        const dt = game.fixedTimestep;
+
+        const speed = weapon.speed * Math.max(0.2, power);
+        let x = koala.x + Math.cos(angle) * 30;
+        let y = (koala.y - 10) + Math.sin(angle) * 30;
+        let vx = Math.cos(angle) * speed;
+        let vy = Math.sin(angle) * speed;
+
+        const gravity = game.physics.gravity * (weapon.gravity || 1);
+        const windForce = weapon.affectedByWind !== false ? game.wind * 100 : 0;
+        const bounciness = weapon.bounciness || 0.5;
+        const impacts = [];
+
+        let stationary = false;
+        let elapsed = 0;
+        let nextFuse = 1;
+        const maxTime = weapon.usesTimer ? MAX_FUSE : MAX_FLIGHT_TIME;
+
+        while (elapsed < maxTime) {
+            elapsed += dt;
+
+            if (!stationary) {
+                const prevX = x;
+                const prevY = y;
+
+                vy += gravity * dt;
+                vx += windForce * dt;
+                x += vx * dt;
+                y += vy * dt;
+
+                // Fuse runs out before this step's collision is handled
+                if (weapon.usesTimer && elapsed >= nextFuse) {
+                    impacts.push({ x, y, timer: nextFuse });
+                    nextFuse++;
+                }
+
+                const dx = x - prevX;
+                const dy = y - prevY;
+                const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / 4));
+
+                let hit = false;
+                for (let s = 1; s <= steps; s++) {
+                    const checkX = prevX + dx * s / steps;
+                    const checkY = prevY + dy * s / steps;
+                    if (terrain.checkCollision(checkX, checkY)) {
+                        hit = true;
+                        x = checkX;
+                        y = checkY;
+                        break;
+                    }
+                }
+
+                if (hit) {
+                    if (!weapon.bounces) {
+                        return [{ x, y, timer: null }];
+                    }
+
+                    const normal = terrain.getSurfaceNormal(x, y);
+                    if (Math.hypot(vx, vy) > 40) {
+                        const dot = vx * normal.x + vy * normal.y;
+                        vx = (vx - 2 * dot * normal.x) * bounciness;
+                        vy = (vy - 2 * dot * normal.y) * bounciness;
+                        x += normal.x * 4;
+                        y += normal.y * 4;
+                    } else {
+                        stationary = true;
+                        x += normal.x * 2;
+                        y += normal.y * 2;
+                    }
+                    continue;
+                }
+
+                // Out of the world (or into the water) - the shot is wasted
+                if (x < -100 || x > game.worldWidth + 100 || y > game.worldHeight + 100 || y < -500) {
+                    return [];
+                }
+
+                // Contact weapons go off on the first koala in the way
+                if (!weapon.noContactExplosion && this.hitsKoala(koala, prevX, prevY, dx, dy, steps)) {
+                    return [{ x, y, timer: null }];
+                }
+            } else if (weapon.usesTimer && elapsed >= nextFuse) {
+                impacts.push({ x, y, timer: nextFuse });
+                nextFuse++;
+            }
+        }
+
+        return impacts;
+    }
+
+    /**
+     * Does a path segment pass within a koala's collision radius?
+     */
+    hitsKoala(shooter, prevX, prevY, dx, dy, steps) {
+        for (let s = 1; s <= steps; s++) {
+            const checkX = prevX + dx * s / steps;
+            const checkY = prevY + dy * s / steps;
+            for (const team of this.game.teams) {
+                for (const other of team.koalas) {
+                    if (other === shooter || !other.isAlive) continue;
+                    if (Math.hypot(checkX - other.x, checkY - other.y) < 20) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Rate an explosion point: damage to enemies, minus friendly fire,
+     * minus how far it lands from the chosen target
+     */
+    scoreImpact(koala, target, weapon, impact) {
+        let value = 0;
+
+        for (const team of this.game.teams) {
+            for (const other of team.koalas) {
+                if (!other.isAlive) continue;
+
+                const distance = Math.hypot(other.x - impact.x, other.y - impact.y);
+                if (distance >= weapon.explosionRadius) continue;
+
+                const damage = weapon.damage * (1 - distance / weapon.explosionRadius);
+                if (team === koala.team) {
+                    value -= damage * FRIENDLY_FIRE_PENALTY;
+                } else {
+                    value += Math.min(damage, other.health) + (damage >= other.health ? KILL_BONUS : 0);
+                }
+            }
+        }
+
+        const miss = Math.hypot(target.x - impact.x, target.y - impact.y);
+        return { x: impact.x, y: impact.y, timer: impact.timer, miss, value: value - miss * MISS_WEIGHT };
+    }
+
+    /**
+     * Find solid, dry ground a comfortable distance from the target
+     */
+    findTeleportSpot(target) {
+        const game = this.game;
+        let best = null;
+        let bestScore = Infinity;
+
+        for (let x = 60; x <= game.worldWidth - 60; x += 20) {
+            const { valid, groundY } = game.terrain.isValidTeleportTarget(x);
+            if (!valid || groundY > game.waterLevel - 60) continue;
+
+            const score = Math.abs(Math.abs(x - target.x) - TELEPORT_DISTANCE);
+            if (score < bestScore) {
+                bestScore = score;
+                best = { x, y: groundY };
+            }
+        }
+
+        return best;
+    }
+}
+
+/**
+ * Wrap an angle into -PI..PI
+ */
+function wrapAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
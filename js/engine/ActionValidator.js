@@ -0,0 +1,208 @@
+/**
+ * Action Validator - The host checks every guest action against its own match state
+ * before relaying or applying it: only the current team's owner acts, shots only come
+ * while the turn is waiting for one, weapons need ammo in that team's inventory and
+ * the koala can't move further than it could have since its last move (Protocol's
+ * schema already keeps power in range). Illegal actions are dropped and the sender is
+ * pulled back to the host's state; a fire from a drifted position is corrected.
+ */
+
+// Game actions a guest may send on their turn
+const ACTION_TYPES = new Set([
+    'move', 'aim', 'fire', 'targetWeapon', 'lockTarget', 'detonate', 'bullet', 'weaponSelect', 'jump', 'highJump', 'rope'
+]);
+
+// Actions that change the match - dropping one leaves the sender ahead of everyone else
+const STATE_CHANGING_TYPES = new Set(['fire', 'targetWeapon']);
+
+// How far (px) a guest's koala may be from where the host has it
+const MAX_POSITION_ERROR = 150;
+
+// Fastest a koala moves on its own (px/s): falling at Physics' terminal velocity
+// with a backflip's sideways push. Moves get this much leeway per second since
+// the last one, on top of MAX_POSITION_ERROR for messages that arrive bunched up.
+const MAX_KOALA_SPEED = 850;
+
+// At most one correction per player in this long (ms), so a lagging guest isn't flooded
+const CORRECTION_INTERVAL = 1000;
+
+export class ActionValidator {
+    constructor(game) {
+        this.game = game;
+        this.lastCorrection = new Map(); // Player ID -> time of their last correction
+
+        // Where the last accepted move left the koala { koala, turn, x, y, time, allowance }
+        this.lastMove = null;
+
+        // The pellets weapon of this turn's first shot - only it may fire the second
+        this.pelletsWeaponId = null;
+    }
+
+    /**
+     * Check a guest's message
+     * @param {Object} data - The (schema-valid) message
+     * @param {string} fromId - Player ID of the sender
+     * @returns {Object|null} The message to relay and apply (maybe corrected), or null to drop it
+     */
+    check(data, fromId) {
+        if (!ACTION_TYPES.has(data.type)) return data;
+
+        const game = this.game;
+        if (game.networkManager.teamOwners[game.currentTeamIndex] !== fromId) {
+            // Late moves from the last turn are harmless; firing out of turn is not
+            return this.reject(data, fromId, 'not their turn', STATE_CHANGING_TYPES.has(data.type) ? 'resync' : null);
+        }
+
+        const koala = game.getCurrentKoala();
+        if (!koala) return this.reject(data, fromId, 'no koala to act with', null);
+
+        // One shot per turn - a second fire while the first is still in the air is a cheat
+        if (!this.isFiringPhase(data)) {
+            return this.reject(data, fromId, `${data.type} during ${game.phase}`, 'resync');
+        }
+
+        if (data.weaponId !== undefined) {
+            const weapon = game.getCurrentTeam().weapons[data.weaponId];
+            if (!weapon) {
+                return this.reject(data, fromId, `unknown weapon "${data.weaponId}"`, data.type === 'weaponSelect' ? null : 'resync');
+            }
+            if (STATE_CHANGING_TYPES.has(data.type) && weapon.ammo <= 0) {
+                return this.reject(data, fromId, `no ${weapon.name} ammo left`, 'resync');
+            }
+        }
+
+        switch (data.type) {
+            case 'fire':
+                if (game.getCurrentTeam().weapons[data.weaponId]?.behavior === 'pellets') {
+                    this.pelletsWeaponId = data.weaponId;
+                }
+
+                // Fire from where we have the koala (the shot itself is theirs to aim)
+                if (this.isFarFrom(koala, data)) {
+                    console.warn(`⚠️ ${fromId} fired from (${Math.round(data.x)}, ${Math.round(data.y)}) - using our koala position`);
+                    return { ...data, x: koala.x, y: koala.y };
+                }
+                return data;
+
+            case 'targetWeapon':
+                if (!this.isInsideWorld(data.targetX, data.targetY)) {
+                    return this.reject(data, fromId, 'target outside the map', 'resync');
+                }
+                return data;
+
+            case 'lockTarget':
+                if (!this.isInsideWorld(data.targetX, data.targetY)) {
+                    return this.reject(data, fromId, 'target outside the map', null);
+                }
+                return data;
+
+            case 'detonate': {
+                // Already gone off here (its time ran out first) - nothing to set off
+                const walker = game.projectiles.find(proj => proj.walker);
+                if (!walker) {
+                    return this.reject(data, fromId, 'nothing to detonate', null);
+                }
+                if (this.isFarFrom(walker, data)) {
+                    console.warn(`⚠️ ${fromId} detonated at (${Math.round(data.x)}, ${Math.round(data.y)}) - using our walker position`);
+                    return { ...data, x: walker.x, y: walker.y };
+                }
+                return data;
+            }
+
+            case 'bullet':
+                // Only while their gun is firing - a burst can't shoot more than it holds
+                if (!game.burst || game.burst.koala !== koala) {
+                    return this.reject(data, fromId, 'no burst in progress', null);
+                }
+                return data;
+
+            case 'move':
+            case 'jump':
+            case 'highJump':
+            case 'rope': {
+                const distance = this.checkMove(koala, data);
+                if (distance !== null) {
+                    return this.reject(data, fromId, `koala moved ${distance}px further than it can`, 'positions');
+                }
+                return data;
+            }
+
+            default:
+                return data;
+        }
+    }
+
+    /**
+     * Whether the match is at a point where this action can be taken
+     */
+    isFiringPhase(data) {
+        const game = this.game;
+        switch (data.type) {
+            case 'fire':
+                // The shotgun's second shot may come before its first pellets settle here
+                return game.phase === 'aiming' || (game.phase === 'projectile' &&
+                    game.shotgunShotsRemaining > 0 && data.weaponId === this.pelletsWeaponId);
+            case 'targetWeapon':
+                return game.phase === 'aiming';
+            case 'bullet':
+                return game.phase === 'burst';
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check a move against how far the koala could have gone since the last one:
+     * an allowance that refills at MAX_KOALA_SPEED up to MAX_POSITION_ERROR, so
+     * repeated moves can't each jump the full tolerance
+     * @returns {number|null} The distance moved if it's too far, null if it's fine
+     */
+    checkMove(koala, data) {
+        const game = this.game;
+        const now = Date.now();
+
+        // A new turn (or koala) starts from where we have it
+        let last = this.lastMove;
+        if (!last || last.koala !== koala || last.turn !== game.turnNumber) {
+            last = { x: koala.x, y: koala.y, time: now, allowance: MAX_POSITION_ERROR };
+        }
+
+        const allowance = Math.min(MAX_POSITION_ERROR, last.allowance + (now - last.time) / 1000 * MAX_KOALA_SPEED);
+        const distance = Math.hypot(data.x - last.x, data.y - last.y);
+        if (distance > allowance) return Math.round(distance);
+
+        this.lastMove = { koala, turn: game.turnNumber, x: data.x, y: data.y, time: now, allowance: allowance - distance };
+        return null;
+    }
+
+    isFarFrom(koala, data) {
+        return Math.hypot(data.x - koala.x, data.y - koala.y) > MAX_POSITION_ERROR;
+    }
+
+    isInsideWorld(x, y) {
+        const terrain = this.game.terrain;
+        return x >= 0 && x <= terrain.width && y >= 0 && y <= terrain.height;
+    }
+
+    /**
+     * Drop an action and put the sender back in line with the host
+     * @param {string|null} correction - 'resync' (the full match - they already applied a
+     *                                   state change), 'positions' (a stateSync) or null
+     */
+    reject(data, fromId, reason, correction) {
+        console.warn(`🚫 Rejected ${data.type} from ${fromId}: ${reason}`);
+        if (!correction) return null;
+
+        const now = Date.now();
+        if (now - (this.lastCorrection.get(fromId) || 0) < CORRECTION_INTERVAL) return null;
+        this.lastCorrection.set(fromId, now);
+
+        const networkManager = this.game.networkManager;
+        if (correction === 'resync') {
+            networkManager.sendResync(this.game.createSnapshot(), fromId);
+        } else {
+            networkManager.sendTo(fromId, this.game.createStateSync());
+        }
+        return null;
+    }
+}
@@ -2,6 +2,16 @@
  * Audio Manager - Procedural sound effects using Web Audio API
  */
 
+/**
+ * Fire sounds a weapon definition can use (its "sound" field)
+ */
+export const FIRE_SOUNDS = ['rocket', 'throw', 'shotgun', 'fuse', 'holy', 'airstrike', 'swing', 'teleport', 'baa', 'squeak', 'gunshot', 'generic'];
+
+/**
+ * Sounds a chat taunt can play (see ChatManager's TAUNTS)
+ */
+export const TAUNT_SOUNDS = ['cheer', 'raspberry', 'whistle', 'boom', 'boing'];
+
 export class AudioManager {
     constructor() {
         this.audioContext = null;
@@ -17,8 +27,9 @@ export class AudioManager {
 
     /**
      * Initialize audio context (must be called after user interaction)
+     * @param {Object} options - { music: false } for sound effects only
      */
-    init() {
+    init(options = {}) {
         if (this.isInitialized) return;
 
         try {
@@ -30,7 +41,9 @@ export class AudioManager {
             console.log('🔊 Audio system initialized');
 
             // Initialize background music
-            this.initMusic();
+            if (options.music !== false) {
+                this.initMusic();
+            }
         } catch (e) {
             console.warn('Audio not supported:', e);
         }
@@ -109,40 +122,49 @@ export class AudioManager {
     // ==================== SOUND GENERATORS ====================
 
     /**
-     * Play weapon fire sound
+     * Play a weapon fire sound (one of FIRE_SOUNDS)
      */
-    playFire(weaponType = 'bazooka') {
+    playFire(sound = 'rocket') {
         if (!this.isInitialized || this.isMuted) return;
         this.resume();
 
         const ctx = this.audioContext;
         const now = ctx.currentTime;
 
-        switch (weaponType) {
-            case 'bazooka':
+        switch (sound) {
+            case 'rocket':
                 this._playRocketLaunch(now);
                 break;
-            case 'grenade':
+            case 'throw':
                 this._playThrow(now);
                 break;
             case 'shotgun':
                 this._playShotgun(now);
                 break;
-            case 'dynamite':
+            case 'fuse':
                 this._playFuse(now);
                 break;
-            case 'holygrenade':
+            case 'holy':
                 this._playHolyThrow(now);
                 break;
             case 'airstrike':
                 this._playAirstrikeCall(now);
                 break;
-            case 'bat':
+            case 'swing':
                 this._playBatSwing(now);
                 break;
             case 'teleport':
                 this._playTeleport(now);
                 break;
+            case 'baa':
+                this._playBleat(now);
+                break;
+            case 'squeak':
+                this._playSqueak(now);
+                break;
+            case 'gunshot':
+                this._playGunshot(now);
+                break;
             default:
                 this._playGenericFire(now);
         }
@@ -336,6 +358,27 @@ export class AudioManager {
         noise.stop(now + 0.1);
     }
 
+    _playGunshot(now) {
+        const ctx = this.audioContext;
+
+        // Short, bright crack (lighter than the shotgun - it repeats fast)
+        const noise = this._createNoise(0.05);
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(2500, now);
+        filter.Q.value = 1;
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.4, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.05);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.masterGain);
+        noise.start(now);
+        noise.stop(now + 0.05);
+    }
+
     _playFuse(now) {
         const ctx = this.audioContext;
 
@@ -383,6 +426,62 @@ export class AudioManager {
         this._playThrow(now);
     }
 
+    _playBleat(now) {
+        const ctx = this.audioContext;
+
+        // Wobbly "baa": a nasal tone with fast vibrato
+        const osc = ctx.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(420, now);
+        osc.frequency.linearRampToValueAtTime(360, now + 0.45);
+
+        const vibrato = ctx.createOscillator();
+        vibrato.frequency.value = 28;
+        const vibratoDepth = ctx.createGain();
+        vibratoDepth.gain.value = 25;
+        vibrato.connect(vibratoDepth);
+        vibratoDepth.connect(osc.frequency);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 1200;
+        filter.Q.value = 2;
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.01, now);
+        gain.gain.linearRampToValueAtTime(0.3, now + 0.05);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.45);
+
+        osc.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.masterGain);
+        osc.start(now);
+        vibrato.start(now);
+        osc.stop(now + 0.45);
+        vibrato.stop(now + 0.45);
+    }
+
+    _playSqueak(now) {
+        const ctx = this.audioContext;
+
+        // Two quick high chirps
+        [0, 0.12].forEach(offset => {
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(1800, now + offset);
+            osc.frequency.exponentialRampToValueAtTime(2600, now + offset + 0.08);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0.2, now + offset);
+            gain.gain.exponentialRampToValueAtTime(0.01, now + offset + 0.08);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain);
+            osc.start(now + offset);
+            osc.stop(now + offset + 0.08);
+        });
+    }
+
     _playGenericFire(now) {
         this._playThrow(now);
     }
@@ -460,6 +559,47 @@ export class AudioManager {
         osc.stop(now + 0.08);
     }
 
+    /**
+     * Play a sheep's bleat (when it turns round - at most every half second)
+     */
+    playBleat() {
+        if (!this.isInitialized || this.isMuted) return;
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+        if (now - (this.lastBleat ?? -Infinity) < 0.5) return;
+        this.lastBleat = now;
+
+        this._playBleat(now);
+    }
+
+    /**
+     * Play a burrowing mole's scrape
+     */
+    playDig() {
+        if (!this.isInitialized || this.isMuted) return;
+        this.resume();
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        // Gritty low scratch
+        const noise = this._createNoise(0.12);
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 600;
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.25, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.12);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.masterGain);
+        noise.start(now);
+        noise.stop(now + 0.12);
+    }
+
     /**
      * Play damage sound
      */
@@ -713,6 +853,65 @@ export class AudioManager {
         noise.stop(now + 0.5);
     }
 
+    /**
+     * Play a chat taunt sound (one of TAUNT_SOUNDS)
+     */
+    playTaunt(sound) {
+        if (!this.isInitialized || this.isMuted) return;
+        this.resume();
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        // One oscillator note: [type, start, end, from Hz, to Hz, volume]
+        const tone = (type, start, end, from, to, volume) => {
+            const osc = ctx.createOscillator();
+            osc.type = type;
+            osc.frequency.setValueAtTime(from, now + start);
+            osc.frequency.exponentialRampToValueAtTime(to, now + end);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(volume, now + start);
+            gain.gain.exponentialRampToValueAtTime(0.01, now + end);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain);
+            osc.start(now + start);
+            osc.stop(now + end);
+        };
+
+        switch (sound) {
+            case 'cheer':
+                // Quick rising arpeggio
+                [392, 523.25, 659.25, 783.99].forEach((freq, i) => {
+                    tone('triangle', i * 0.08, i * 0.08 + 0.3, freq, freq, 0.25);
+                });
+                break;
+
+            case 'raspberry':
+                // Low buzzing blurt
+                tone('sawtooth', 0, 0.5, 110, 80, 0.25);
+                tone('square', 0, 0.5, 113, 82, 0.1);
+                break;
+
+            case 'whistle':
+                // Falling slide whistle
+                tone('sine', 0, 0.6, 1400, 300, 0.25);
+                break;
+
+            case 'boom':
+                this.playExplosion('small');
+                break;
+
+            case 'boing':
+            default:
+                // Springy wobble up
+                tone('sine', 0, 0.15, 150, 600, 0.3);
+                tone('sine', 0.15, 0.35, 400, 250, 0.2);
+                break;
+        }
+    }
+
     // ==================== HELPERS ====================
 
     _createNoise(duration) {
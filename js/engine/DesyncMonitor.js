@@ -0,0 +1,213 @@
+/**
+ * Desync Monitor - Compares the match state between peers at every turn end
+ * Each peer applies damage and craters itself, so drift shows up as different terrain
+ * or HP. At each turn end every peer hashes the collision mask, koala positions / health,
+ * team ammo and crates and sends the hash out; a mismatch emits 'desync' on the game
+ * with a diagnostic report, and the host can push a full resync.
+ */
+
+// Turns of hashes kept for late-arriving comparisons
+const HISTORY_TURNS = 10;
+
+// How far ahead of ours a peer's turn can be (any further and it's not a real hash)
+const MAX_TURNS_AHEAD = 2;
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * FNV-1a over a list of 32-bit integers
+ */
+function hashValues(values, hash = FNV_OFFSET) {
+    for (const value of values) {
+        hash ^= value | 0;
+        hash = Math.imul(hash, FNV_PRIME);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hash a string into one integer (weapon / item IDs)
+ */
+function hashString(text) {
+    let hash = FNV_OFFSET;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, FNV_PRIME);
+    }
+    return hash | 0;
+}
+
+export class DesyncMonitor {
+    constructor(game) {
+        this.game = game;
+
+        this.localStates = new Map();  // Turn -> our captured state
+        this.remoteHashes = new Map(); // Turn -> [{ playerId, hash, parts }] not compared yet
+        this.report = null;            // Latest unresolved desync
+    }
+
+    /**
+     * Only players in live network matches compare (spectators can't be heard by the host)
+     */
+    get enabled() {
+        const game = this.game;
+        return !!game.networkManager && !game.isPractice && !game.isReplay && !game.isSpectator;
+    }
+
+    /**
+     * Hash the state every peer should agree on once a turn has settled
+     * @returns {Object} { turn, tick, hash, parts, details }
+     */
+    capture() {
+        const game = this.game;
+        const koalas = game.teams.flatMap(team => team.koalas);
+        const ammo = game.teams.map(team => Object.values(team.weapons)
+            .map(weapon => [weapon.id, weapon.ammo === Infinity ? -1 : weapon.ammo]));
+        const crates = game.lootManager.crates;
+
+        const parts = {
+            terrain: this.hashTerrain(),
+            koalas: hashValues(koalas.flatMap(koala => [
+                Math.round(koala.x), Math.round(koala.y), koala.health, koala.isAlive ? 1 : 0
+            ])),
+            ammo: hashValues(ammo.flat().flatMap(([id, count]) => [hashString(id), count])),
+            crates: hashValues(crates.flatMap(crate => [
+                Math.round(crate.x), Math.round(crate.y), hashString(crate.item.id)
+            ]))
+        };
+
+        return {
+            turn: game.turnNumber,
+            tick: game.simulationTick,
+            hash: hashValues(Object.values(parts)),
+            parts,
+            details: {
+                craters: game.terrain.craters.length,
+                koalas: koalas.map(koala => ({
+                    name: koala.name,
+                    x: Math.round(koala.x),
+                    y: Math.round(koala.y),
+                    health: koala.health,
+                    isAlive: koala.isAlive
+                })),
+                ammo: ammo.map(team => Object.fromEntries(team)),
+                crates: crates.map(crate => ({ x: Math.round(crate.x), y: Math.round(crate.y), item: crate.item.id }))
+            }
+        };
+    }
+
+    /**
+     * Hash the terrain's collision alpha (what physics actually collides with)
+     */
+    hashTerrain() {
+        const data = this.game.terrain.imageData.data;
+        let hash = FNV_OFFSET;
+        for (let i = 3; i < data.length; i += 4) {
+            hash ^= data[i] > 128 ? 1 : 0;
+            hash = Math.imul(hash, FNV_PRIME);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * A turn just ended - hash it and send the hash to the other peers
+     */
+    onTurnEnd() {
+        if (!this.enabled) return;
+
+        const state = this.capture();
+        this.localStates.set(state.turn, state);
+        this.prune();
+
+        this.game.networkManager.send({
+            type: 'stateHash',
+            turn: state.turn,
+            hash: state.hash,
+            parts: state.parts,
+            playerId: this.game.networkManager.playerId
+        });
+
+        this.compare(state.turn);
+    }
+
+    /**
+     * Another peer's hash for a turn (it may arrive before or after ours)
+     */
+    handleRemoteHash(data) {
+        if (!this.enabled) return;
+
+        // Too old to ever be compared, or from a turn that can't have ended yet
+        const turn = this.game.turnNumber;
+        if (data.turn <= turn - HISTORY_TURNS || data.turn > turn + MAX_TURNS_AHEAD) return;
+
+        // One hash per peer and turn - a repeat replaces the earlier one
+        const pending = (this.remoteHashes.get(data.turn) || []).filter(remote => remote.playerId !== data.playerId);
+        pending.push({ playerId: data.playerId, hash: data.hash, parts: data.parts });
+        this.remoteHashes.set(data.turn, pending);
+        this.prune();
+
+        this.compare(data.turn);
+    }
+
+    /**
+     * Forget turns too old to compare (hashes that never got a match included)
+     */
+    prune() {
+        const oldest = this.game.turnNumber - HISTORY_TURNS;
+        for (const states of [this.localStates, this.remoteHashes]) {
+            for (const turn of states.keys()) {
+                if (turn <= oldest) states.delete(turn);
+            }
+        }
+    }
+
+    compare(turn) {
+        const local = this.localStates.get(turn);
+        const pending = this.remoteHashes.get(turn);
+        if (!local || !pending) return;
+
+        this.remoteHashes.delete(turn);
+        for (const remote of pending) {
+            if (remote.hash !== local.hash) {
+                this.reportDesync(local, remote);
+            }
+        }
+    }
+
+    /**
+     * Build the diagnostic report, dump it to the console and tell the game
+     */
+    reportDesync(local, remote) {
+        // Already flagged - the first mismatch is the interesting one
+        if (this.report) return;
+
+        const game = this.game;
+        const mismatched = Object.keys(local.parts).filter(part => local.parts[part] !== remote.parts?.[part]);
+
+        this.report = {
+            turn: local.turn,
+            mismatched,
+            seed: game.gameSeed,
+            playerId: game.networkManager.playerId,
+            remotePlayerId: remote.playerId,
+            local,
+            remote,
+            scheme: game.scheme,
+            createdAt: new Date().toISOString()
+        };
+
+        console.warn(`⚠️ Desync on turn ${local.turn} with ${remote.playerId}: ${mismatched.join(', ')} differ`);
+        console.log(JSON.stringify(this.report, null, 2));
+        game.emit('desync', this.report);
+    }
+
+    /**
+     * Start over after a resync (older turns would only report the old drift again)
+     */
+    clear() {
+        this.localStates.clear();
+        this.remoteHashes.clear();
+        this.report = null;
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * Fire Manager - Flames from napalm, petrol bombs and exploding barrels
+ * Flames fall with gravity and wind, stick where they land and burn out after a few
+ * seconds. While they burn they eat the terrain away with small craters, hurt koalas
+ * standing in them and light explosive barrels (Terrain.mapObjects), which go off
+ * and spill more flames.
+ *
+ * Every peer moves the flames, but like explosions only the authoritative client burns
+ * terrain, koalas and barrels - the host sends what burned each fire tick as fireSync.
+ */
+
+// Seconds between fire ticks (burn damage, barrels catching, fireSync)
+const FIRE_TICK = 0.25;
+
+// Flames are light: they fall slower than projectiles and drift with the wind
+const FLAME_GRAVITY = 0.5;
+const FLAME_WIND = 0.6;
+
+// How far a flame reaches (koalas, barrels)
+const FLAME_RADIUS = 8;
+
+// Each flame on the ground bites a crater this big out of the terrain every BITE_INTERVAL seconds
+const BITE_RADIUS = 6;
+const BITE_INTERVAL = 1;
+
+const MAX_FLAMES = 150;
+
+// Seconds a lit barrel burns before it goes off
+const BARREL_FUSE = 0.6;
+
+/**
+ * What an exploding barrel does (goes through Game.handleProjectileImpact like a weapon)
+ */
+export const BARREL_BLAST = {
+    id: 'barrel',
+    name: 'Explosive Barrel',
+    damage: 35,
+    explosionRadius: 60,
+    knockback: 250,
+    flames: { count: 10, speed: 180, spread: 120, burnTime: 5, damage: 3 }
+};
+
+export class FireManager {
+    constructor(game) {
+        this.game = game;
+        this.clear();
+    }
+
+    /**
+     * Put out everything (new match)
+     */
+    clear() {
+        this.flames = [];    // { x, y, vx, vy, life, burnTime, damage, stuck, biteTimer }
+        this.tickTimer = 0;
+        this.pending = null; // Host: { craters, results, barrels } burned since the last fireSync
+    }
+
+    /**
+     * Get a random function (uses the seeded fire stream if available)
+     * Fire has its own stream because barrels only go off on the authoritative client
+     */
+    random() {
+        return this.game.fireRandom ? this.game.fireRandom() : Math.random();
+    }
+
+    /**
+     * Barrels still standing
+     */
+    getBarrels() {
+        return this.game.terrain.mapObjects.filter(obj => obj.type === 'barrel' && !obj.exploded);
+    }
+
+    /**
+     * Is anything still burning? (the turn waits for it)
+     */
+    isBurning() {
+        return this.flames.length > 0 || this.getBarrels().some(barrel => barrel.fuse !== undefined);
+    }
+
+    /**
+     * Throw out flames from a point
+     * @param {Object} spec - A weapon's flames: { count, speed, spread (degrees around straight up), burnTime, damage }
+     */
+    spawnFlames(x, y, spec) {
+        const terrain = this.game.terrain;
+        const spread = spec.spread * Math.PI / 180;
+
+        // Start above ground - an impact point is usually just inside the terrain
+        let spawnY = y;
+        for (let lift = 0; lift < 30 && terrain.checkCollision(x, spawnY); lift += 2) {
+            spawnY -= 2;
+        }
+
+        const count = Math.min(spec.count, MAX_FLAMES - this.flames.length);
+        for (let i = 0; i < count; i++) {
+            const angle = -Math.PI / 2 + (this.random() - 0.5) * spread;
+            const speed = spec.speed * (0.5 + this.random() * 0.7);
+            const burnTime = spec.burnTime * (0.75 + this.random() * 0.5);
+
+            this.flames.push({
+                x,
+                y: spawnY,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: burnTime,
+                burnTime,
+                damage: spec.damage,
+                stuck: false,
+                biteTimer: this.random() * BITE_INTERVAL
+            });
+        }
+    }
+
+    /**
+     * Move and burn (every phase - fires outlast turns)
+     */
+    update(dt) {
+        const game = this.game;
+        const authoritative = game.isAuthoritativeClient();
+
+        this.updateFlames(dt, authoritative);
+
+        // Lit barrels
+        for (const barrel of this.getBarrels()) {
+            if (barrel.fuse === undefined) continue;
+            barrel.fuse -= dt;
+            if (barrel.fuse <= 0 && authoritative) {
+                this.explodeBarrel(barrel);
+            }
+        }
+
+        let ticked = false;
+        if (this.flames.length === 0) {
+            this.tickTimer = 0;
+        } else {
+            this.tickTimer += dt;
+            if (this.tickTimer >= FIRE_TICK) {
+                this.tickTimer -= FIRE_TICK;
+                ticked = true;
+                if (authoritative) this.burn();
+            }
+        }
+
+        // One message per fire tick (or once the fire is out)
+        if (this.pending && (ticked || this.flames.length === 0)) {
+            this.sendFireSync();
+        }
+    }
+
+    updateFlames(dt, authoritative) {
+        const game = this.game;
+        const terrain = game.terrain;
+        const gravity = game.physics.gravity * FLAME_GRAVITY;
+        const wind = game.wind * 100 * FLAME_WIND;
+
+        for (let i = this.flames.length - 1; i >= 0; i--) {
+            const flame = this.flames[i];
+
+            flame.life -= dt;
+            if (flame.life <= 0 || flame.y >= game.waterLevel ||
+                flame.x < -50 || flame.x > game.worldWidth + 50 || flame.y > game.worldHeight) {
+                this.flames.splice(i, 1);
+                continue;
+            }
+
+            // The ground under it burned (or blew) away - fall again
+            if (flame.stuck && !terrain.checkCollision(flame.x, flame.y + 3)) {
+                flame.stuck = false;
+                flame.vx = 0;
+                flame.vy = 0;
+            }
+
+            if (!flame.stuck) {
+                flame.vy += gravity * dt;
+                flame.vx += wind * dt;
+
+                const nextX = flame.x + flame.vx * dt;
+                const nextY = flame.y + flame.vy * dt;
+                if (terrain.checkCollision(nextX, nextY)) {
+                    // Stay on the surface, just short of where it hit
+                    flame.stuck = true;
+                    flame.vx = 0;
+                    flame.vy = 0;
+                } else {
+                    flame.x = nextX;
+                    flame.y = nextY;
+                }
+                continue;
+            }
+
+            // Eat into the ground
+            flame.biteTimer -= dt;
+            if (flame.biteTimer <= 0) {
+                flame.biteTimer += BITE_INTERVAL;
+                if (authoritative) {
+                    const crater = { x: Math.round(flame.x), y: Math.round(flame.y + BITE_RADIUS / 2), radius: BITE_RADIUS };
+                    terrain.createCrater(crater.x, crater.y, crater.radius);
+                    this.getPending().craters.push(crater);
+                }
+            }
+        }
+    }
+
+    /**
+     * One fire tick (authoritative client): hurt koalas standing in flames, light barrels they touch
+     */
+    burn() {
+        const game = this.game;
+        let burned = false;
+
+        for (const team of game.teams) {
+            for (const koala of team.koalas) {
+                if (!koala.isAlive) continue;
+
+                let damage = 0;
+                for (const flame of this.flames) {
+                    if (this.touches(flame, koala.x, koala.y, koala.width, koala.height)) {
+                        damage = Math.max(damage, flame.damage);
+                    }
+                }
+                if (damage === 0) continue;
+
+                koala.takeDamage(damage);
+                this.getPending().results.push({ koalaName: koala.name, damage, newHealth: koala.health });
+                burned = true;
+            }
+        }
+
+        for (const barrel of this.getBarrels()) {
+            if (barrel.fuse !== undefined) continue;
+            const centerY = barrel.y - barrel.height / 2;
+            if (this.flames.some(flame => this.touches(flame, barrel.x, centerY, barrel.width, barrel.height))) {
+                this.igniteBarrel(barrel);
+            }
+        }
+
+        if (burned) game.updateTeamHealth();
+    }
+
+    /**
+     * Is a flame within reach of a box centred on x, y?
+     */
+    touches(flame, x, y, width, height) {
+        return Math.abs(flame.x - x) < width / 2 + FLAME_RADIUS &&
+            Math.abs(flame.y - y) < height / 2 + FLAME_RADIUS;
+    }
+
+    /**
+     * Light the barrels an explosion reaches (authoritative client)
+     */
+    igniteBarrelsNear(x, y, radius) {
+        for (const barrel of this.getBarrels()) {
+            if (Math.hypot(barrel.x - x, barrel.y - barrel.height / 2 - y) < radius + barrel.width / 2) {
+                this.igniteBarrel(barrel);
+            }
+        }
+    }
+
+    /**
+     * Start a barrel's fuse (no-op if it's already burning)
+     */
+    igniteBarrel(barrel) {
+        if (barrel.exploded || barrel.fuse !== undefined) return;
+        barrel.fuse = BARREL_FUSE;
+        console.log(`🔥 Barrel at (${Math.round(barrel.x)}, ${Math.round(barrel.y)}) caught fire`);
+    }
+
+    /**
+     * Blow a barrel up (the authoritative client when its fuse runs out, the rest on fireSync)
+     */
+    explodeBarrel(barrel) {
+        const game = this.game;
+        barrel.exploded = true;
+        delete barrel.fuse;
+
+        if (game.isAuthoritativeClient()) {
+            this.getPending().barrels.push(game.terrain.mapObjects.indexOf(barrel));
+        }
+
+        game.handleProjectileImpact({ x: barrel.x, y: barrel.y - barrel.height / 2, weapon: BARREL_BLAST });
+        console.log(`💥 Barrel at (${Math.round(barrel.x)}, ${Math.round(barrel.y)}) exploded`);
+    }
+
+    getPending() {
+        if (!this.pending) {
+            this.pending = { craters: [], results: [], barrels: [] };
+        }
+        return this.pending;
+    }
+
+    /**
+     * Host: send what burned since the last fire tick
+     */
+    sendFireSync() {
+        const game = this.game;
+        const { craters, results, barrels } = this.pending;
+        this.pending = null;
+
+        if (game.networkManager && !game.isPractice && game.networkManager.isHost) {
+            game.networkManager.send({ type: 'fireSync', craters, results, barrels });
+        }
+    }
+
+    /**
+     * Guests: apply what burned on the host
+     */
+    handleRemoteFireSync(data) {
+        const game = this.game;
+        game.recordAction(data);
+
+        for (const crater of data.craters) {
+            game.terrain.createCrater(crater.x, crater.y, crater.radius);
+        }
+
+        for (const result of data.results) {
+            const koala = game.findKoalaByName(result.koalaName);
+            if (!koala) continue;
+
+            koala.health = result.newHealth;
+            if (koala.health <= 0 && koala.isAlive) {
+                koala.die();
+            }
+        }
+
+        for (const index of data.barrels) {
+            const barrel = game.terrain.mapObjects[index];
+            if (barrel && !barrel.exploded) {
+                this.explodeBarrel(barrel);
+            }
+        }
+
+        game.updateTeamHealth();
+    }
+
+    /**
+     * Flames and barrels for reconnect snapshots
+     */
+    getSnapshot() {
+        return {
+            flames: this.flames.map(flame => ({ ...flame })),
+            tickTimer: this.tickTimer,
+            barrels: this.game.terrain.mapObjects.map(({ fuse, exploded }) => ({ fuse, exploded }))
+        };
+    }
+
+    applySnapshot(snapshot) {
+        this.flames = snapshot.flames.map(flame => ({ ...flame }));
+        this.tickTimer = snapshot.tickTimer;
+        this.pending = null;
+
+        snapshot.barrels.forEach(({ fuse, exploded }, index) => {
+            const barrel = this.game.terrain.mapObjects[index];
+            if (!barrel) return;
+            barrel.exploded = exploded;
+            if (fuse === undefined || fuse === null) {
+                delete barrel.fuse;
+            } else {
+                barrel.fuse = fuse;
+            }
+        });
+    }
+}
@@ -3,27 +3,47 @@
  */
 
 import { Terrain } from './Terrain.js';
+import { HeadlessTerrain } from './HeadlessTerrain.js';
+import { ReplayRecorder } from './ReplayRecorder.js';
 import { Physics } from './Physics.js';
 import { Renderer } from './Renderer.js';
 import { Koala } from '../entities/Koala.js';
-import { Team } from '../entities/Team.js';
+import { Team, TEAM_PRESETS, normalizeTeamConfigs } from '../entities/Team.js';
 import { WeaponManager } from '../weapons/WeaponManager.js';
 import { Projectile } from '../weapons/Projectile.js';
+import { weaponRegistry } from '../weapons/WeaponRegistry.js';
+import { NinjaRope } from '../weapons/NinjaRope.js';
 import { InputManager } from './InputManager.js';
+import { AIController } from './AIController.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
 import { AudioManager } from './AudioManager.js';
 import { LootManager } from './LootManager.js';
+import { FireManager } from './FireManager.js';
+import { MatchStats } from './MatchStats.js';
+import { DesyncMonitor } from './DesyncMonitor.js';
+import { ActionValidator } from './ActionValidator.js';
+import { MotionInterpolator } from './MotionInterpolator.js';
 import { SpatialGrid } from './SpatialGrid.js';
 import { DOMCache } from '../utils/DOMCache.js';
+import { MapManager } from '../utils/MapManager.js';
+import { SchemeManager } from '../utils/SchemeManager.js';
 
 export class Game extends EventEmitter {
     constructor(canvas, options = {}) {
         super();
 
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
         this.options = options;
 
+        // Match rules: from the menu (practice), the host's gameStart or a replay header
+        this.scheme = SchemeManager.normalize(options.scheme || options.initialState?.scheme);
+
+        // Headless mode: no canvas, DOM or window (simulations, CI)
+        this.headless = options.headless || !canvas;
+
+        // Headless runs keep a virtual viewport so camera math still works
+        this.canvas = canvas || { width: 1280, height: 720 };
+        this.ctx = this.headless ? null : canvas.getContext('2d');
+
         // Game dimensions
         this.worldWidth = 2400;
         this.worldHeight = 1200;
@@ -32,9 +52,11 @@ export class Game extends EventEmitter {
         this.handleResize();
 
         // Core systems
-        this.terrain = new Terrain(this.worldWidth, this.worldHeight);
+        this.terrain = this.headless
+            ? new HeadlessTerrain(this.worldWidth, this.worldHeight)
+            : new Terrain(this.worldWidth, this.worldHeight);
         this.physics = new Physics(this);
-        this.renderer = new Renderer(this);
+        this.renderer = this.headless ? null : new Renderer(this);
         this.weaponManager = new WeaponManager(this);
         this.inputManager = new InputManager(this);
         this.audioManager = new AudioManager();
@@ -55,13 +77,15 @@ export class Game extends EventEmitter {
 
         this.currentTeamIndex = 0;
         this.currentKoalaIndex = 0;
-        this.turnTime = 30;
+        this.turnTime = this.scheme.turnTime;
         this.turnTimer = this.turnTime;
         this.wind = 0; // -1 to 1
 
         // Game phases
-        this.phase = 'waiting'; // waiting, aiming, firing, projectile, retreat, damage, nextTurn
+        this.phase = 'waiting'; // waiting, aiming, firing, projectile, blowtorch, rope, retreat, damage, nextTurn
         this.isPaused = false;
+        this.waitingForPlayer = false; // Multiplayer: paused until a dropped player reconnects
+        this.awaitingHandoff = false; // Hot-seat: paused until the next player takes the keyboard
         this.isGameOver = false;
         this.countdownTimer = 0; // NEW: Pre-match countdown timer
 
@@ -71,12 +95,25 @@ export class Game extends EventEmitter {
         this.damagePhaseCallback = null;
 
         // Retreat time settings
-        this.retreatTime = 5; // 5 seconds to retreat after firing
+        this.retreatTime = this.scheme.retreatTime; // Seconds to retreat after firing
         this.retreatTimer = 0;
 
         // Multi-shot weapon tracking (shotgun)
         this.shotgunShotsRemaining = 0;
 
+        // Ninja Rope in use this turn (phase 'rope')
+        this.rope = null;
+
+        // Hitscan gun firing this turn (phase 'burst'): { weapon, koala, fired, timer }
+        this.burst = null;
+
+        // Water surface (rises every turn once sudden death starts)
+        this.baseWaterLevel = this.worldHeight - 60;
+        this.waterLevel = this.baseWaterLevel;
+        this.suddenDeathTurn = null; // Turn that ended when sudden death began
+        this.announcement = null; // On-screen banner { title, subtitle, timer }
+        this.homingTarget = null; // { x, y } locked for this turn's homing shot
+
         // Grace period after firing (prevents instant phase transition)
         this.projectileGraceTimer = 0;
 
@@ -89,19 +126,65 @@ export class Game extends EventEmitter {
             targetY: 0
         };
 
+        // Turn counter (1 = first turn after the countdown)
+        this.turnNumber = 0;
+
+        // Custom map in play (null = procedural terrain)
+        this.currentMap = null;
+
         // Animation
         this.lastTime = 0;
         this.animationId = null;
 
+        // Fixed timestep simulation - every peer advances in identical steps
+        // regardless of frame rate, so the same seed + inputs give the same result
+        this.fixedTimestep = 1 / 60;
+        this.maxStepsPerFrame = 8; // Drop time beyond this instead of spiralling
+        this.accumulator = 0;
+        this.simulationTick = 0;
+        this.renderAlpha = 1; // Fraction of a step between the last two states
+        this.timeScale = 1; // Playback speed (replays)
+
+        // Replays: a ReplayPlayer feeds logged actions in; live games record them
+        this.replayPlayer = options.replayPlayer || null;
+        this.isReplay = !!this.replayPlayer;
+        this.replayRecorder = this.isReplay ? null : new ReplayRecorder(this);
+
         this.networkManager = options.networkManager;
         this.isPractice = options.isPractice || false;
+        this.isSpectator = options.isSpectator || false; // Watching a network match (no input)
+        this.isHotSeat = !!options.hotSeat; // Practice with several people taking turns at one keyboard
+
+        // CPU opponents by team index (practice only)
+        this.aiControllers = new Map();
 
         // DOM Cache - eliminates querySelector bottleneck
+        // Headless games keep it empty so every UI update is a no-op
         this.dom = new DOMCache();
-        this.dom.init(); // Cache all DOM references once
+        if (!this.headless) {
+            this.dom.init(); // Cache all DOM references once
+        }
 
         // Loot crate system (replaces old powerups)
         this.lootManager = new LootManager(this);
+
+        // Napalm / petrol bomb flames and explosive barrels
+        this.fireManager = new FireManager(this);
+
+        // Damage, kills and shots per team for the game over screen
+        this.matchStats = new MatchStats(this);
+
+        // Multiplayer: per-turn state hashes to catch peers drifting apart
+        this.desyncMonitor = new DesyncMonitor(this);
+
+        // Multiplayer host: guest actions are checked against this match before anyone applies them
+        this.actionValidator = new ActionValidator(this);
+        if (this.networkManager && this.networkManager.isHost && !this.isPractice) {
+            this.networkManager.actionValidator = this.actionValidator;
+        }
+
+        // Multiplayer: the other players' walking and aiming, smoothed between their updates
+        this.motionInterpolator = new MotionInterpolator(this);
     }
 
     /**
@@ -109,15 +192,17 @@ export class Game extends EventEmitter {
      */
     async start() {
         // Initialize audio (requires user interaction)
-        this.audioManager.init();
+        if (!this.headless) {
+            this.audioManager.init();
+        }
 
         // Get game seed for multiplayer sync (or generate random for practice)
         const initialState = this.options.initialState;
         this.gameSeed = initialState?.seed || Math.floor(Math.random() * 1000000);
         console.log('🎲 Game seed:', this.gameSeed);
 
-        // Create seeded random function for consistent results
-        this.seededRandom = this.createSeededRandom(this.gameSeed);
+        // Create seeded random functions for consistent results
+        this.createRandomStreams();
 
         // Reset camera to default zoom and position
         this.camera.zoom = 1.1; // 110% to fill screen
@@ -127,9 +212,18 @@ export class Game extends EventEmitter {
         this.camera.targetY = 0;
 
         // Generate or load terrain
-        if (this.options.customMap) {
+        if (this.options.terrainMask && this.headless) {
+            // Headless: load a prepared collision mask
+            this.terrain.loadMask(this.options.terrainMask);
+            this.mapBounds = {
+                topY: this.terrain.getMapTopBoundary(),
+                bottomY: this.worldHeight - 100,
+                waterLevel: this.worldHeight - 60
+            };
+        } else if (this.options.customMap && !this.headless) {
             // Load custom map from editor
             await this.loadCustomMap(this.options.customMap);
+            this.currentMap = this.options.customMap;
         } else {
             // Pass seeded random to terrain for multiplayer sync
             this.terrain.setSeededRandom(this.seededRandom);
@@ -137,9 +231,18 @@ export class Game extends EventEmitter {
             this.terrain.generate();
         }
 
+        // Weapon definitions (data/weapons) must be in before teams get their inventories
+        await weaponRegistry.load();
+        this.weaponManager.reset();
+
         // Create teams
         this.createTeams();
 
+        // Begin recording the match for replays
+        if (this.replayRecorder) {
+            this.replayRecorder.start();
+        }
+
         // Randomize wind (using seeded random for sync)
         this.randomizeWind();
 
@@ -147,6 +250,12 @@ export class Game extends EventEmitter {
         this.phase = 'countdown';
         this.countdownTimer = 3.5; // (3, 2, 1, GO!)
 
+        // Headless games are driven externally via step()
+        if (this.headless) {
+            console.log('🎮 Headless game started!');
+            return;
+        }
+
         // Start game loop
         this.lastTime = performance.now();
         this.gameLoop();
@@ -159,15 +268,34 @@ export class Game extends EventEmitter {
         console.log('🎮 Game started!');
     }
 
+    /**
+     * (Re)create the seeded random streams from gameSeed
+     */
+    createRandomStreams() {
+        this.seededRandom = this.createSeededRandom(this.gameSeed);
+
+        // Crate rolls only happen on the host, so they get their own stream
+        // (sharing seededRandom would shift wind/duds on the host only)
+        this.lootRandom = this.createSeededRandom(this.gameSeed + 1);
+
+        // CPU aim error gets its own stream too, so it never shifts the shared rolls
+        this.aiRandom = this.createSeededRandom(this.gameSeed + 2);
+
+        // Barrels only go off on the authoritative client, so their flames get one as well
+        this.fireRandom = this.createSeededRandom(this.gameSeed + 3);
+    }
+
     /**
      * Create a seeded random number generator for multiplayer sync
+     * The generator's position is kept in random.state (saved in reconnect snapshots)
      */
     createSeededRandom(seed) {
-        let s = seed;
-        return () => {
-            s = Math.sin(s) * 10000;
-            return s - Math.floor(s);
+        const random = () => {
+            random.state = Math.sin(random.state) * 10000;
+            return random.state - Math.floor(random.state);
         };
+        random.state = seed;
+        return random;
     }
 
     /**
@@ -186,6 +314,9 @@ export class Game extends EventEmitter {
                 // Update collision mask from the visual terrain
                 this.terrain.updateCollisionMask();
 
+                // Objects in the image are just terrain - no barrels to set off
+                this.terrain.mapObjects = [];
+
                 // Store custom background color
                 if (mapData.backgroundColor) {
                     this.customBackgroundColor = mapData.backgroundColor;
@@ -229,10 +360,8 @@ export class Game extends EventEmitter {
      * 3. If no markers exist, use random spawning from valid spawn points
      */
     createTeams() {
-        const teamConfigs = [
-            { name: 'Red Team', color: '#e74c3c', koalaCount: 3 },
-            { name: 'Blue Team', color: '#3498db', koalaCount: 3 }
-        ];
+        // 2-6 teams: from the menu (practice), the host's gameStart or a replay header
+        const teamConfigs = normalizeTeamConfigs(this.options.teams || this.options.initialState?.teams, this.scheme.koalaCount);
 
         // STEP 1: Pre-scan the entire map for valid spawn points
         // This must happen AFTER the map is loaded (which it is, since start() awaits loadCustomMap)
@@ -244,20 +373,24 @@ export class Game extends EventEmitter {
         const spawnedPositions = [];
         const minSpawnDistance = this.options.customMap ? 80 : 150;
 
-        // Get custom spawn markers from the map editor (if any)
-        const customSpawns = this.options.customMap?.spawns || null;
-        const hasCustomSpawns = customSpawns &&
-            ((customSpawns.team1 && customSpawns.team1.length > 0) ||
-                (customSpawns.team2 && customSpawns.team2.length > 0));
+        // Get custom spawn markers from the map editor (one list per team slot)
+        const customSpawns = MapManager.normalizeSpawns(this.options.customMap?.spawns);
+        const hasCustomSpawns = customSpawns.some(list => list.length > 0);
 
         console.log('🎯 Custom spawn markers:', hasCustomSpawns ? JSON.stringify(customSpawns) : 'None');
 
         teamConfigs.forEach((config, teamIndex) => {
             const team = new Team(config.name, config.color);
-            const teamKey = teamIndex === 0 ? 'team1' : 'team2';
+            team.ai = config.ai;
+            team.player = config.player;
+
+            // Replays just play back what the CPU did
+            if (team.ai && this.isPractice && !this.isReplay) {
+                this.aiControllers.set(teamIndex, new AIController(this, teamIndex, team.ai));
+            }
 
             // Get spawn markers for this team (if any)
-            const teamMarkers = customSpawns?.[teamKey] || [];
+            const teamMarkers = customSpawns[teamIndex] || [];
             console.log(`📍 ${config.name}: ${teamMarkers.length} spawn marker(s)`);
 
             // Place koalas on terrain
@@ -290,6 +423,7 @@ export class Game extends EventEmitter {
                     spawnedPositions.push(pos);
                     const koala = new Koala(pos.x, pos.y, team);
                     koala.name = this.getKoalaName(teamIndex, i);
+                    koala.health = koala.maxHealth = this.scheme.startingHealth;
 
                     // Ensure physics state is grounded immediately
                     koala.onGround = true;
@@ -307,7 +441,9 @@ export class Game extends EventEmitter {
         // Register all koalas in spatial grid
         this.rebuildSpatialGrid();
 
+        this.buildTeamHealthUI();
         this.updateTeamHealth();
+        this.buildSpectatorInventoryUI();
     }
 
     /**
@@ -536,7 +672,7 @@ export class Game extends EventEmitter {
                 const groundY = this.terrain.getGroundY(x);
 
                 // Avoid spawning in water
-                if (groundY >= this.worldHeight - 60) continue;
+                if (groundY >= this.waterLevel) continue;
 
                 // Check for clearance around the spawn point
                 // Koala is roughly 24px wide, 30px tall
@@ -578,11 +714,9 @@ export class Game extends EventEmitter {
      * Get a fun koala name
      */
     getKoalaName(teamIndex, index) {
-        const names = [
-            ['DelinquentKoala', 'Sleepy Steve', 'Chompy Charlie'],
-            ['ChronoKoala', 'Koala Kate', 'Dropbear Dan']
-        ];
-        return names[teamIndex][index] || `Koala ${index + 1}`;
+        // Names must be unique across teams (state sync matches koalas by name)
+        const names = TEAM_PRESETS[teamIndex]?.koalaNames || [];
+        return names[index] || `Koala ${teamIndex + 1}-${index + 1}`;
     }
 
     /**
@@ -606,8 +740,10 @@ export class Game extends EventEmitter {
 
             if (!this.isPaused) {
                 const t0 = performance.now();
-                this.update(deltaTime);
+                this.advanceSimulation(deltaTime);
                 updateTime = performance.now() - t0;
+            } else if (this.camera.free) {
+                this.updateCamera(deltaTime);
             }
 
             const t1 = performance.now();
@@ -636,7 +772,10 @@ export class Game extends EventEmitter {
         } else {
             // Normal loop (no debugging overhead)
             if (!this.isPaused) {
-                this.update(deltaTime);
+                this.advanceSimulation(deltaTime);
+            } else if (this.camera.free) {
+                // Free camera keeps flying while a replay is paused
+                this.updateCamera(deltaTime);
             }
             this.render();
         }
@@ -644,6 +783,65 @@ export class Game extends EventEmitter {
         this.animationId = requestAnimationFrame((t) => this.gameLoop(t));
     }
 
+    /**
+     * Consume elapsed frame time in fixed simulation steps
+     * Leftover time carries over to the next frame and sets renderAlpha
+     */
+    advanceSimulation(deltaTime) {
+        this.accumulator += deltaTime * this.timeScale;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimestep && steps < this.maxStepsPerFrame) {
+            this.step();
+            this.accumulator -= this.fixedTimestep;
+            steps++;
+        }
+
+        // Too far behind (long frame / hidden tab) - drop the backlog
+        if (steps === this.maxStepsPerFrame) {
+            this.accumulator = Math.min(this.accumulator, this.fixedTimestep);
+        }
+
+        this.renderAlpha = Math.min(1, this.accumulator / this.fixedTimestep);
+    }
+
+    /**
+     * Advance the simulation by exactly one fixed step
+     * Headless runs call this directly (no requestAnimationFrame loop)
+     */
+    step() {
+        if (this.isGameOver || this.isPaused) return;
+
+        // Replays inject the actions logged for this tick
+        if (this.replayPlayer) {
+            this.replayPlayer.applyActions(this.simulationTick);
+        }
+
+        this.storePreviousPositions();
+        this.update(this.fixedTimestep);
+        this.simulationTick++;
+    }
+
+    /**
+     * Remember positions before a step (start point for render interpolation)
+     */
+    storePreviousPositions() {
+        for (const team of this.teams) {
+            for (const koala of team.koalas) {
+                koala.prevStepX = koala.x;
+                koala.prevStepY = koala.y;
+            }
+        }
+
+        for (const proj of this.projectiles) {
+            proj.prevStepX = proj.x;
+            proj.prevStepY = proj.y;
+        }
+
+        this.camera.prevStepX = this.camera.x;
+        this.camera.prevStepY = this.camera.y;
+    }
+
     /**
      * Start background update timer (for when tab is inactive)
      * requestAnimationFrame pauses when tab is not visible, but we need
@@ -686,7 +884,7 @@ export class Game extends EventEmitter {
             this.lastTime = now;
 
             if (!this.isPaused) {
-                this.update(deltaTime);
+                this.advanceSimulation(deltaTime);
             }
             // Skip rendering when tab is hidden (saves resources)
         }, 50); // 20 updates per second when hidden
@@ -709,10 +907,16 @@ export class Game extends EventEmitter {
         // Cap delta time to prevent physics issues (also clamp negative values)
         dt = Math.max(0, Math.min(dt, 0.05));
 
-        // Detailed profiling when debugging
-        const profile = window.debugPerformance && window.debugPerformanceDetail;
+        // Detailed profiling when debugging (globalThis so headless runs work too)
+        const profile = globalThis.debugPerformance && globalThis.debugPerformanceDetail;
         let t0, t1;
 
+        // CPU teams press their keys before this step reads the input
+        const ai = this.aiControllers.get(this.currentTeamIndex);
+        if (ai && !this.isGameOver) {
+            ai.update(dt);
+        }
+
         switch (this.phase) {
             case 'countdown':
                 this.countdownTimer -= dt;
@@ -732,6 +936,18 @@ export class Game extends EventEmitter {
                 this.updateTurnTimer(dt);
                 this.updateBlowtorch(dt);
                 break;
+            case 'rope':
+                this.updateTurnTimer(dt);
+                if (this.rope && this.phase === 'rope') {
+                    this.rope.update(dt);
+                }
+                break;
+            case 'burst':
+                this.updateTurnTimer(dt);
+                if (this.burst && this.phase === 'burst') {
+                    this.updateBurst(dt);
+                }
+                break;
             case 'retreat':
                 this.updateRetreat(dt);
                 break;
@@ -740,16 +956,29 @@ export class Game extends EventEmitter {
                 break;
         }
 
+        if (this.announcement) {
+            this.announcement.timer -= dt;
+            if (this.announcement.timer <= 0) this.announcement = null;
+        }
+
         // Always update projectiles/traps (mines need to work even during aiming)
         if (profile) t0 = performance.now();
         this.updateProjectiles(dt);
         if (profile) { t1 = performance.now(); if (t1 - t0 > 2) console.log(`  📦 Projectiles: ${(t1 - t0).toFixed(1)}ms`); }
 
+        // Fires keep burning through every phase too
+        if (profile) t0 = performance.now();
+        this.fireManager.update(dt);
+        if (profile) { t1 = performance.now(); if (t1 - t0 > 2) console.log(`  🔥 Fire: ${(t1 - t0).toFixed(1)}ms`); }
+
         // Update physics for all entities
         if (profile) t0 = performance.now();
         this.physics.update(dt);
         if (profile) { t1 = performance.now(); if (t1 - t0 > 2) console.log(`  ⚙️ Physics: ${(t1 - t0).toFixed(1)}ms`); }
 
+        // Remote koalas follow their buffered updates (after physics, so they aren't pulled off them)
+        this.motionInterpolator.update(dt);
+
         // Update spatial grid after physics (entities may have moved)
         if (profile) t0 = performance.now();
         this.rebuildSpatialGrid();
@@ -857,26 +1086,12 @@ export class Game extends EventEmitter {
             }
         }
 
-        // Also check map objects (barrels, etc.)
-        if (this.terrain.mapObjects) {
-            for (let i = this.terrain.mapObjects.length - 1; i >= 0; i--) {
-                const obj = this.terrain.mapObjects[i];
-                const dx = obj.x - hitX;
-                const dy = (obj.y - obj.height / 2) - hitY;
-                const dist = Math.hypot(dx, dy);
-
+        // Whacking an explosive barrel lights it (the authoritative client sets it off for everyone)
+        if (this.isAuthoritativeClient()) {
+            for (const barrel of this.fireManager.getBarrels()) {
+                const dist = Math.hypot(barrel.x - hitX, (barrel.y - barrel.height / 2) - hitY);
                 if (dist < weapon.range + 20) {
-                    // HIT MAP OBJECT
-                    if (obj.type === 'barrel') {
-                        // Explode barrel
-                        this.createExplosion(obj.x, obj.y, 60);
-                        this.terrain.createCrater(obj.x, obj.y, 60);
-                        this.terrain.mapObjects.splice(i, 1);
-                        this.audioManager.playExplosion('medium');
-                    } else {
-                        // Just create particles
-                        this.createExplosionParticles(obj.x, obj.y, 5, '#ccc');
-                    }
+                    this.fireManager.igniteBarrel(barrel);
                 }
             }
         }
@@ -1006,7 +1221,7 @@ export class Game extends EventEmitter {
 
                     // Play fire sound occasionally
                     if (Math.random() > 0.9) {
-                        this.audioManager.playFire('blowtorch');
+                        this.audioManager.playFire(this.weaponManager.currentWeapon?.sound);
                     }
                 }
 
@@ -1055,6 +1270,220 @@ export class Game extends EventEmitter {
         this.startRetreat();
     }
 
+    /**
+     * Start swinging on the Ninja Rope (the turn carries on once the koala lands)
+     */
+    startRope(koala, weapon, angle) {
+        this.phase = 'rope';
+        this.rope = new NinjaRope(this, koala, weapon);
+        this.rope.shoot(angle);
+
+        console.log('🪝 Ninja Rope fired by', koala.name);
+    }
+
+    /**
+     * Roping is over - back to aiming, or on to damage if the koala didn't make it
+     */
+    finishRope() {
+        const koala = this.rope?.koala;
+        this.clearRope();
+
+        if (koala && !koala.isAlive) {
+            this.phase = 'damage';
+            this.scheduleDelayedAction(500, () => this.processDamage());
+        } else {
+            this.phase = 'aiming';
+        }
+    }
+
+    /**
+     * Drop the rope without touching the phase (turn ended while roping)
+     */
+    clearRope() {
+        if (this.rope) {
+            this.rope.release();
+            this.rope = null;
+        }
+    }
+
+    /**
+     * Start a hitscan gun's burst: weapon.bullets bullets over weapon.burstTime seconds
+     */
+    startBurst(koala, weapon) {
+        this.phase = 'burst';
+        this.burst = { weapon, koala, fired: 0, timer: 0 };
+        console.log(`🔫 ${weapon.name} burst: ${weapon.bullets} bullets`);
+    }
+
+    /**
+     * Burst in progress: the shooter keeps aiming, and the player whose turn it is fires
+     * each bullet on time and sends it - everyone else fires them as they arrive
+     */
+    updateBurst(dt) {
+        const burst = this.burst;
+        this.inputManager.updateAiming(burst.koala, dt);
+
+        if (!this.isMyTurn()) return;
+
+        const weapon = burst.weapon;
+        const interval = weapon.bullets > 1 ? weapon.burstTime / (weapon.bullets - 1) : 0;
+
+        burst.timer -= dt;
+        while (this.burst === burst && burst.timer <= 0) {
+            burst.timer += interval;
+
+            const angle = burst.koala.aimAngle;
+            this.recordAction({ type: 'bullet', angle });
+            if (this.networkManager && !this.isPractice) {
+                this.networkManager.sendBullet(angle);
+            }
+            this.fireBullet(angle);
+        }
+    }
+
+    /**
+     * Fire the burst's next bullet along angle (before spread)
+     */
+    fireBullet(angle) {
+        const burst = this.burst;
+        const { weapon, koala } = burst;
+        burst.fired++;
+
+        // Spread comes from the shared seeded stream - every peer rolls it for every bullet, in order
+        const rand = () => this.seededRandom ? this.seededRandom() : Math.random();
+        const spread = (weapon.spread || 0) * Math.PI / 180;
+        const bulletAngle = angle + (rand() - 0.5) * spread;
+
+        const muzzleX = koala.x + Math.cos(bulletAngle) * 20;
+        const muzzleY = koala.y - 10 + Math.sin(bulletAngle) * 20;
+        const hit = this.castBullet(muzzleX, muzzleY, bulletAngle, weapon.range, koala);
+
+        this.addParticle({
+            type: 'tracer',
+            x: muzzleX, y: muzzleY,
+            x2: hit.x, y2: hit.y,
+            lifetime: 0.08,
+            time: 0
+        });
+        if (hit.koala || hit.terrain) {
+            for (let i = 0; i < 4; i++) {
+                this.addParticle({
+                    type: 'spark',
+                    x: hit.x, y: hit.y,
+                    vx: -Math.cos(bulletAngle) * 80 + (Math.random() - 0.5) * 120,
+                    vy: -Math.sin(bulletAngle) * 80 + (Math.random() - 0.5) * 120,
+                    size: 1.5,
+                    color: hit.koala ? '#c0392b' : '#f5d76e',
+                    lifetime: 0.3,
+                    time: 0
+                });
+            }
+        }
+
+        // The first shot went off with the trigger (fireWeapon's sound)
+        if (burst.fired > 1) {
+            this.audioManager.playFire(weapon.sound);
+        }
+
+        // Recoil kicks the aim up
+        const kick = (weapon.recoil || 0) * Math.PI / 180;
+        koala.aimAngle = angle + (Math.cos(angle) < 0 ? kick : -kick);
+
+        if (this.isAuthoritativeClient()) {
+            this.applyBulletHit(hit, bulletAngle, weapon);
+        }
+
+        if (burst.fired >= weapon.bullets) {
+            this.finishBurst();
+        }
+    }
+
+    /**
+     * Trace a bullet until it hits terrain or a koala's hitbox (or runs out of range)
+     * @returns {{ x, y, terrain: boolean, koala: Koala|null }}
+     */
+    castBullet(x, y, angle, range, shooter) {
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+
+        for (let traveled = 0; traveled <= range; traveled += 2) {
+            const px = x + dirX * traveled;
+            const py = y + dirY * traveled;
+
+            if (px < 0 || px > this.worldWidth || py < -500 || py > this.worldHeight) {
+                return { x: px, y: py, terrain: false, koala: null };
+            }
+            if (this.terrain.checkCollision(px, py)) {
+                return { x: px, y: py, terrain: true, koala: null };
+            }
+
+            for (const team of this.teams) {
+                for (const koala of team.koalas) {
+                    if (koala === shooter || !koala.isAlive) continue;
+                    if (Math.abs(px - koala.x) < koala.width / 2 && Math.abs(py - koala.y) < koala.height / 2) {
+                        return { x: px, y: py, terrain: false, koala };
+                    }
+                }
+            }
+        }
+
+        return { x: x + dirX * range, y: y + dirY * range, terrain: false, koala: null };
+    }
+
+    /**
+     * What a bullet does where it hit - ONLY on the authoritative client (synced as explosionSync)
+     */
+    applyBulletHit(hit, angle, weapon) {
+        const results = [];
+        let chipRadius = 0;
+
+        if (hit.koala) {
+            const koala = hit.koala;
+            const knockback = weapon.knockback || 0;
+            koala.vx += Math.cos(angle) * knockback;
+            koala.vy += Math.sin(angle) * knockback - knockback * 0.3; // A little lift so it slides
+            koala.onGround = false;
+
+            koala.takeDamage(weapon.damage);
+            this.audioManager.playDamage();
+            results.push({
+                koalaName: koala.name,
+                damage: weapon.damage,
+                newHealth: koala.health,
+                x: koala.x,
+                y: koala.y,
+                vx: koala.vx,
+                vy: koala.vy
+            });
+        } else if (hit.terrain && weapon.chipRadius > 0) {
+            // Chip the terrain (and set off any barrel it hit)
+            chipRadius = weapon.chipRadius;
+            this.terrain.createCrater(hit.x, hit.y, chipRadius);
+            this.fireManager.igniteBarrelsNear(hit.x, hit.y, chipRadius);
+        } else {
+            return; // Missed everything
+        }
+
+        if (this.networkManager && !this.isPractice && this.networkManager.isHost) {
+            this.networkManager.send({
+                type: 'explosionSync',
+                explosionX: hit.x,
+                explosionY: hit.y,
+                explosionRadius: chipRadius,
+                results
+            });
+        }
+    }
+
+    /**
+     * Last bullet fired - the turn goes on like after any shot
+     */
+    finishBurst() {
+        this.burst = null;
+        this.phase = 'projectile';
+        this.projectileGraceTimer = 0.1;
+    }
+
     /**
      * Update during firing phase
      */
@@ -1098,6 +1527,8 @@ export class Game extends EventEmitter {
         // Time ran out - force end turn
         if (this.turnTimer <= 0) {
             this.turnTimer = 0;
+            this.clearRope();
+            this.burst = null;
             this.phase = 'damage';
             this.scheduleDelayedAction(500, () => this.processDamage());
         }
@@ -1112,7 +1543,7 @@ export class Game extends EventEmitter {
         this.shotgunShotsRemaining = 0; // Clear multi-shot state
 
         // Update UI to show retreat timer
-        const timerEl = document.getElementById('turn-timer');
+        const timerEl = this.dom.elements.turnTimer;
         if (timerEl) {
             timerEl.classList.add('retreat-mode');
         }
@@ -1137,7 +1568,7 @@ export class Game extends EventEmitter {
         }
 
         // Update timer display
-        const timerEl = document.getElementById('turn-timer');
+        const timerEl = this.dom.elements.turnTimer;
         if (timerEl) {
             const seconds = Math.max(0, Math.ceil(this.retreatTimer));
             timerEl.textContent = seconds;
@@ -1207,6 +1638,8 @@ export class Game extends EventEmitter {
         projectile.isTriggered = false;
         projectile.triggerTimer = 0;
         projectile.shooter = null;
+        projectile.prevStepX = undefined; // Don't interpolate from the last flight
+        projectile.prevStepY = undefined;
 
         this.projectilePool.push(projectile);
     }
@@ -1232,7 +1665,8 @@ export class Game extends EventEmitter {
                     }
                 }
 
-                if (blockingCount === 0) {
+                // The turn also waits for fires to burn out
+                if (blockingCount === 0 && !this.fireManager.isBurning()) {
                     console.log(`🔄 Phase transition check: shotgunShotsRemaining=${this.shotgunShotsRemaining}, projectiles=${this.projectiles.length}`);
 
                     // Special handling for shotgun multi-shot
@@ -1256,6 +1690,18 @@ export class Game extends EventEmitter {
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const proj = this.projectiles[i];
 
+            // Sheep and moles walk themselves and go off when their time is up
+            if (proj.walker) {
+                const timeUp = proj.update(dt, this.wind);
+                if (!this.updateWalker(proj, dt)) {
+                    this.removeProjectile(i);
+                } else if (timeUp) {
+                    this.handleProjectileImpact(proj);
+                    this.removeProjectile(i);
+                }
+                continue;
+            }
+
             // Store previous position BEFORE physics updates
             const prevX = proj.x;
             const prevY = proj.y;
@@ -1288,6 +1734,13 @@ export class Game extends EventEmitter {
             }
 
             if (shouldExplode) {
+                if (shouldExplode === 'split') {
+                    // Cluster weapon splitting in mid-air - the fragments carry on
+                    this.spawnFragments(proj, proj.x, proj.y, Math.atan2(proj.vy, proj.vx), Math.hypot(proj.vx, proj.vy));
+                    this.removeProjectile(i);
+                    continue;
+                }
+
                 // Check if it's a dud (returns 'dud' string)
                 if (shouldExplode === 'dud') {
                     // Create dud smoke effect
@@ -1389,7 +1842,7 @@ export class Game extends EventEmitter {
                             proj.onTerrainHit();
                         }
                     }
-                } else if (proj.type === 'mine') {
+                } else if (proj.weapon?.sticksToTerrain) {
                     // Mines stick to terrain
                     proj.vx = 0;
                     proj.vy = 0;
@@ -1401,10 +1854,6 @@ export class Game extends EventEmitter {
                     proj.y += normal.y * 2;
 
                     this.audioManager.playBounce(); // Sound effect for landing
-                } else if (proj.type === 'rope') {
-                    // Rope hits -> Pull player
-                    this.handleRopeHit(proj);
-                    this.removeProjectile(i);
                 } else if (proj.timer !== null && proj.timerStarted) {
                     // Has timer (dynamite, etc.) - stick to terrain and wait for timer
                     proj.vx = 0;
@@ -1478,6 +1927,182 @@ export class Game extends EventEmitter {
         }
     }
 
+    /**
+     * Move a walker one step (every peer - the walk only depends on the terrain)
+     * Sheep walk like koalas (Physics.canWalkUp), turn at walls and hop small gaps;
+     * moles dig down through the ground like the blowtorch.
+     * @returns {boolean} false once it has drowned or left the world
+     */
+    updateWalker(walker, dt) {
+        if (walker.y >= this.waterLevel || walker.y > this.worldHeight + 100) {
+            console.log(`🌊 ${walker.weapon.name} drowned`);
+            return false;
+        }
+
+        if (!walker.onGround) {
+            this.updateWalkerFall(walker, dt);
+        } else if (walker.burrows) {
+            this.updateWalkerDig(walker, dt);
+        } else {
+            this.updateWalkerWalk(walker, dt);
+        }
+        return true;
+    }
+
+    /**
+     * Walker in the air: fall, bump into walls and ceilings, land
+     */
+    updateWalkerFall(walker, dt) {
+        const terrain = this.terrain;
+        const half = walker.height / 2;
+
+        walker.vy = Math.min(walker.vy + this.physics.gravity * dt, this.physics.terminalVelocity);
+        walker.rotation = 0;
+
+        // Into a wall (or the world edge) - turn round and drop
+        const nextX = walker.x + walker.vx * dt;
+        if (nextX < 0 || nextX > this.worldWidth || terrain.checkCollision(nextX, walker.y)) {
+            walker.vx = 0;
+            this.turnWalker(walker);
+        } else {
+            walker.x = nextX;
+        }
+
+        const nextY = walker.y + walker.vy * dt;
+        if (walker.vy < 0 && terrain.checkCollision(walker.x, nextY - half)) {
+            walker.vy = 0; // Head hit the ceiling
+        } else if (walker.vy >= 0 && terrain.checkCollision(walker.x, nextY + half)) {
+            walker.y = nextY;
+            this.snapWalkerToGround(walker);
+            walker.vx = 0;
+            walker.vy = 0;
+            walker.onGround = true;
+        } else {
+            walker.y = nextY;
+        }
+    }
+
+    /**
+     * Sheep on the ground: walk, step up and down, turn at walls, hop gaps
+     */
+    updateWalkerWalk(walker, dt) {
+        const terrain = this.terrain;
+        const step = walker.walkDirection * walker.walkSpeed * dt;
+        const nextX = walker.x + step;
+
+        const result = this.physics.canWalkUp(walker, step);
+        if (!result.canMove || nextX < 0 || nextX > this.worldWidth) {
+            this.turnWalker(walker);
+            return;
+        }
+
+        walker.x = nextX;
+        walker.y = result.newY;
+        if (this.snapWalkerToGround(walker)) return;
+
+        // Walked off an edge - hop if there's ground to land on just ahead, otherwise drop
+        const footY = walker.y + walker.height / 2;
+        let landing = false;
+        for (let ahead = 8; ahead <= 48 && !landing; ahead += 4) {
+            const x = walker.x + walker.walkDirection * ahead;
+            for (let dy = -8; dy <= 24; dy += 2) {
+                if (terrain.checkCollision(x, footY + dy)) {
+                    landing = true;
+                    break;
+                }
+            }
+        }
+
+        walker.onGround = false;
+        if (landing) {
+            walker.vx = walker.walkDirection * walker.walkSpeed * 1.5;
+            walker.vy = -walker.hopSpeed;
+        } else {
+            walker.vx = walker.walkDirection * walker.walkSpeed * 0.5;
+            walker.vy = 0;
+        }
+    }
+
+    /**
+     * Mole on the ground: burrow down and forward, digging a tunnel as it goes
+     * (the blowtorch's dig - a crater every 4 pixels); it drops out into open air
+     */
+    updateWalkerDig(walker, dt) {
+        const dirX = walker.walkDirection * 0.5;
+        const dirY = 0.87;
+
+        // Open air ahead (a cave, or through the bottom of an island) - fall into it
+        const reach = walker.digRadius + 2;
+        if (!this.terrain.checkCollision(walker.x + dirX * reach, walker.y + dirY * reach)) {
+            walker.onGround = false;
+            walker.vx = 0;
+            walker.vy = 0;
+            return;
+        }
+
+        const moved = walker.walkSpeed * dt;
+        walker.x += dirX * moved;
+        walker.y += dirY * moved;
+        walker.rotation = Math.atan2(dirY, dirX);
+
+        walker.digAccum += moved;
+        if (walker.digAccum >= 4) {
+            walker.digAccum = 0;
+            this.terrain.createCrater(walker.x, walker.y, walker.digRadius);
+            if (Math.random() > 0.85) {
+                this.audioManager.playDig();
+            }
+        }
+    }
+
+    /**
+     * Put a walker's feet on the ground below it (within 16px)
+     * @returns {boolean} false if there's no ground there
+     */
+    snapWalkerToGround(walker) {
+        const terrain = this.terrain;
+        const footY = walker.y + walker.height / 2;
+
+        for (let down = -2; down <= 16; down++) {
+            if (terrain.checkCollision(walker.x, footY + down)) {
+                let groundY = Math.floor(footY + down);
+                while (groundY > 0 && terrain.checkCollision(walker.x, groundY)) {
+                    groundY--;
+                }
+                walker.y = (groundY + 1) - walker.height / 2;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    turnWalker(walker) {
+        walker.walkDirection = -walker.walkDirection;
+        if (!walker.burrows) {
+            this.audioManager.playBleat();
+        }
+    }
+
+    /**
+     * Set the walker off early (fire pressed again while it walks)
+     */
+    detonateWalker() {
+        const index = this.projectiles.findIndex(proj => proj.walker);
+        if (index === -1) return;
+
+        const walker = this.projectiles[index];
+        this.recordAction({ type: 'detonate', x: walker.x, y: walker.y });
+
+        // Everyone else sets it off where ours is
+        if (this.networkManager && !this.isPractice && this.isMyTurn()) {
+            this.networkManager.sendDetonate(walker.x, walker.y);
+        }
+
+        console.log(`💥 ${walker.weapon.name} detonated at (${Math.round(walker.x)}, ${Math.round(walker.y)})`);
+        this.handleProjectileImpact(walker);
+        this.removeProjectile(index);
+    }
+
     /**
      * Handle projectile impact
      */
@@ -1487,9 +2112,19 @@ export class Game extends EventEmitter {
         // Collect explosion results for network sync
         const explosionResults = [];
 
-        // In multiplayer, only the active player calculates damage/terrain
-        // The opponent will receive synced data via explosionSync
-        const isAuthoritativeClient = this.isPractice || !this.networkManager || this.isMyTurn();
+        // In multiplayer, only the host calculates damage/terrain
+        // Everyone else receives synced data via explosionSync
+        const isAuthoritativeClient = this.isAuthoritativeClient();
+
+        // Cluster weapons throw out their fragments (before the crater, so every peer starts them from the same terrain)
+        if (weapon.fragments?.trigger === 'explosion') {
+            this.spawnFragments(projectile, projectile.x, projectile.y, -Math.PI / 2, weapon.fragments.speed);
+        }
+
+        // Incendiaries spill their flames
+        if (weapon.flames) {
+            this.fireManager.spawnFlames(projectile.x, projectile.y, weapon.flames);
+        }
 
         // Create explosion
         if (weapon.explosionRadius > 0) {
@@ -1500,9 +2135,10 @@ export class Game extends EventEmitter {
             this.createExplosion(projectile.x, projectile.y, weapon.explosionRadius);
 
             // Damage terrain - ONLY on authoritative client
-            // Non-active player will receive terrain sync via explosionSync
+            // Guests will receive terrain sync via explosionSync
             if (isAuthoritativeClient) {
                 this.terrain.createCrater(projectile.x, projectile.y, weapon.explosionRadius);
+                this.fireManager.igniteBarrelsNear(projectile.x, projectile.y, weapon.explosionRadius);
             }
 
             // Damage koalas in radius - ONLY on authoritative client
@@ -1578,9 +2214,9 @@ export class Game extends EventEmitter {
         // Create particles
         this.createExplosionParticles(projectile.x, projectile.y, weapon.explosionRadius);
 
-        // NETWORK SYNC: ALWAYS send explosion results to opponent for terrain sync
+        // NETWORK SYNC: The host ALWAYS sends explosion results for terrain sync
         // Even if no koalas were hit, we need to sync the terrain crater
-        if (this.networkManager && !this.isPractice && this.isMyTurn()) {
+        if (this.networkManager && !this.isPractice && this.networkManager.isHost) {
             this.networkManager.send({
                 type: 'explosionSync',
                 explosionX: projectile.x,
@@ -1591,6 +2227,38 @@ export class Game extends EventEmitter {
         }
     }
 
+    /**
+     * Launch a cluster weapon's fragments in a fan around baseAngle
+     * Angles, speeds and fuses come from the shared seeded stream, so every peer sees the same spread
+     */
+    spawnFragments(parent, x, y, baseAngle, baseSpeed) {
+        const fragments = parent.weapon.fragments;
+        const rand = () => this.seededRandom ? this.seededRandom() : Math.random();
+        const spread = fragments.spread * Math.PI / 180;
+
+        // Start above ground - an impact point is usually just inside the terrain
+        let spawnY = y;
+        for (let lift = 0; lift < 30 && this.terrain.checkCollision(x, spawnY); lift += 2) {
+            spawnY -= 2;
+        }
+
+        for (let i = 0; i < fragments.count; i++) {
+            const slot = fragments.count > 1 ? i / (fragments.count - 1) - 0.5 : 0;
+            const angle = baseAngle + slot * spread + (rand() - 0.5) * spread / fragments.count;
+            const speed = Math.max(baseSpeed, fragments.speed) * (0.8 + rand() * 0.4);
+            const fuse = fragments.fuse === null ? null : fragments.fuse * (0.8 + rand() * 0.4);
+
+            const fragment = this.weaponManager.createFragment(fragments, x, spawnY, angle, speed, fuse);
+            this.projectiles.push(fragment);
+
+            // Keep the camera on the action
+            if (i === 0 && this.followingProjectile === parent) {
+                this.followProjectile(fragment);
+            }
+        }
+        console.log(`💥 ${parent.weapon.name} split into ${fragments.count} fragments`);
+    }
+
     /**
      * Create explosion visual
      */
@@ -1705,20 +2373,133 @@ export class Game extends EventEmitter {
 
         this.updateTeamHealth();
 
-        // Check win condition
-        const aliveTeams = this.teams.filter(t => t.isAlive());
-        if (aliveTeams.length <= 1) {
-            this.endGame(aliveTeams[0] || null);
-            return;
-        }
+        if (this.checkGameOver()) return;
 
         // Apply fall damage and wait for physics to settle
         this.scheduleDelayedAction(anyDied ? 1000 : 300, () => {
+            this.updateSuddenDeath();
             this.applyFallDamage();
+
+            // The water may have taken a team's last koala
+            if (this.checkGameOver()) return;
             this.nextTurn();
         });
     }
 
+    /**
+     * End the match if one team (or none) is left
+     * @returns {boolean} Whether the game ended
+     */
+    checkGameOver() {
+        const aliveTeams = this.teams.filter(t => t.isAlive());
+        if (aliveTeams.length <= 1) {
+            this.endGame(aliveTeams[0] || null);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * End of turn: start sudden death once the scheme's turn / time limit is hit,
+     * then raise the water. Only the peer that rolls crates decides when it starts
+     * (the match clock differs slightly between peers); everyone raises the water
+     * from the turn number, so the level matches without further messages.
+     */
+    updateSuddenDeath() {
+        if (this.suddenDeathTurn === null && this.rollsTurnEvents()) {
+            const { suddenDeathTurns, suddenDeathMinutes } = this.scheme;
+            const minutes = this.simulationTick * this.fixedTimestep / 60;
+
+            if ((suddenDeathTurns > 0 && this.turnNumber >= suddenDeathTurns) ||
+                (suddenDeathMinutes > 0 && minutes >= suddenDeathMinutes)) {
+                this.startSuddenDeath(this.turnNumber);
+
+                // NETWORK SYNC: Tell the other players when it started
+                if (this.networkManager && !this.isPractice) {
+                    this.networkManager.send({ type: 'suddenDeath', turn: this.turnNumber });
+                }
+            }
+        }
+
+        if (this.suddenDeathTurn !== null) {
+            this.raiseWater(this.turnNumber);
+        }
+    }
+
+    /**
+     * Enter sudden death (turn = the turn that had just ended)
+     */
+    startSuddenDeath(turn) {
+        if (this.suddenDeathTurn !== null) return;
+        this.suddenDeathTurn = turn;
+
+        if (this.scheme.suddenDeathOneHp) {
+            for (const team of this.teams) {
+                for (const koala of team.koalas) {
+                    if (koala.isAlive) koala.health = 1;
+                }
+            }
+            this.updateTeamHealth();
+        }
+
+        this.announce('SUDDEN DEATH!', this.scheme.waterRise > 0 ? 'The water is rising' : '', 3);
+        this.audioManager.playTurnStart();
+        console.log(`🌊 Sudden death after turn ${turn}`);
+    }
+
+    /**
+     * Set the water for the end of a turn (one rise per turn since sudden death began)
+     */
+    raiseWater(turn) {
+        const rises = turn - this.suddenDeathTurn + 1;
+        const level = Math.max(150, this.baseWaterLevel - rises * this.scheme.waterRise);
+        if (level >= this.waterLevel) return;
+
+        this.waterLevel = level;
+        if (rises > 1) {
+            this.announce('🌊 Water rising!', '', 1.5);
+        }
+        console.log(`🌊 Water level: ${this.waterLevel}`);
+
+        // Drown anyone the water reached
+        for (const team of this.teams) {
+            for (const koala of team.koalas) {
+                this.physics.checkWaterDeath(koala);
+            }
+        }
+        this.updateTeamHealth();
+    }
+
+    /**
+     * Show a banner over the game for a few seconds
+     */
+    announce(title, subtitle, seconds) {
+        this.announcement = { title, subtitle, timer: seconds };
+    }
+
+    /**
+     * Whether this peer decides random turn events (crate drops, sudden death):
+     * practice always, the host in multiplayer, and replays only if the
+     * recording client did (otherwise they come from the log)
+     */
+    rollsTurnEvents() {
+        if (this.isReplay) return this.replayPlayer.rollsCrates();
+        return this.isPractice || Boolean(this.networkManager && this.networkManager.isHost);
+    }
+
+    /**
+     * Handle sudden death starting on the deciding peer
+     */
+    handleRemoteSuddenDeath(data) {
+        this.recordAction(data);
+        this.startSuddenDeath(data.turn);
+
+        // Arrived after this peer already finished that turn - catch the water up
+        if (this.turnNumber > data.turn) {
+            this.raiseWater(this.turnNumber - 1);
+        }
+    }
+
     /**
      * Apply fall damage to koalas that fell
      */
@@ -1727,8 +2508,9 @@ export class Game extends EventEmitter {
             for (const koala of team.koalas) {
                 // Use maxFallDistance which accumulates all falls during the turn
                 const totalFall = (koala.maxFallDistance || 0) + (koala.fallDistance || 0);
-                if (koala.isAlive && totalFall > 260) {
-                    const damage = Math.floor((totalFall - 260) / 5);
+                const threshold = this.scheme.fallDamageThreshold;
+                if (koala.isAlive && totalFall > threshold) {
+                    const damage = Math.floor((totalFall - threshold) / 5);
                     koala.takeDamage(damage);
                     console.log(`💥 ${koala.name} took ${damage} fall damage (fell ${totalFall}px)`);
                 }
@@ -1737,7 +2519,7 @@ export class Game extends EventEmitter {
                 koala.maxFallDistance = 0;
 
                 // Check if fell in water (backup check - main check is in Physics.js)
-                if (koala.isAlive && koala.y > this.worldHeight - 50) {
+                if (koala.isAlive && koala.y > this.waterLevel + 10) {
                     koala.die();
                 }
             }
@@ -1750,12 +2532,16 @@ export class Game extends EventEmitter {
      */
     startTurn() {
         this.phase = 'aiming';
+        this.clearRope();
+        this.burst = null;
+        this.turnNumber++;
         this.turnTimer = this.turnTime;
         this.randomizeWind();
         this.shotgunShotsRemaining = 0; // Reset multi-shot counter
+        this.homingTarget = null;
 
         // Update timer display
-        const timerEl = document.getElementById('turn-timer');
+        const timerEl = this.dom.elements.turnTimer;
         if (timerEl) {
             timerEl.textContent = Math.ceil(this.turnTimer);
             timerEl.classList.remove('low-time', 'retreat-mode');
@@ -1782,35 +2568,83 @@ export class Game extends EventEmitter {
         // Find next alive koala
         this.selectNextKoala();
 
+        // Replay log: turn boundary (indexes seek-by-turn)
+        this.recordAction({
+            type: 'turnEnd',
+            turn: this.turnNumber,
+            nextTeam: this.currentTeamIndex,
+            nextKoala: this.currentKoalaIndex
+        });
+        this.matchStats.onTurnStart();
+
         const koala = this.getCurrentKoala();
         if (koala) {
             // Center camera on current koala
-            this.camera.targetX = koala.x - this.canvas.width / 2;
-            this.camera.targetY = koala.y - this.canvas.height / 2;
+            if (!this.camera.free) {
+                this.camera.targetX = koala.x - this.canvas.width / 2;
+                this.camera.targetY = koala.y - this.canvas.height / 2;
+            }
 
             // Update UI
             this.updateTurnIndicator();
             this.updateWeaponUI();
         }
 
-        // NETWORK SYNC: Send full state sync at start of turn
-        // This ensures both clients are in sync
-        if (this.networkManager && !this.isPractice && this.isMyTurn()) {
+        // NETWORK SYNC: The host sends its full state at the start of every turn
+        // This keeps every client in line with the host
+        if (this.networkManager && !this.isPractice && this.networkManager.isHost) {
             this.sendFullStateSync();
         }
 
         // Check for loot crate spawn
         // Only the host triggers spawns in multiplayer, practice mode always spawns locally
-        if (this.isPractice || (this.networkManager && this.networkManager.isHost)) {
+        if (this.rollsTurnEvents()) {
             this.lootManager.onTurnStart();
         }
+
+        // Hot-seat: hide the board until the next player has the keyboard
+        if (this.needsHandoff()) {
+            this.awaitingHandoff = true;
+            this.isPaused = true;
+            this.emit('handoff', { team: this.getCurrentTeam() });
+        }
+    }
+
+    /**
+     * Hot-seat: does this turn go to a different person at the keyboard?
+     * (not with a single human - the CPU's turns don't need passing over)
+     */
+    needsHandoff() {
+        if (!this.isHotSeat || this.isReplay || this.headless) return false;
+        const team = this.getCurrentTeam();
+        const humans = this.teams.filter(t => !t.ai && t.isAlive()).length;
+        return !!team && !team.ai && humans > 1;
+    }
+
+    /**
+     * Hot-seat: the next player is ready - start their turn
+     */
+    finishHandoff() {
+        if (!this.awaitingHandoff) return;
+        this.awaitingHandoff = false;
+        this.isPaused = false;
+
+        // Keys the last player was still holding belong to them
+        this.inputManager.keys = {};
+        this.inputManager.isCharging = false;
     }
 
     /**
-     * Send a full state sync to the opponent
-     * This includes all koala positions, health, and game state
+     * Send a full state sync to every guest
      */
     sendFullStateSync() {
+        this.networkManager.send(this.createStateSync());
+    }
+
+    /**
+     * Build a state sync message: all koala positions, health, and game state
+     */
+    createStateSync() {
         const koalas = [];
         for (const team of this.teams) {
             for (const koala of team.koalas) {
@@ -1827,14 +2661,14 @@ export class Game extends EventEmitter {
             }
         }
 
-        this.networkManager.send({
+        return {
             type: 'stateSync',
             koalas,
             currentTeamIndex: this.currentTeamIndex,
             currentKoalaIndex: this.currentKoalaIndex,
             phase: this.phase,
             wind: this.wind
-        });
+        };
     }
 
     /**
@@ -1897,6 +2731,9 @@ export class Game extends EventEmitter {
      * End current turn
      */
     endTurn() {
+        // Whatever the other player walked to, everyone settles on it now
+        this.motionInterpolator.finish();
+
         this.phase = 'damage';
         this.processDamage();
     }
@@ -1905,6 +2742,10 @@ export class Game extends EventEmitter {
      * Move to next turn
      */
     nextTurn() {
+        // The turn has settled - compare it with the other peers, credit its damage
+        this.desyncMonitor.onTurnEnd();
+        this.matchStats.onTurnEnd();
+
         this.nextTeam();
         this.selectNextKoala();
         this.startTurn();
@@ -1929,13 +2770,28 @@ export class Game extends EventEmitter {
             return;
         }
 
+        // Homing weapons fly at the point locked with a click first
+        const lockTarget = weapon.homing ? this.homingTarget : null;
+        if (weapon.homing && !lockTarget) {
+            console.log(`${weapon.name} needs a target - click to lock one`);
+            this.audioManager.playClick();
+            return;
+        }
+
         console.log('Firing weapon:', weapon.name, 'angle:', angle, 'power:', power);
 
+        // Fuse (and lock) go in the log too - a replay can't see the timer keys
+        this.recordAction({
+            type: 'fire', weaponId: weapon.id, angle, power, x: koala.x, y: koala.y, timer: this.weaponManager.timer,
+            ...(lockTarget && { targetX: lockTarget.x, targetY: lockTarget.y })
+        });
+        this.matchStats.onShot();
+
         // Play fire sound
-        this.audioManager.playFire(weapon.id);
+        this.audioManager.playFire(weapon.sound);
 
         // Handle Melee (Bat)
-        if (weapon.type === 'melee') {
+        if (weapon.behavior === 'melee') {
             this.handleMeleeSwing(koala, weapon, angle);
 
             // Melee weapons don't create projectiles
@@ -1957,7 +2813,7 @@ export class Game extends EventEmitter {
         }
 
         // Handle Blowtorch
-        if (weapon.type === 'blowtorch') {
+        if (weapon.behavior === 'blowtorch') {
             this.activateBlowtorch(koala, weapon);
 
             // Decrement ammo
@@ -1967,8 +2823,38 @@ export class Game extends EventEmitter {
             return;
         }
 
+        // Handle Ninja Rope (others follow the rope's state messages)
+        if (weapon.behavior === 'rope') {
+            this.startRope(koala, weapon, angle);
+
+            // Decrement ammo (firing again mid-swing is free)
+            if (weapon.ammo !== Infinity) {
+                weapon.ammo--;
+            }
+
+            if (this.networkManager && !this.isPractice && this.isMyTurn()) {
+                this.networkManager.sendFire(weapon.id, angle, power, koala.x, koala.y);
+            }
+            return;
+        }
+
+        // Handle hitscan guns (a burst of bullets; the aim can still move while it fires)
+        if (weapon.behavior === 'hitscan') {
+            this.startBurst(koala, weapon);
+
+            // Decrement ammo
+            if (weapon.ammo !== Infinity) {
+                weapon.ammo--;
+            }
+
+            if (this.networkManager && !this.isPractice && this.isMyTurn()) {
+                this.networkManager.sendFire(weapon.id, angle, power, koala.x, koala.y);
+            }
+            return;
+        }
+
         // Handle Shotgun (scatter pellets with 2 shots per turn)
-        if (weapon.type === 'shotgun') {
+        if (weapon.behavior === 'pellets') {
             // Initialize shots remaining on first shot
             if (this.shotgunShotsRemaining === 0) {
                 this.shotgunShotsRemaining = weapon.shotsPerTurn || 2;
@@ -2006,7 +2892,7 @@ export class Game extends EventEmitter {
             console.log(`🔫 Shotgun blast! ${pelletCount} pellets, ${this.shotgunShotsRemaining} shots remaining`);
 
             // Play fire sound
-            this.audioManager.playFire(weapon.id);
+            this.audioManager.playFire(weapon.sound);
 
             // Network sync
             if (this.networkManager && !this.isPractice && this.isMyTurn()) {
@@ -2035,7 +2921,11 @@ export class Game extends EventEmitter {
         const spawnY = (koala.y - 10) + Math.sin(angle) * spawnOffset;
 
         // Create projectile using WeaponManager
-        const projectile = this.weaponManager.createProjectile(spawnX, spawnY, angle, power);
+        // Walkers are set down beside the koala instead, walking the way it aims
+        const walkDirection = Math.cos(angle) < 0 ? -1 : 1;
+        const projectile = weapon.behavior === 'walker'
+            ? this.weaponManager.createWalker(koala.x + walkDirection * 15, koala.y - 5, walkDirection)
+            : this.weaponManager.createProjectile(spawnX, spawnY, angle, power);
 
         if (!projectile) {
             console.error('Failed to create projectile');
@@ -2046,12 +2936,17 @@ export class Game extends EventEmitter {
         // Track the shooter so we don't damage them with their own projectile
         projectile.shooter = koala;
 
+        if (lockTarget) {
+            projectile.homingTarget = { ...lockTarget };
+            this.homingTarget = null;
+        }
+
         this.projectiles.push(projectile);
         console.log('Projectile created at:', spawnX.toFixed(0), spawnY.toFixed(0), 'shooter:', koala.name);
 
-        // Special handling for dynamite - start retreat immediately
-        if (weapon.type === 'dynamite') {
-            console.log('💣 Dynamite placed! Starting retreat...');
+        // Dropped explosives (dynamite) - start retreat immediately
+        if (weapon.retreatOnFire) {
+            console.log(`💣 ${weapon.name} placed! Starting retreat...`);
             this.startRetreat();
         } else {
             // Follow projectile with camera for normal weapons
@@ -2060,7 +2955,22 @@ export class Game extends EventEmitter {
 
         // Send to network (only if this is our turn)
         if (this.networkManager && !this.isPractice && this.isMyTurn()) {
-            this.networkManager.sendFire(weapon.id, angle, power, koala.x, koala.y);
+            this.networkManager.sendFire(weapon.id, angle, power, koala.x, koala.y, lockTarget);
+        }
+    }
+
+    /**
+     * Lock the point a homing weapon will fly at (a click while one is selected)
+     */
+    lockHomingTarget(targetX, targetY) {
+        this.homingTarget = { x: targetX, y: targetY };
+        this.recordAction({ type: 'lockTarget', targetX, targetY });
+        this.audioManager.playTimerTick();
+        console.log(`🎯 Target locked at (${Math.round(targetX)}, ${Math.round(targetY)})`);
+
+        // Everyone else sees the lock-on marker too
+        if (this.networkManager && !this.isPractice && this.isMyTurn()) {
+            this.networkManager.sendLockTarget(targetX, targetY);
         }
     }
 
@@ -2080,8 +2990,11 @@ export class Game extends EventEmitter {
 
         console.log('Firing targetted weapon:', weapon.name, 'at', targetX, targetY);
 
+        this.recordAction({ type: 'targetWeapon', weaponId: weapon.id, targetX, targetY });
+        this.matchStats.onShot();
+
         // Play fire sound
-        this.audioManager.playFire(weapon.id);
+        this.audioManager.playFire(weapon.sound);
 
         // Decrement ammo
         if (weapon.ammo !== Infinity) {
@@ -2090,7 +3003,7 @@ export class Game extends EventEmitter {
             this.updateWeaponUI();
         }
 
-        switch (weapon.type) {
+        switch (weapon.behavior) {
             case 'teleport':
                 this.executeTeleport(koala, targetX, targetY);
                 break;
@@ -2098,7 +3011,7 @@ export class Game extends EventEmitter {
                 this.executeAirstrike(targetX, targetY, weapon);
                 break;
             default:
-                console.warn('Unknown targetted weapon:', weapon.type);
+                console.warn('Unknown targetted weapon:', weapon.behavior);
                 return;
         }
 
@@ -2169,7 +3082,7 @@ export class Game extends EventEmitter {
         // Use bounding box check to handle small empty pixels in terrain
 
         // Define the maximum scan depth - go to just above water level
-        const waterLevel = this.worldHeight - 80;
+        const waterLevel = this.waterLevel - 20;
 
         if (!isAreaClear(targetX, dropY)) {
             let foundClear = false;
@@ -2243,46 +3156,21 @@ export class Game extends EventEmitter {
             const missileY = 50; // Start from top of world
 
             // Create a proper Projectile instance (using pool if available)
-            let proj = this.getProjectileFromPool();
-
-            if (proj) {
-                // Reuse pooled projectile
-                proj.x = missileX;
-                proj.y = missileY;
-                proj.vx = 0;
-                proj.vy = 300; // Fall downward
-                proj.type = 'airstrike';
-                proj.weapon = weapon;
-                proj.gravityMultiplier = 0.5;
-                proj.affectedByWind = false;
-                proj.bounces = false;
-                proj.timer = null;
-                proj.timerStarted = false;
-                proj.timeOnGround = 0;
-                proj.bounceCount = 0;
-                proj.triggeredByProximity = false;
-                proj.isTriggered = false;
-                proj.triggerTimer = 0;
-                proj.stationary = false;
-                proj.destroyed = false;
-                proj.shooter = null;
-                proj.rotation = Math.PI / 2; // Point downward
-            } else {
-                // Pool empty, create new
-                proj = new Projectile({
-                    x: missileX,
-                    y: missileY,
-                    vx: 0,
-                    vy: 300, // Fall downward
-                    type: 'airstrike',
-                    weapon: weapon,
-                    gravityMultiplier: 0.5,
-                    affectedByWind: false,
-                    bounces: false
-                });
-                // Override rotation to point downward
-                proj.rotation = Math.PI / 2;
-            }
+            const options = {
+                x: missileX,
+                y: missileY,
+                vx: 0,
+                vy: 300, // Fall downward
+                type: weapon.id,
+                weapon: weapon,
+                timer: null,
+                gravityMultiplier: 0.5,
+                affectedByWind: false,
+                bounces: false
+            };
+            const pooled = this.getProjectileFromPool();
+            const proj = pooled ? pooled.reset(options) : new Projectile(options);
+            proj.rotation = Math.PI / 2; // Point downward
 
             this.projectiles.push(proj);
 
@@ -2332,31 +3220,6 @@ export class Game extends EventEmitter {
         }
     }
 
-    /**
-     * Handle Ninja Rope logic (Grapple Pull)
-     */
-    handleRopeHit(proj) {
-        if (!proj.shooter) return;
-        const player = proj.shooter;
-
-        // Calculate vector to hit point
-        const dx = proj.x - player.x;
-        const dy = proj.y - player.y;
-        const dist = Math.hypot(dx, dy);
-
-        if (dist > 0) {
-            // Pull player towards hook
-            // Give a strong impulse
-            const speed = 1200;
-            player.vx = (dx / dist) * speed;
-            player.vy = (dy / dist) * speed * 1.5; // Extra vertical boost
-            player.onGround = false;
-
-            // Audio
-            // this.audioManager.playRope(); // If exists
-        }
-    }
-
     /**
      * Start following a projectile with camera (uses main update loop)
      */
@@ -2386,8 +3249,18 @@ export class Game extends EventEmitter {
      * Update camera position
      */
     updateCamera(dt) {
-        // Follow projectile if tracking one (O(1) check using destroyed flag)
-        if (this.followingProjectile && !this.followingProjectile.destroyed) {
+        // Free camera (replays): pan with WASD/arrows, never auto-follow
+        if (this.camera.free) {
+            const keys = this.inputManager.keys;
+            const panSpeed = 800 / this.camera.zoom;
+            if (keys['KeyA'] || keys['ArrowLeft']) this.camera.targetX -= panSpeed * dt;
+            if (keys['KeyD'] || keys['ArrowRight']) this.camera.targetX += panSpeed * dt;
+            if (keys['KeyW'] || keys['ArrowUp']) this.camera.targetY -= panSpeed * dt;
+            if (keys['KeyS'] || keys['ArrowDown']) this.camera.targetY += panSpeed * dt;
+        } else if (this.rope) {
+            this.camera.targetX = this.rope.koala.x - this.canvas.width / 2;
+            this.camera.targetY = this.rope.koala.y - this.canvas.height / 2;
+        } else if (this.followingProjectile && !this.followingProjectile.destroyed) {
             this.camera.targetX = this.followingProjectile.x - this.canvas.width / 2;
             this.camera.targetY = this.followingProjectile.y - this.canvas.height / 2;
         } else if (this.followingProjectile) {
@@ -2474,13 +3347,33 @@ export class Game extends EventEmitter {
             if (!this.isPractice && this.networkManager) {
                 const isMyTurn = this.isMyTurn();
                 const turnText = isMyTurn ? 'Your Turn!' : 'Opponent\'s Turn';
-                indicator.innerHTML = `<span id="current-team" style="color: ${team.color}; ${isMyTurn ? 'font-weight: bold; text-shadow: 0 0 10px ' + team.color : ''}">${team.name}</span> - ${turnText}`;
+                const name = this.createTurnTeamName(team);
+                if (isMyTurn) {
+                    name.style.fontWeight = 'bold';
+                    name.style.textShadow = `0 0 10px ${team.color}`;
+                }
+                indicator.replaceChildren(name, ` - ${turnText}`);
+            } else if (team.ai) {
+                indicator.replaceChildren(this.createTurnTeamName(team), ' - 🤖 CPU\'s Turn');
+            } else if (team.player) {
+                indicator.replaceChildren(this.createTurnTeamName(team), ` - ${team.player}'s Turn`);
             } else {
-                indicator.innerHTML = `<span id="current-team" style="color: ${team.color}">${team.name}</span>'s Turn`;
+                indicator.replaceChildren(this.createTurnTeamName(team), '\'s Turn');
             }
         }
     }
 
+    /**
+     * The turn indicator's team name in its colour (names are typed by players - text only, never HTML)
+     */
+    createTurnTeamName(team) {
+        const name = document.createElement('span');
+        name.id = 'current-team';
+        name.textContent = team.name;
+        name.style.color = team.color;
+        return name;
+    }
+
     updateTimerDisplay() {
         const el = this.dom.elements.turnTimer;
         if (el) {
@@ -2525,19 +3418,120 @@ export class Game extends EventEmitter {
         }
     }
 
+    /**
+     * Create one health bar row per team (teams vary per match)
+     */
+    buildTeamHealthUI() {
+        const container = this.dom.elements.teamHealth;
+        if (!container) return;
+
+        container.innerHTML = '';
+        const rows = [];
+
+        for (const team of this.teams) {
+            const row = document.createElement('div');
+            row.className = 'team-hp';
+
+            const name = document.createElement('span');
+            name.className = 'team-name';
+            name.textContent = team.name.replace(/ Team$/, '');
+            name.style.color = team.color;
+
+            const bar = document.createElement('div');
+            bar.className = 'hp-bar';
+            const fill = document.createElement('div');
+            fill.style.background = team.color;
+            bar.appendChild(fill);
+
+            const value = document.createElement('span');
+
+            row.append(name, bar, value);
+            container.appendChild(row);
+            rows.push({ row, fill, value });
+        }
+
+        this.dom.lists.teamHealthRows = rows;
+    }
+
+    /**
+     * Spectators: one inventory row per team (players only ever see the team whose turn it is)
+     */
+    buildSpectatorInventoryUI() {
+        const container = this.dom.elements.spectatorInventory;
+        if (!container) return;
+
+        container.classList.toggle('hidden', !this.isSpectator);
+        container.innerHTML = '';
+        if (!this.isSpectator) return;
+
+        const rows = [];
+        for (const team of this.teams) {
+            const row = document.createElement('div');
+            row.className = 'team-inventory';
+
+            const name = document.createElement('span');
+            name.className = 'team-name';
+            name.textContent = team.name.replace(/ Team$/, '');
+            name.style.color = team.color;
+
+            const weapons = document.createElement('div');
+            weapons.className = 'inventory-weapons';
+
+            row.append(name, weapons);
+            container.appendChild(row);
+            rows.push(weapons);
+        }
+
+        this.dom.lists.spectatorInventoryRows = rows;
+        this.updateSpectatorInventory();
+    }
+
+    /**
+     * Refresh the spectator inventory rows (limited weapons only - the rest never run out)
+     */
+    updateSpectatorInventory() {
+        const rows = this.dom.lists.spectatorInventoryRows;
+        if (!this.isSpectator || !rows) return;
+
+        this.teams.forEach((team, index) => {
+            const weapons = rows[index];
+            if (!weapons) return;
+
+            weapons.innerHTML = '';
+            for (const weapon of Object.values(team.weapons)) {
+                if (weapon.ammo === Infinity) continue;
+
+                const slot = document.createElement('span');
+                slot.className = 'inventory-weapon';
+                slot.classList.toggle('empty', weapon.ammo <= 0);
+                slot.title = weapon.name;
+
+                const icon = document.createElement('img');
+                icon.src = weapon.icon;
+                icon.alt = weapon.name;
+
+                slot.append(icon, String(weapon.ammo));
+                weapons.appendChild(slot);
+            }
+        });
+    }
+
     updateTeamHealth() {
+        const rows = this.dom.lists.teamHealthRows || [];
+
         for (let i = 0; i < this.teams.length; i++) {
             const team = this.teams[i];
             const totalHealth = team.getTotalHealth();
-            const maxHealth = team.koalas.length * 100;
+            const maxHealth = team.koalas.reduce((sum, koala) => sum + koala.maxHealth, 0);
             const percent = (totalHealth / maxHealth) * 100;
 
             // Use cached elements
-            const fillEl = i === 0 ? this.dom.elements.redHpFill : this.dom.elements.blueHpFill;
-            const valueEl = i === 0 ? this.dom.elements.redHpValue : this.dom.elements.blueHpValue;
+            const row = rows[i];
+            if (!row) continue;
 
-            if (fillEl) fillEl.style.width = percent + '%';
-            if (valueEl) valueEl.textContent = totalHealth;
+            row.fill.style.width = percent + '%';
+            row.value.textContent = totalHealth;
+            row.row.classList.toggle('eliminated', totalHealth <= 0);
         }
     }
 
@@ -2555,27 +3549,30 @@ export class Game extends EventEmitter {
             this.audioManager.playDefeat();
         }
 
+        // The final turn never reaches nextTurn
+        this.matchStats.onTurnEnd();
+
         this.emit('gameOver', {
             winner: winningTeam,
-            stats: this.calculateStats()
+            stats: this.calculateStats(winningTeam)
         });
     }
 
     /**
-     * Calculate end-game stats
+     * Calculate end-game stats (match totals and a row per team)
      */
-    calculateStats() {
-        let totalDamage = 0;
-        let totalKills = 0;
+    calculateStats(winningTeam = null) {
+        const teams = this.matchStats.getTeamResults(winningTeam);
+        const totalDamage = teams.reduce((sum, team) => sum + team.damageDealt, 0);
 
+        let totalKills = 0;
         for (const team of this.teams) {
             for (const koala of team.koalas) {
-                totalDamage += koala.damageDealt || 0;
                 if (!koala.isAlive) totalKills++;
             }
         }
 
-        return { totalDamage, totalKills };
+        return { totalDamage, totalKills, teams };
     }
 
     /**
@@ -2602,13 +3599,60 @@ export class Game extends EventEmitter {
      * Render the game
      */
     render() {
+        if (!this.renderer) return;
+
+        // Draw moving things between the last two simulation steps, then
+        // put the simulated positions back so the next step is unaffected
+        const restore = this.applyRenderInterpolation();
         this.renderer.render();
+        for (let i = 0; i < restore.length; i += 3) {
+            restore[i].x = restore[i + 1];
+            restore[i].y = restore[i + 2];
+        }
+    }
+
+    /**
+     * Move koalas, projectiles and camera to their interpolated render positions
+     * Returns a flat [entity, x, y, ...] list of the simulated positions to restore
+     */
+    applyRenderInterpolation() {
+        const restore = [];
+        const alpha = this.renderAlpha;
+        if (alpha >= 1) return restore;
+
+        const interpolate = (entity) => {
+            if (entity.prevStepX === undefined) return;
+
+            const dx = entity.x - entity.prevStepX;
+            const dy = entity.y - entity.prevStepY;
+
+            // Teleports and respawns should snap, not slide
+            if (dx * dx + dy * dy > 100 * 100) return;
+
+            restore.push(entity, entity.x, entity.y);
+            entity.x = entity.prevStepX + dx * alpha;
+            entity.y = entity.prevStepY + dy * alpha;
+        };
+
+        for (const team of this.teams) {
+            for (const koala of team.koalas) {
+                interpolate(koala);
+            }
+        }
+        for (const proj of this.projectiles) {
+            interpolate(proj);
+        }
+        interpolate(this.camera);
+
+        return restore;
     }
 
     /**
      * Handle window resize
      */
     handleResize() {
+        if (this.headless) return;
+
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
     }
@@ -2617,6 +3661,8 @@ export class Game extends EventEmitter {
      * Update weapon UI (ammo counts) - Optimized with DOM caching
      */
     updateWeaponUI() {
+        this.updateSpectatorInventory();
+
         // Use cached weapon elements array (no querySelector!)
         const weaponEls = this.dom.weaponArray;
         const currentWeaponId = this.weaponManager.currentWeapon?.id;
@@ -2700,7 +3746,7 @@ export class Game extends EventEmitter {
                     if (dist < 25) { // Collection radius
                         // Heal koala
                         const healAmount = 25;
-                        koala.health = Math.min(100, koala.health + healAmount);
+                        koala.health = Math.min(koala.maxHealth, koala.health + healAmount);
 
                         // Visual effects
                         this.createExplosionParticles(powerup.x, powerup.y, 10, '#2ecc71');
@@ -2766,21 +3812,45 @@ export class Game extends EventEmitter {
 
         // Reset game state
         this.teams = [];
+        this.aiControllers.clear();
+        this.rope = null;
+        this.burst = null;
         this.projectiles = [];
         this.particles = [];
+        this.fireManager.clear();
         this.currentTeamIndex = 0;
         this.currentKoalaIndex = 0;
         this.isGameOver = false;
         this.isPaused = false;
+        this.awaitingHandoff = false;
         this.phase = 'waiting';
         this.turnTimer = this.turnTime;
+        this.turnNumber = 0;
+        this.accumulator = 0;
+        this.simulationTick = 0;
+        this.waterLevel = this.baseWaterLevel;
+        this.suddenDeathTurn = null;
+        this.announcement = null;
+        this.matchStats.reset();
+
+        // New seed drawn from the shared stream, so both peers agree and the
+        // rematch can be replayed from its own seed
+        this.gameSeed = Math.floor(this.seededRandom() * 1000000);
+        this.createRandomStreams();
+        this.currentMap = null;
 
         // Regenerate terrain
+        this.terrain.setSeededRandom(this.seededRandom);
         this.terrain.generate();
 
         // Create new teams
         this.createTeams();
 
+        // Restart replay recording for the rematch
+        if (this.replayRecorder) {
+            this.replayRecorder.start();
+        }
+
         // Reset wind
         this.randomizeWind();
 
@@ -2792,12 +3862,15 @@ export class Game extends EventEmitter {
         // Reset input manager state
         this.inputManager.isCharging = false;
 
-        // Start first turn
-        this.startTurn();
+        // Same countdown as a fresh match (keeps rematch replays in step)
+        this.phase = 'countdown';
+        this.countdownTimer = 3.5;
 
         // Restart game loop
-        this.lastTime = performance.now();
-        this.gameLoop();
+        if (!this.headless) {
+            this.lastTime = performance.now();
+            this.gameLoop();
+        }
 
         console.log('Game reset complete!');
     }
@@ -2820,6 +3893,10 @@ export class Game extends EventEmitter {
         }
 
         this.inputManager.destroy();
+
+        if (this.networkManager && this.networkManager.actionValidator === this.actionValidator) {
+            this.networkManager.actionValidator = null;
+        }
     }
 
     // ==================== MULTIPLAYER NETWORK HANDLERS ====================
@@ -2828,12 +3905,45 @@ export class Game extends EventEmitter {
      * Check if current turn belongs to the local player
      */
     isMyTurn() {
+        // Nobody controls a replay (or a match waiting for a dropped player or a hot-seat
+        // handoff); spectators never do
+        if (this.isReplay || this.isSpectator || this.waitingForPlayer || this.awaitingHandoff) {
+            return false;
+        }
         if (this.isPractice || !this.networkManager) {
             return true; // Always our turn in practice mode
         }
         return this.networkManager.isMyTurn(this.currentTeamIndex);
     }
 
+    /**
+     * Is the current team played by the CPU? (player input is ignored meanwhile)
+     */
+    isAITurn() {
+        return this.aiControllers.has(this.currentTeamIndex);
+    }
+
+    /**
+     * Check if this client computes damage/terrain for the current turn: the host
+     * in multiplayer, so a modified guest can't decide its own hits
+     * (replays mirror whichever client recorded them)
+     */
+    isAuthoritativeClient() {
+        if (this.isReplay) {
+            return this.replayPlayer.wasAuthoritative(this.currentTeamIndex);
+        }
+        return this.isPractice || !this.networkManager || this.networkManager.isHost;
+    }
+
+    /**
+     * Log a game action (network message shape) for the match replay
+     */
+    recordAction(action) {
+        if (this.replayRecorder) {
+            this.replayRecorder.record(action);
+        }
+    }
+
     /**
      * Handle remote player firing a weapon
      */
@@ -2844,12 +3954,20 @@ export class Game extends EventEmitter {
         if (!koala) return;
 
         // Set up the koala's state from remote data
+        this.motionInterpolator.clear();
         koala.x = data.x;
         koala.y = data.y;
         koala.aimAngle = data.angle;
 
         // Fire the weapon
         this.weaponManager.selectWeapon(data.weaponId);
+        if (data.timer !== undefined) {
+            this.weaponManager.setTimer(data.timer);
+        }
+        if (data.targetX !== undefined) {
+            // The lock travels with the shot, in case its lockTarget message was lost
+            this.homingTarget = { x: data.targetX, y: data.targetY };
+        }
         this.fireWeapon(data.angle, data.power);
     }
 
@@ -2860,10 +3978,18 @@ export class Game extends EventEmitter {
         const koala = this.getCurrentKoala();
         if (!koala) return;
 
-        // Update koala position
-        koala.x = data.x;
-        koala.y = data.y;
-        koala.facingLeft = data.facingLeft;
+        this.recordAction(data);
+
+        // Replays carry every step - play them as they are
+        if (this.isReplay) {
+            koala.x = data.x;
+            koala.y = data.y;
+            koala.facingLeft = data.facingLeft;
+            return;
+        }
+
+        // Network updates come in a few times a second - walk between them
+        this.motionInterpolator.pushMove(koala, data);
     }
 
     /**
@@ -2873,7 +3999,37 @@ export class Game extends EventEmitter {
         const koala = this.getCurrentKoala();
         if (!koala) return;
 
-        koala.aimAngle = data.angle;
+        this.recordAction(data);
+
+        if (this.isReplay) {
+            koala.aimAngle = data.angle;
+            return;
+        }
+        this.motionInterpolator.pushAim(koala, data);
+    }
+
+    /**
+     * Handle a remote homing target lock
+     */
+    handleRemoteLockTarget(data) {
+        this.lockHomingTarget(data.targetX, data.targetY);
+    }
+
+    /**
+     * Handle a remote walker detonation
+     */
+    handleRemoteDetonate(data) {
+        this.recordAction(data);
+
+        const index = this.projectiles.findIndex(proj => proj.walker);
+        if (index === -1) return;
+
+        // Blow up where the player saw it go off
+        const walker = this.projectiles[index];
+        walker.x = data.x;
+        walker.y = data.y;
+        this.handleProjectileImpact(walker);
+        this.removeProjectile(index);
     }
 
     /**
@@ -2882,6 +4038,7 @@ export class Game extends EventEmitter {
     handleRemoteTargetWeapon(data) {
         console.log('🎯 Remote target weapon:', data);
 
+        this.motionInterpolator.clear();
         this.weaponManager.selectWeapon(data.weaponId);
         const weapon = this.weaponManager.currentWeapon;
 
@@ -2895,12 +4052,46 @@ export class Game extends EventEmitter {
      */
     handleRemoteWeaponSelect(data) {
         console.log('🔫 Remote weapon select:', data.weaponId);
+        this.recordAction(data);
 
         // Select the weapon on this client
         this.weaponManager.selectWeapon(data.weaponId);
         this.updateWeaponUI();
     }
 
+    /**
+     * Handle remote Ninja Rope state (swing snapshot or end of roping)
+     */
+    handleRemoteRope(data) {
+        this.recordAction(data);
+        this.motionInterpolator.clear();
+
+        if (!this.rope) {
+            console.warn('⚠️ Rope state received with no rope in use');
+            return;
+        }
+
+        if (data.event === 'end') {
+            this.rope.applyEnd(data);
+            this.finishRope();
+        } else {
+            this.rope.applyState(data);
+        }
+    }
+
+    /**
+     * Handle a remote hitscan bullet
+     */
+    handleRemoteBullet(data) {
+        this.recordAction(data);
+
+        if (!this.burst) {
+            console.warn('⚠️ Bullet received with no burst in progress');
+            return;
+        }
+        this.fireBullet(data.angle);
+    }
+
     /**
      * Handle remote turn end signal
      */
@@ -2947,11 +4138,12 @@ export class Game extends EventEmitter {
     }
 
     /**
-     * Handle explosion sync from remote player
-     * This applies the authoritative damage/knockback values from the active player
+     * Handle explosion sync from the host
+     * This applies the authoritative damage/knockback values
      */
     handleRemoteExplosionSync(data) {
         console.log('💥 Remote explosion sync:', data);
+        this.recordAction(data);
 
         // IMPORTANT: Apply terrain damage at the EXACT synced position
         // This ensures both clients have identical terrain
@@ -3005,8 +4197,10 @@ export class Game extends EventEmitter {
      */
     handleRemoteJump(data) {
         console.log('🦘 Remote jump:', data);
+        this.recordAction(data);
         const koala = this.getCurrentKoala();
         if (koala) {
+            this.motionInterpolator.clear();
             koala.x = data.x;
             koala.y = data.y;
             koala.vx = data.vx || 0;
@@ -3021,8 +4215,10 @@ export class Game extends EventEmitter {
      */
     handleRemoteHighJump(data) {
         console.log('🦘 Remote high jump:', data);
+        this.recordAction(data);
         const koala = this.getCurrentKoala();
         if (koala) {
+            this.motionInterpolator.clear();
             koala.x = data.x;
             koala.y = data.y;
             koala.vx = data.vx;
@@ -3040,6 +4236,8 @@ export class Game extends EventEmitter {
      */
     handleRemoteStateSync(data) {
         console.log('🔄 Remote state sync');
+        this.recordAction(data);
+        this.motionInterpolator.clear();
 
         // Sync all koala positions
         if (data.koalas) {
@@ -3083,4 +4281,236 @@ export class Game extends EventEmitter {
         this.updateTeamHealth();
         this.updateTurnIndicator();
     }
+
+    /**
+     * Another peer's end-of-turn state hash
+     */
+    handleRemoteStateHash(data) {
+        this.desyncMonitor.handleRemoteHash(data);
+    }
+
+    /**
+     * Take over the host's full state after a desync: rebuild the untouched terrain,
+     * then apply the host's snapshot (which re-digs every crater)
+     */
+    async resync(snapshot) {
+        console.log('🔄 Resyncing to the host');
+
+        if (this.currentMap && !this.headless) {
+            await this.loadCustomMap(this.currentMap);
+        } else if (this.options.terrainMask && this.headless) {
+            this.terrain.loadMask(this.options.terrainMask);
+        } else {
+            // Same stream position the terrain was first generated from
+            this.terrain.setSeededRandom(this.createSeededRandom(this.gameSeed));
+            this.terrain.generate();
+            this.terrain.setSeededRandom(this.seededRandom);
+        }
+        this.terrain.craters = [];
+
+        this.applySnapshot(snapshot);
+        this.desyncMonitor.clear();
+    }
+
+    /**
+     * Freeze the match while a dropped player reconnects (no simulation, no input)
+     */
+    setWaitingForPlayer(waiting) {
+        this.waitingForPlayer = waiting;
+        this.isPaused = waiting;
+        this.inputManager.isCharging = false;
+    }
+
+    /**
+     * Knock out teams whose player left the match for good
+     */
+    forfeitTeams(teamIndexes) {
+        if (teamIndexes.length === 0 || this.isGameOver) return;
+
+        for (const index of teamIndexes) {
+            for (const koala of this.teams[index]?.koalas || []) {
+                koala.health = 0;
+                koala.die();
+            }
+        }
+        this.updateTeamHealth();
+
+        if (this.checkGameOver()) return;
+
+        // Their turn was in progress - move on
+        if (teamIndexes.includes(this.currentTeamIndex) && this.phase !== 'damage') {
+            this.clearRope();
+            this.endTurn();
+        }
+    }
+
+    /**
+     * Full authoritative state for a reconnecting player: terrain changes since
+     * the start (craters), koalas, projectiles, crates, inventories, wind, turn,
+     * timers and the shared random streams
+     */
+    createSnapshot() {
+        return {
+            tick: this.simulationTick,
+            phase: this.phase,
+            turnNumber: this.turnNumber,
+            turnTimer: this.turnTimer,
+            retreatTimer: this.retreatTimer,
+            countdownTimer: this.countdownTimer,
+            wind: this.wind,
+            currentTeamIndex: this.currentTeamIndex,
+            currentKoalaIndex: this.currentKoalaIndex,
+            shotgunShotsRemaining: this.shotgunShotsRemaining,
+            waterLevel: this.waterLevel,
+            suddenDeathTurn: this.suddenDeathTurn,
+            random: {
+                shared: this.seededRandom.state,
+                loot: this.lootRandom.state,
+                ai: this.aiRandom.state,
+                fire: this.fireRandom.state
+            },
+            craters: this.terrain.craters.map(crater => [...crater]),
+            weapon: {
+                id: this.weaponManager.currentWeapon?.id,
+                timer: this.weaponManager.timer,
+                homingTarget: this.homingTarget
+            },
+            teams: this.teams.map(team => ({
+                currentKoalaIndex: team.currentKoalaIndex,
+                lastSelectedWeapon: team.lastSelectedWeapon,
+                ammo: Object.fromEntries(Object.values(team.weapons).map(weapon =>
+                    [weapon.id, weapon.ammo === Infinity ? 'infinite' : weapon.ammo])),
+                koalas: team.koalas.map(({ team, ...koala }) => koala)
+            })),
+            projectiles: this.projectiles.map(({ weapon, shooter, trail, ...projectile }) => ({
+                ...projectile,
+                weaponId: weapon?.id,
+                shooter: shooter ? this.getKoalaRef(shooter) : null
+            })),
+            crates: this.lootManager.getSnapshot(),
+            fire: this.fireManager.getSnapshot(),
+            rope: this.rope ? {
+                weaponId: this.rope.weapon.id,
+                koala: this.getKoalaRef(this.rope.koala),
+                state: this.rope.getState()
+            } : null,
+            burst: this.burst ? {
+                weaponId: this.burst.weapon.id,
+                koala: this.getKoalaRef(this.burst.koala),
+                fired: this.burst.fired,
+                timer: this.burst.timer
+            } : null
+        };
+    }
+
+    /**
+     * Take over a snapshot from the host (after reconnecting)
+     */
+    applySnapshot(snapshot) {
+        console.log(`📸 Applying snapshot (turn ${snapshot.turnNumber})`);
+        this.motionInterpolator.clear();
+
+        // Terrain: replay the craters this peer hasn't dug yet
+        for (const crater of snapshot.craters.slice(this.terrain.craters.length)) {
+            this.terrain.createCrater(...crater);
+        }
+
+        this.seededRandom.state = snapshot.random.shared;
+        this.lootRandom.state = snapshot.random.loot;
+        this.aiRandom.state = snapshot.random.ai;
+        this.fireRandom.state = snapshot.random.fire;
+
+        snapshot.teams.forEach((teamState, teamIndex) => {
+            const team = this.teams[teamIndex];
+            if (!team) return;
+
+            team.currentKoalaIndex = teamState.currentKoalaIndex;
+            team.lastSelectedWeapon = teamState.lastSelectedWeapon;
+            for (const [weaponId, ammo] of Object.entries(teamState.ammo)) {
+                if (team.weapons[weaponId]) {
+                    team.weapons[weaponId].ammo = ammo === 'infinite' ? Infinity : ammo;
+                }
+            }
+            teamState.koalas.forEach((koalaState, koalaIndex) => {
+                if (team.koalas[koalaIndex]) Object.assign(team.koalas[koalaIndex], koalaState);
+            });
+        });
+
+        // Projectiles in flight
+        for (const projectile of this.projectiles) {
+            this.returnProjectileToPool(projectile);
+        }
+        this.projectiles = snapshot.projectiles.map(({ weaponId, shooter, ...state }) => {
+            const weapon = weaponRegistry.getProjectileWeapon(weaponId);
+            return Object.assign(new Projectile({ ...state, weapon }), state, {
+                weapon,
+                shooter: shooter ? this.getKoalaByRef(shooter) : null
+            });
+        });
+
+        this.lootManager.applySnapshot(snapshot.crates);
+        this.fireManager.applySnapshot(snapshot.fire);
+
+        this.rope = null;
+        if (snapshot.rope) {
+            const koala = this.getKoalaByRef(snapshot.rope.koala);
+            this.rope = new NinjaRope(this, koala, weaponRegistry.get(snapshot.rope.weaponId));
+            this.rope.applyState({ ...snapshot.rope.state, x: koala.x, y: koala.y, vx: koala.vx, vy: koala.vy, facingLeft: koala.facingLeft });
+        }
+
+        this.burst = null;
+        if (snapshot.burst) {
+            const { weaponId, koala, fired, timer } = snapshot.burst;
+            this.burst = { weapon: weaponRegistry.get(weaponId), koala: this.getKoalaByRef(koala), fired, timer };
+        }
+
+        // A turn that was ending here is picked up where the host has it
+        const wasEndingTurn = this.phase === 'damage';
+
+        this.simulationTick = snapshot.tick;
+        this.turnNumber = snapshot.turnNumber;
+        this.turnTimer = snapshot.turnTimer;
+        this.retreatTimer = snapshot.retreatTimer;
+        this.countdownTimer = snapshot.countdownTimer;
+        this.wind = snapshot.wind;
+        this.currentTeamIndex = snapshot.currentTeamIndex;
+        this.currentKoalaIndex = snapshot.currentKoalaIndex;
+        this.shotgunShotsRemaining = snapshot.shotgunShotsRemaining;
+        this.waterLevel = snapshot.waterLevel;
+        this.suddenDeathTurn = snapshot.suddenDeathTurn;
+
+        // A charge in progress can't be resumed - back to aiming
+        this.phase = snapshot.phase === 'firing' ? 'aiming' : snapshot.phase;
+
+        const team = this.teams[this.currentTeamIndex];
+        if (team) {
+            this.weaponManager.weapons = team.weapons;
+            this.weaponManager.selectWeapon(snapshot.weapon.id || 'bazooka');
+        }
+        this.weaponManager.setTimer(snapshot.weapon.timer);
+        this.homingTarget = snapshot.weapon.homingTarget || null;
+
+        this.rebuildSpatialGrid();
+        this.updateTeamHealth();
+        this.updateTurnIndicator();
+        this.updateWeaponUI();
+        this.updateWindDisplay();
+
+        // No end-of-turn scheduled on this peer (it rejoined from scratch) - run one
+        if (this.phase === 'damage' && !wasEndingTurn) {
+            this.processDamage();
+        }
+    }
+
+    /**
+     * [teamIndex, koalaIndex] for a koala (snapshots can't hold object references)
+     */
+    getKoalaRef(koala) {
+        const teamIndex = this.teams.findIndex(team => team.koalas.includes(koala));
+        return [teamIndex, teamIndex === -1 ? -1 : this.teams[teamIndex].koalas.indexOf(koala)];
+    }
+
+    getKoalaByRef([teamIndex, koalaIndex]) {
+        return this.teams[teamIndex]?.koalas[koalaIndex] || null;
+    }
 }
@@ -0,0 +1,144 @@
+/**
+ * Headless Terrain - Canvas-free terrain for simulations and CI
+ * Keeps only the collision mask in memory (same RGBA layout as Terrain.imageData,
+ * only the alpha channel is used) so Game, Physics and weapons run unchanged in Node.
+ */
+
+import { Terrain } from './Terrain.js';
+
+export class HeadlessTerrain extends Terrain {
+    /**
+     * No canvases - the collision mask IS the terrain
+     */
+    createCanvases() {
+        this.canvas = null;
+        this.ctx = null;
+        this.maskCanvas = null;
+        this.maskCtx = null;
+
+        this.imageData = {
+            width: this.width,
+            height: this.height,
+            data: new Uint8ClampedArray(this.width * this.height * 4)
+        };
+    }
+
+    /**
+     * Generate rolling hills straight into the mask (uses seeded random when set)
+     */
+    generate() {
+        this.craters = [];
+
+        const data = this.imageData.data;
+        data.fill(0);
+
+        const heightMap = this.generateComplexHeightMap();
+        for (let x = 0; x < this.width; x++) {
+            const top = Math.floor(heightMap[x]);
+            for (let y = top; y < this.height; y++) {
+                data[(y * this.width + x) * 4 + 3] = 255;
+            }
+        }
+
+        this.mapObjects = [];
+    }
+
+    /**
+     * Load a collision mask
+     * @param {ArrayLike<number>} mask - width * height values, truthy = solid
+     */
+    loadMask(mask) {
+        const data = this.imageData.data;
+        const count = this.width * this.height;
+
+        if (mask.length !== count) {
+            throw new Error(`Terrain mask must have ${count} entries, got ${mask.length}`);
+        }
+
+        for (let i = 0; i < count; i++) {
+            data[i * 4 + 3] = mask[i] ? 255 : 0;
+        }
+    }
+
+    /**
+     * Export the collision mask (1 = solid, 0 = air)
+     */
+    getMask() {
+        const data = this.imageData.data;
+        const mask = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = data[i * 4 + 3] > 128 ? 1 : 0;
+        }
+        return mask;
+    }
+
+    /**
+     * Mask is the source of truth - nothing to copy from a visual canvas
+     */
+    updateCollisionMask() {
+    }
+
+    /**
+     * Get ground surfaces at X by scanning the mask (mirrors Terrain.getVisualGroundY)
+     */
+    getVisualGroundY(x) {
+        x = Math.floor(x);
+        if (x < 0 || x >= this.width) return [];
+
+        const data = this.imageData.data;
+        const surfaces = [];
+        let previousWasAir = true;
+        let airStreak = 10;
+
+        for (let y = 0; y < this.height - 10; y++) {
+            const isSolid = data[(y * this.width + x) * 4 + 3] >= 128;
+
+            if (previousWasAir && isSolid) {
+                if (airStreak >= 3) {
+                    surfaces.push(y);
+                }
+                airStreak = 0;
+            } else if (!isSolid) {
+                airStreak++;
+            }
+
+            previousWasAir = !isSolid;
+        }
+        return surfaces;
+    }
+
+    /**
+     * Remove terrain in a circle
+     * The canvas crater's soft edge crosses the 50% alpha threshold at ~0.85 * radius,
+     * so that is the radius cleared here to keep both modes in agreement
+     */
+    createCrater(cx, cy, radius) {
+        this.craters.push([cx, cy, radius]);
+
+        const data = this.imageData.data;
+        const r = radius * 0.85;
+        const rSq = r * r;
+
+        const minX = Math.max(0, Math.floor(cx - r));
+        const maxX = Math.min(this.width - 1, Math.ceil(cx + r));
+        const minY = Math.max(0, Math.floor(cy - r));
+        const maxY = Math.min(this.height - 1, Math.ceil(cy + r));
+
+        for (let y = minY; y <= maxY; y++) {
+            const dy = y + 0.5 - cy;
+            for (let x = minX; x <= maxX; x++) {
+                const dx = x + 0.5 - cx;
+                if (dx * dx + dy * dy <= rSq) {
+                    data[(y * this.width + x) * 4 + 3] = 0;
+                }
+            }
+        }
+    }
+
+    /**
+     * Headless terrain has nothing to draw
+     */
+    getCanvas() {
+        return null;
+    }
+}
@@ -2,6 +2,13 @@
  * Input Manager - Handles keyboard, mouse, and touch input
  */
 
+/**
+ * Is the keyboard busy typing into a text field (chat)? Game keys ignore it
+ */
+export function isTypingTarget(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
+
 export class InputManager {
     constructor(game) {
         this.game = game;
@@ -17,6 +24,9 @@ export class InputManager {
         this.moveSpeed = 12;
         this.aimSpeed = 2;
 
+        // Headless games are driven by a scripted feed (see Simulation.js)
+        if (this.game.headless) return;
+
         // Bind event handlers
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
@@ -55,6 +65,9 @@ export class InputManager {
         if (!this.weaponBar) return;
 
         this.handleWeaponClick = (e) => {
+            // The CPU picks its own weapons
+            if (this.game.isAITurn()) return;
+
             const weaponEl = e.target.closest('.weapon');
             if (weaponEl && !weaponEl.classList.contains('disabled')) {
                 const weaponId = weaponEl.dataset.weapon;
@@ -69,7 +82,7 @@ export class InputManager {
      * Select a weapon
      */
     selectWeapon(weaponId) {
-        // Block weapon selection if not our turn or during countdown
+        // Block weapon selection if not our turn (never for spectators) or during countdown
         if (!this.game.isMyTurn() || this.game.phase === 'countdown') {
             return;
         }
@@ -90,12 +103,11 @@ export class InputManager {
             team.lastSelectedWeapon = weaponId;
         }
 
-        // NETWORK SYNC: Send weapon selection to opponent
+        // NETWORK SYNC: Send weapon selection to opponent (and log it for replays)
+        const action = { type: 'weaponSelect', weaponId };
+        this.game.recordAction(action);
         if (this.game.networkManager && !this.game.isPractice) {
-            this.game.networkManager.send({
-                type: 'weaponSelect',
-                weaponId
-            });
+            this.game.networkManager.send(action);
         }
     }
 
@@ -103,8 +115,6 @@ export class InputManager {
      * Handle key down
      */
     handleKeyDown(e) {
-        this.keys[e.code] = true;
-
         // F3 to toggle performance debugging (always allowed)
         if (e.code === 'F3') {
             window.debugPerformance = !window.debugPerformance;
@@ -113,6 +123,18 @@ export class InputManager {
             return;
         }
 
+        // Typing in the chat - the keys are letters, not moves
+        if (isTypingTarget(e.target)) {
+            return;
+        }
+
+        // The CPU is playing this turn - the keys it holds live here too
+        if (this.game.isAITurn()) {
+            return;
+        }
+
+        this.keys[e.code] = true;
+
         // Block game actions if it's not our turn or during countdown
         if (!this.game.isMyTurn() || this.game.phase === 'countdown') {
             return;
@@ -134,16 +156,30 @@ export class InputManager {
         if (e.code === 'Space') {
             e.preventDefault(); // Prevent spacebar from triggering focused buttons
 
+            // A held Space's auto-repeat isn't another press - it would fire, let go
+            // of the rope or set off the walker the moment the repeat kicks in
+            if (e.repeat) return;
+
             if (this.game.phase === 'aiming') {
                 const weapon = this.game.weaponManager.currentWeapon;
-                // Instant activation for melee and blowtorch
-                if (weapon && (weapon.type === 'melee' || weapon.type === 'blowtorch')) {
+                // Instant activation for melee, blowtorch, rope, walkers and hitscan guns
+                const instant = ['melee', 'blowtorch', 'rope', 'walker', 'hitscan'];
+                if (weapon && instant.includes(weapon.behavior)) {
                     const koala = this.game.getCurrentKoala();
                     this.game.fireWeapon(koala.aimAngle, 1.0);
+                } else if (weapon && weapon.homing && !this.game.homingTarget) {
+                    // Homing weapons need a target locked with a click first
+                    this.game.audioManager.playClick();
                 } else if (weapon && !weapon.targetted) {
                     // Don't start charging for targetted weapons (use mouse click instead)
                     this.startCharging();
                 }
+            } else if (this.game.phase === 'rope' && this.game.rope) {
+                // Let go of the rope, or fire it again mid-air
+                this.game.rope.trigger();
+            } else if (this.game.phase === 'projectile') {
+                // Second press sets off a walking sheep or mole
+                this.game.detonateWalker();
             }
         }
 
@@ -167,6 +203,10 @@ export class InputManager {
      * Handle key up
      */
     handleKeyUp(e) {
+        if (this.game.isAITurn()) {
+            return;
+        }
+
         this.keys[e.code] = false;
 
         // Release space to fire
@@ -185,8 +225,9 @@ export class InputManager {
         this.mouse.x = (e.clientX - rect.left) / this.game.camera.zoom + this.game.camera.x;
         this.mouse.y = (e.clientY - rect.top) / this.game.camera.zoom + this.game.camera.y;
 
-        // Update aim angle based on mouse position
-        if (this.game.phase === 'aiming' || this.game.phase === 'firing') {
+        // Update aim angle based on mouse position (the CPU aims with its own virtual mouse)
+        const aimPhase = ['aiming', 'firing', 'rope', 'burst'].includes(this.game.phase);
+        if (aimPhase && !this.game.isAITurn()) {
             this.updateAimFromMouse();
         }
 
@@ -210,8 +251,8 @@ export class InputManager {
             // Ignore clicks right after refocusing window
             if (!this.windowFocused) return;
 
-            // Block game actions if it's not our turn or during countdown
-            if (!this.game.isMyTurn() || this.game.phase === 'countdown') {
+            // Block game actions if it's not our turn, the CPU's turn or during countdown
+            if (!this.game.isMyTurn() || this.game.isAITurn() || this.game.phase === 'countdown') {
                 return;
             }
 
@@ -233,23 +274,37 @@ export class InputManager {
 
                     // Fire the targetted weapon
                     this.game.fireTargettedWeapon(weapon, worldX, worldY);
-                } else if (weapon && weapon.type === 'melee') {
+                } else if (weapon && weapon.homing) {
+                    // Clicks (re)lock a homing weapon's target - Space fires it
+                    const rect = this.game.canvas.getBoundingClientRect();
+                    const worldX = (e.clientX - rect.left) / this.game.camera.zoom + this.game.camera.x;
+                    const worldY = (e.clientY - rect.top) / this.game.camera.zoom + this.game.camera.y;
+                    this.game.lockHomingTarget(worldX, worldY);
+                } else if (weapon && weapon.behavior === 'melee') {
                     // Melee hits are instant
                     const koala = this.game.getCurrentKoala();
                     this.game.fireWeapon(koala.aimAngle, 1.0); // Full power swing
-                } else if (weapon && weapon.type === 'blowtorch') {
+                } else if (weapon && weapon.behavior === 'blowtorch') {
                     // Blowtorch activates immediately without charging
                     const koala = this.game.getCurrentKoala();
                     this.game.fireWeapon(0, 1.0); // Angle/power don't matter for blowtorch
+                } else if (weapon && (weapon.behavior === 'rope' || weapon.behavior === 'walker' || weapon.behavior === 'hitscan')) {
+                    // Rope, walkers and guns go at full speed, no charging
+                    const koala = this.game.getCurrentKoala();
+                    this.game.fireWeapon(koala.aimAngle, 1.0);
                 } else {
                     this.startCharging();
                 }
+            } else if (this.game.phase === 'rope' && this.game.rope) {
+                this.game.rope.trigger();
+            } else if (this.game.phase === 'projectile') {
+                this.game.detonateWalker();
             }
         } else if (e.button === 2) { // Right click
             this.mouse.rightDown = true;
 
             // Cancel charging if currently charging (only if it's our turn)
-            if (this.isCharging && this.game.isMyTurn()) {
+            if (this.isCharging && this.game.isMyTurn() && !this.game.isAITurn()) {
                 this.cancelCharge();
             }
         }
@@ -262,7 +317,7 @@ export class InputManager {
         if (e.button === 0) {
             this.mouse.down = false;
 
-            if (this.isCharging) {
+            if (this.isCharging && !this.game.isAITurn()) {
                 this.releaseCharge();
             }
         } else if (e.button === 2) {
@@ -326,14 +381,11 @@ export class InputManager {
         // Only sync if angle actually changed significantly
         if (Math.abs(newAngle - koala.aimAngle) > 0.01) {
             koala.aimAngle = newAngle;
+            this.game.recordAction({ type: 'aim', angle: koala.aimAngle });
 
-            // NETWORK SYNC: Send aim update to opponent (throttled)
+            // NETWORK SYNC: Send aim update to opponent (NetworkManager rate limits it)
             if (this.game.networkManager && !this.game.isPractice) {
-                const now = performance.now();
-                if (!this.lastMouseAimSync || now - this.lastMouseAimSync > 66) {
-                    this.game.networkManager.sendAim(koala.aimAngle);
-                    this.lastMouseAimSync = now;
-                }
+                this.game.networkManager.sendAim(koala.aimAngle);
             }
         }
     }
@@ -354,13 +406,14 @@ export class InputManager {
             return;
         }
 
-        // WASD or Arrow key movement
+        // WASD or Arrow key movement (not while a gun fires - only the aim moves then)
+        const canWalk = this.game.phase !== 'burst';
         let moveDir = 0;
-        if (this.keys['KeyA'] || this.keys['ArrowLeft']) {
+        if (canWalk && (this.keys['KeyA'] || this.keys['ArrowLeft'])) {
             moveDir = -1;
             koala.facingLeft = true;
         }
-        if (this.keys['KeyD'] || this.keys['ArrowRight']) {
+        if (canWalk && (this.keys['KeyD'] || this.keys['ArrowRight'])) {
             moveDir = 1;
             koala.facingLeft = false;
         }
@@ -419,20 +472,28 @@ export class InputManager {
             koala.facingLeft = Math.abs(koala.aimAngle) > Math.PI / 2;
         }
 
-        // NETWORK SYNC: Send position and aim updates to opponent (throttled)
-        if (this.game.networkManager && !this.game.isPractice) {
-            const now = performance.now();
+        // Replay log gets every step (unthrottled) so playback walks the same path
+        if (positionChanged) {
+            this.game.recordAction({
+                type: 'move',
+                x: koala.x,
+                y: koala.y,
+                facingLeft: koala.facingLeft,
+                vx: koala.vx,
+                vy: koala.vy
+            });
+        }
+        if (aimChanged) {
+            this.game.recordAction({ type: 'aim', angle: koala.aimAngle });
+        }
 
-            // Throttle position updates to 20 times per second (every 50ms)
-            if (positionChanged && (!this.lastMoveSync || now - this.lastMoveSync > 50)) {
+        // NETWORK SYNC: Send position and aim updates to opponent (NetworkManager rate limits them)
+        if (this.game.networkManager && !this.game.isPractice) {
+            if (positionChanged) {
                 this.game.networkManager.sendMove(koala.x, koala.y, koala.facingLeft);
-                this.lastMoveSync = now;
             }
-
-            // Throttle aim updates to 15 times per second (every 66ms)
-            if (aimChanged && (!this.lastAimSync || now - this.lastAimSync > 66)) {
+            if (aimChanged) {
                 this.game.networkManager.sendAim(koala.aimAngle);
-                this.lastAimSync = now;
             }
         }
     }
@@ -499,14 +560,15 @@ export class InputManager {
      * Start charging power
      */
     startCharging() {
-        if (this.game.phase !== 'aiming') return;
+        // Spectators only watch
+        if (this.game.phase !== 'aiming' || this.game.isSpectator) return;
 
         this.isCharging = true;
         this.game.phase = 'firing';
         this.game.weaponManager.startCharge();
 
         // Show power bar
-        document.getElementById('power-bar-container').classList.remove('hidden');
+        this.setPowerBarVisible(true);
     }
 
     /**
@@ -516,7 +578,7 @@ export class InputManager {
         this.isCharging = false;
 
         const koala = this.game.getCurrentKoala();
-        if (!koala) return;
+        if (!koala || this.game.isSpectator) return;
 
         const power = this.game.weaponManager.getPower();
 
@@ -527,8 +589,7 @@ export class InputManager {
         this.game.fireWeapon(koala.aimAngle, power);
 
         // Hide power bar
-        document.getElementById('power-bar-container').classList.add('hidden');
-        document.getElementById('power-fill').style.width = '0%';
+        this.setPowerBarVisible(false);
     }
 
     /**
@@ -543,18 +604,32 @@ export class InputManager {
         this.game.weaponManager.isCharging = false;
 
         // Hide power bar
-        document.getElementById('power-bar-container').classList.add('hidden');
-        document.getElementById('power-fill').style.width = '0%';
+        this.setPowerBarVisible(false);
 
         console.log('🚫 Charge cancelled');
     }
 
+    /**
+     * Show or hide (and reset) the power bar using cached elements
+     */
+    setPowerBarVisible(visible) {
+        const container = this.game.dom.elements.powerBarContainer;
+        if (container) {
+            container.classList.toggle('hidden', !visible);
+        }
+
+        const fill = this.game.dom.elements.powerFill;
+        if (fill && !visible) {
+            fill.style.width = '0%';
+        }
+    }
+
     /**
      * Make koala jump (forward hop)
      */
     jump() {
         const koala = this.game.getCurrentKoala();
-        if (!koala || !koala.onGround) return;
+        if (!koala || !koala.onGround || this.game.isSpectator) return;
 
         // Forward hop - less height, more horizontal movement
         koala.vy = -250; // Lower jump
@@ -562,15 +637,17 @@ export class InputManager {
         koala.onGround = false;
         koala.isJumping = true;
 
-        // NETWORK SYNC: Send jump to opponent
+        // NETWORK SYNC: Send jump to opponent (and log it for replays)
+        const action = {
+            type: 'jump',
+            x: koala.x,
+            y: koala.y,
+            vx: koala.vx,
+            vy: koala.vy
+        };
+        this.game.recordAction(action);
         if (this.game.networkManager && !this.game.isPractice) {
-            this.game.networkManager.send({
-                type: 'jump',
-                x: koala.x,
-                y: koala.y,
-                vx: koala.vx,
-                vy: koala.vy
-            });
+            this.game.networkManager.send(action);
         }
     }
 
@@ -579,7 +656,7 @@ export class InputManager {
      */
     highJump() {
         const koala = this.game.getCurrentKoala();
-        if (!koala || !koala.onGround) return;
+        if (!koala || !koala.onGround || this.game.isSpectator) return;
 
         // Backflip - higher jump with backward movement and spin
         koala.vy = -450; // Much stronger
@@ -588,16 +665,18 @@ export class InputManager {
         koala.isBackflipping = true;
         koala.backflipRotation = 0; // Start spin
 
-        // NETWORK SYNC: Send high jump to opponent
+        // NETWORK SYNC: Send high jump to opponent (and log it for replays)
+        const action = {
+            type: 'highJump',
+            x: koala.x,
+            y: koala.y,
+            vx: koala.vx,
+            vy: koala.vy,
+            facingLeft: koala.facingLeft
+        };
+        this.game.recordAction(action);
         if (this.game.networkManager && !this.game.isPractice) {
-            this.game.networkManager.send({
-                type: 'highJump',
-                x: koala.x,
-                y: koala.y,
-                vx: koala.vx,
-                vy: koala.vy,
-                facingLeft: koala.facingLeft
-            });
+            this.game.networkManager.send(action);
         }
     }
 
@@ -605,6 +684,8 @@ export class InputManager {
      * Clean up event listeners
      */
     destroy() {
+        if (this.game.headless) return;
+
         window.removeEventListener('keydown', this.handleKeyDown);
         window.removeEventListener('keyup', this.handleKeyUp);
         this.game.canvas.removeEventListener('mousemove', this.handleMouseMove);
@@ -2,12 +2,14 @@
  * LootManager - Handles weighted random loot crate spawning
  */
 
+import { weaponRegistry } from '../weapons/WeaponRegistry.js';
+
 export class LootManager {
     constructor(game) {
         this.game = game;
 
         // Global settings
-        this.crateDropChance = 0.20; // 20% chance per turn
+        this.crateDropChance = game.scheme.crateChance / 100; // Chance per turn (scheme is in %)
         this.maxCratesOnMap = 5;
 
         // Active crates on the map
@@ -26,14 +28,7 @@ export class LootManager {
             { id: 'health_large', name: 'Large Health Pack', weight: 15, healAmount: 100, rarity: 'rare' }
         ];
 
-        // Weapon loot table
-        this.weaponLootTable = [
-            { id: 'grenade', name: 'Grenade Crate', weight: 35, ammo: 2, rarity: 'common' },
-            { id: 'dynamite', name: 'Dynamite Crate', weight: 25, ammo: 1, rarity: 'uncommon' },
-            { id: 'teleport', name: 'Teleport Crate', weight: 15, ammo: 1, rarity: 'rare' },
-            { id: 'airstrike', name: 'Airstrike Crate', weight: 15, ammo: 1, rarity: 'rare' },
-            { id: 'holygrenade', name: 'Holy Hand Grenade Crate', weight: 10, ammo: 1, rarity: 'legendary' }
-        ];
+        // Weapon crates come from each weapon definition's "loot" entry (see WeaponRegistry)
 
         // Rarity colors for visual effects
         this.rarityColors = {
@@ -45,10 +40,11 @@ export class LootManager {
     }
 
     /**
-     * Get a random function (uses seeded random if available for multiplayer sync)
+     * Get a random function (uses the seeded loot stream if available)
+     * Loot has its own stream because only the host rolls crates
      */
     random() {
-        return this.game.seededRandom ? this.game.seededRandom() : Math.random();
+        return this.game.lootRandom ? this.game.lootRandom() : Math.random();
     }
 
     /**
@@ -94,15 +90,19 @@ export class LootManager {
             return null; // No spawn this turn
         }
 
-        // Determine category
-        const category = this.selectCategory();
+        // Determine category (health only if no weapon definition drops in crates)
+        const weaponLootTable = weaponRegistry.getLootTable();
+        let category = this.selectCategory();
+        if (weaponLootTable.length === 0) {
+            category = 'health';
+        }
 
         // Select specific item from that category
         let item;
         if (category === 'health') {
             item = this.selectFromLootTable(this.healthLootTable);
         } else {
-            item = this.selectFromLootTable(this.weaponLootTable);
+            item = this.selectFromLootTable(weaponLootTable);
         }
 
         // Find spawn position
@@ -135,13 +135,14 @@ export class LootManager {
      */
     handleRemoteCrateSpawn(data) {
         console.log('📦 Remote crate spawn:', data);
+        this.game.recordAction(data);
 
         // Find the item from loot tables
         let item;
         if (data.category === 'health') {
             item = this.healthLootTable.find(i => i.id === data.itemId);
         } else {
-            item = this.weaponLootTable.find(i => i.id === data.itemId);
+            item = weaponRegistry.getLootTable().find(i => i.id === data.itemId);
         }
 
         if (item) {
@@ -149,6 +150,27 @@ export class LootManager {
         }
     }
 
+    /**
+     * Crates on the map, with items as ids (reconnect snapshots)
+     */
+    getSnapshot() {
+        return this.crates.map(({ item, ...crate }) => ({ ...crate, itemId: item.id }));
+    }
+
+    /**
+     * Replace the crates with a snapshot's
+     */
+    applySnapshot(crates) {
+        this.crates = [];
+        for (const { itemId, ...crate } of crates) {
+            const table = crate.category === 'health' ? this.healthLootTable : weaponRegistry.getLootTable();
+            const item = table.find(i => i.id === itemId);
+            if (item) {
+                this.crates.push({ ...crate, item });
+            }
+        }
+    }
+
     /**
      * Find a valid spawn position for a crate
      */
@@ -163,7 +185,7 @@ export class LootManager {
             // Find ground Y using terrain raycast
             const groundY = this.game.terrain.findGroundY(x);
 
-            if (groundY === null || groundY < 50 || groundY > this.game.worldHeight - 100) {
+            if (groundY === null || groundY < 50 || groundY > this.game.waterLevel - 40) {
                 continue; // Invalid position
             }
 
@@ -295,7 +317,7 @@ export class LootManager {
             // Heal the koala
             const healAmount = crate.item.healAmount;
             const oldHealth = koala.health;
-            koala.health = Math.min(100, koala.health + healAmount);
+            koala.health = Math.min(koala.maxHealth, koala.health + healAmount);
             const actualHeal = koala.health - oldHealth;
 
             console.log(`❤️ ${koala.name} collected ${crate.item.name}: +${actualHeal} HP`);
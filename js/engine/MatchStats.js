@@ -0,0 +1,84 @@
+/**
+ * Match Stats - Per-team (per-player) numbers for the game over screen
+ * Each turn's damage and kills go to the team whose turn it was, worked out from
+ * koala health at the start and end of the turn - so every way of getting hurt
+ * (explosions, falls, water, mines, barrels) counts without hooks in each of them.
+ */
+
+export class MatchStats {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        this.teams = [];       // By team index: { damageDealt, selfDamage, kills, shots, turns }
+        this.turnStart = null; // { teamIndex, koalas: [{ koala, health, isAlive }] } while a turn runs
+    }
+
+    statsFor(teamIndex) {
+        if (!this.teams[teamIndex]) {
+            this.teams[teamIndex] = { damageDealt: 0, selfDamage: 0, kills: 0, shots: 0, turns: 0 };
+        }
+        return this.teams[teamIndex];
+    }
+
+    /**
+     * Remember everyone's health as the turn begins
+     */
+    onTurnStart() {
+        const game = this.game;
+        this.statsFor(game.currentTeamIndex).turns++;
+        this.turnStart = {
+            teamIndex: game.currentTeamIndex,
+            koalas: game.teams.flatMap(team => team.koalas.map(koala => ({ koala, health: koala.health, isAlive: koala.isAlive })))
+        };
+    }
+
+    /**
+     * The current team fired (each shotgun blast counts)
+     */
+    onShot() {
+        this.statsFor(this.game.currentTeamIndex).shots++;
+    }
+
+    /**
+     * Credit the turn's damage and kills to whoever's turn it was
+     */
+    onTurnEnd() {
+        if (!this.turnStart) return;
+
+        const { teamIndex, koalas } = this.turnStart;
+        const stats = this.statsFor(teamIndex);
+        const ownKoalas = this.game.teams[teamIndex]?.koalas || [];
+
+        for (const { koala, health, isAlive } of koalas) {
+            const lost = Math.max(0, health - (koala.isAlive ? koala.health : 0));
+            const own = ownKoalas.includes(koala);
+            if (own) {
+                stats.selfDamage += lost;
+            } else {
+                stats.damageDealt += lost;
+                if (isAlive && !koala.isAlive) stats.kills++;
+            }
+        }
+        this.turnStart = null;
+    }
+
+    /**
+     * One row per team, best first (the winner, then whoever is left, then by damage)
+     * @param {Team|null} winner
+     */
+    getTeamResults(winner) {
+        return this.game.teams
+            .map((team, index) => ({
+                name: team.name,
+                color: team.color,
+                player: team.player,
+                winner: team === winner,
+                survivors: team.getAliveCount(),
+                ...this.statsFor(index)
+            }))
+            .sort((a, b) => (b.winner - a.winner) || (b.survivors - a.survivors) || (b.damageDealt - a.damageDealt));
+    }
+}
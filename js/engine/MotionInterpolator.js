@@ -0,0 +1,237 @@
+/**
+ * Motion Interpolator - Smooths the koala another player is walking and aiming
+ * Their move / aim updates arrive a few times a second with network jitter, so rather
+ * than snapping to each one we buffer them and play them back INTERPOLATION_DELAY
+ * behind, blending between the two updates around that time. When the next update is
+ * late the koala keeps going the way it was for a moment, then eases back onto the
+ * last position we know.
+ */
+
+// How far behind the sender we play their updates back (s)
+const INTERPOLATION_DELAY = 0.1;
+
+// How long we keep a koala moving past its newest update (s)
+const MAX_EXTRAPOLATION = 0.15;
+
+// Updates further apart than this (s) are separate walks - no speed carries over
+const MAX_SAMPLE_GAP = 0.25;
+
+// A position this far from where the koala is shown (px) is a jump, not a step
+const SNAP_DISTANCE = 200;
+
+// How quickly an overshooting koala eases back onto its last known position (1/s)
+const SETTLE_RATE = 12;
+
+const BUFFER_LIMIT = 32;
+
+export class MotionInterpolator {
+    constructor(game) {
+        this.game = game;
+
+        this.time = 0;           // Our clock (s), advanced by update()
+        this.koala = null;       // Whose updates are buffered
+        this.moves = [];         // { time, x, y, facingLeft, vx, vy } oldest first
+        this.aims = [];          // { time, angle } oldest first
+        this.clockOffset = null; // Our time minus the sender's timestamp (s), lowest seen
+    }
+
+    /**
+     * When to play an update back: its send time on our clock (the fastest delivery
+     * so far sets the offset, so network jitter doesn't bunch updates up)
+     */
+    sampleTime(timestamp) {
+        if (timestamp === undefined) return this.time;
+
+        const offset = this.time - timestamp / 1000;
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        }
+        return timestamp / 1000 + this.clockOffset;
+    }
+
+    /**
+     * Start buffering for a koala (a new turn or a new koala forgets the old updates)
+     */
+    track(koala) {
+        if (this.koala !== koala) {
+            this.clear();
+            this.koala = koala;
+        }
+    }
+
+    /**
+     * A remote move update for the current koala
+     */
+    pushMove(koala, data) {
+        this.track(koala);
+        const playback = this.time - INTERPOLATION_DELAY;
+
+        // Teleports and corrections aren't walked to
+        const last = this.moves[this.moves.length - 1] || koala;
+        if (Math.hypot(data.x - last.x, data.y - last.y) > SNAP_DISTANCE) {
+            this.moves = [];
+            koala.x = data.x;
+            koala.y = data.y;
+            koala.facingLeft = data.facingLeft;
+            return;
+        }
+
+        // Nothing left to play - carry on from where the koala is shown now
+        if (this.moves.length === 0 || this.moves[this.moves.length - 1].time <= playback) {
+            this.moves = [{ time: playback, x: koala.x, y: koala.y, facingLeft: koala.facingLeft, vx: 0, vy: 0 }];
+        }
+
+        const previous = this.moves[this.moves.length - 1];
+        const time = Math.max(this.sampleTime(data.timestamp), previous.time + 0.001);
+        const gap = time - previous.time;
+        const moving = gap < MAX_SAMPLE_GAP;
+
+        this.moves.push({
+            time,
+            x: data.x,
+            y: data.y,
+            facingLeft: data.facingLeft,
+            vx: moving ? (data.x - previous.x) / gap : 0,
+            vy: moving ? (data.y - previous.y) / gap : 0
+        });
+        if (this.moves.length > BUFFER_LIMIT) {
+            this.moves.shift();
+        }
+    }
+
+    /**
+     * A remote aim update for the current koala
+     */
+    pushAim(koala, data) {
+        this.track(koala);
+        const playback = this.time - INTERPOLATION_DELAY;
+
+        if (this.aims.length === 0 || this.aims[this.aims.length - 1].time <= playback) {
+            this.aims = [{ time: playback, angle: koala.aimAngle }];
+        }
+
+        const previous = this.aims[this.aims.length - 1];
+        this.aims.push({ time: Math.max(this.sampleTime(data.timestamp), previous.time + 0.001), angle: data.angle });
+        if (this.aims.length > BUFFER_LIMIT) {
+            this.aims.shift();
+        }
+    }
+
+    /**
+     * Move the buffered koala along (after physics, so what we show wins)
+     */
+    update(dt) {
+        this.time += dt;
+
+        const koala = this.koala;
+        if (!koala || (this.moves.length === 0 && this.aims.length === 0)) return;
+
+        // Their turn ended (or the koala died) under us
+        if (koala !== this.game.getCurrentKoala() || !koala.isAlive) {
+            this.clear();
+            return;
+        }
+
+        const playback = this.time - INTERPOLATION_DELAY;
+        if (this.moves.length > 0) this.updateMove(koala, playback, dt);
+        if (this.aims.length > 0) this.updateAim(koala, playback);
+    }
+
+    updateMove(koala, playback, dt) {
+        const moves = this.moves;
+
+        // Forget updates we've played past (keeping the one we're leaving)
+        while (moves.length > 1 && moves[1].time <= playback) {
+            moves.shift();
+        }
+
+        const from = moves[0];
+        if (playback < from.time) return;
+
+        if (moves.length > 1) {
+            const to = moves[1];
+            const t = (playback - from.time) / (to.time - from.time);
+            koala.x = from.x + (to.x - from.x) * t;
+            koala.y = from.y + (to.y - from.y) * t;
+            koala.facingLeft = t < 0.5 ? from.facingLeft : to.facingLeft;
+            return;
+        }
+
+        // Past the newest update: keep going for a moment...
+        const overrun = playback - from.time;
+        if (overrun <= MAX_EXTRAPOLATION) {
+            koala.x = from.x + from.vx * overrun;
+            koala.y = from.y + from.vy * overrun;
+            koala.facingLeft = from.facingLeft;
+            return;
+        }
+
+        // ...then ease back onto it
+        const ease = Math.min(1, dt * SETTLE_RATE);
+        koala.x += (from.x - koala.x) * ease;
+        koala.y += (from.y - koala.y) * ease;
+        if (Math.hypot(from.x - koala.x, from.y - koala.y) < 0.5) {
+            koala.x = from.x;
+            koala.y = from.y;
+            moves.length = 0;
+        }
+    }
+
+    updateAim(koala, playback) {
+        const aims = this.aims;
+        while (aims.length > 1 && aims[1].time <= playback) {
+            aims.shift();
+        }
+
+        const from = aims[0];
+        if (playback < from.time) return;
+
+        if (aims.length === 1) {
+            // Aim doesn't drift on its own - hold the newest angle
+            koala.aimAngle = from.angle;
+            aims.length = 0;
+            return;
+        }
+
+        // Turn the short way round (angles wrap at +-PI)
+        const to = aims[1];
+        const t = (playback - from.time) / (to.time - from.time);
+        let delta = to.angle - from.angle;
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        let angle = from.angle + delta * t;
+        if (angle > Math.PI) angle -= Math.PI * 2;
+        if (angle < -Math.PI) angle += Math.PI * 2;
+        koala.aimAngle = angle;
+    }
+
+    /**
+     * Jump straight to the newest updates (the turn is over - every peer should agree)
+     */
+    finish() {
+        const koala = this.koala;
+        if (koala) {
+            const move = this.moves[this.moves.length - 1];
+            if (move) {
+                koala.x = move.x;
+                koala.y = move.y;
+                koala.facingLeft = move.facingLeft;
+            }
+            const aim = this.aims[this.aims.length - 1];
+            if (aim) {
+                koala.aimAngle = aim.angle;
+            }
+        }
+        this.clear();
+    }
+
+    /**
+     * Drop everything buffered (a fire, jump or sync put the koala somewhere exact)
+     */
+    clear() {
+        this.koala = null;
+        this.moves = [];
+        this.aims = [];
+        this.clockOffset = null;
+    }
+}
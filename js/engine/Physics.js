@@ -20,6 +20,8 @@ export class Physics {
         // Update koalas (both alive AND dead - dead can still be flung by explosions)
         for (const team of this.game.teams) {
             for (const koala of team.koalas) {
+                // Koalas hanging on the Ninja Rope swing on its constraint instead
+                if (koala.onRope) continue;
                 this.updateEntity(koala, dt);
             }
         }
@@ -62,14 +64,15 @@ export class Physics {
             entity.fallDistance = (entity.fallDistance || 0) + (entity.y - prevY);
         } else if (entity.onGround && entity.fallDistance > 0) {
             // INSTANT FALL DAMAGE - apply on landing if over threshold
-            if (entity.isAlive && entity.fallDistance > 260) {
-                const damage = Math.floor((entity.fallDistance - 260) / 5);
+            const threshold = this.game.scheme.fallDamageThreshold;
+            if (entity.isAlive && entity.fallDistance > threshold) {
+                const damage = Math.floor((entity.fallDistance - threshold) / 5);
                 entity.takeDamage(damage);
                 console.log(`💥 ${entity.name} took ${damage} fall damage (fell ${entity.fallDistance}px)`);
 
                 // If this is the current player's koala, end their turn
                 const currentKoala = this.game.getCurrentKoala();
-                if (entity === currentKoala && this.game.phase === 'aiming') {
+                if (entity === currentKoala && (this.game.phase === 'aiming' || this.game.phase === 'rope')) {
                     console.log('🛑 Fall damage ends turn!');
                     this.game.endTurn();
                 }
@@ -80,18 +83,24 @@ export class Physics {
         }
 
         // INSTANT WATER DEATH - check if entity touched water
-        const waterLevel = this.game.worldHeight - 60;
-        if (entity.isAlive && entity.y > waterLevel) {
+        this.checkWaterDeath(entity);
+
+        // World bounds
+        entity.x = Math.max(10, Math.min(this.game.worldWidth - 10, entity.x));
+        entity.y = Math.max(0, Math.min(this.game.worldHeight - 10, entity.y));
+    }
+
+    /**
+     * Kill an entity that touched the water
+     */
+    checkWaterDeath(entity) {
+        if (entity.isAlive && entity.y > this.game.waterLevel) {
             entity.die();
             // Play splash sound if available
             if (this.game.audioManager && this.game.audioManager.playDeath) {
                 this.game.audioManager.playDeath();
             }
         }
-
-        // World bounds
-        entity.x = Math.max(10, Math.min(this.game.worldWidth - 10, entity.x));
-        entity.y = Math.max(0, Math.min(this.game.worldHeight - 10, entity.y));
     }
 
     /**
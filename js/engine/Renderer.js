@@ -2,6 +2,8 @@
  * Renderer - Draws the game world
  */
 
+import { weaponRegistry } from '../weapons/WeaponRegistry.js';
+
 export class Renderer {
     constructor(game) {
         this.game = game;
@@ -22,20 +24,19 @@ export class Renderer {
             weapons: {}
         };
 
+        // Recolored koala sprites for teams without their own art (keyed by color)
+        this.tintedSprites = {};
+
         // Load character sprites
         this.loadTransparentSprite('assets/koala_red.png', 'red');
         this.loadTransparentSprite('assets/koala_blue.png', 'blue');
 
-        // Load weapon sprites
+        // Load weapon sprites (icon of each weapon definition)
         this.sprites.weapons = {};
-        const weapons = [
-            'bazooka', 'grenade', 'shotgun', 'bat', 'dynamite',
-            'airstrike', 'teleport', 'rope', 'mine', 'holygrenade', 'blowtorch'
-        ];
-        weapons.forEach(w => {
-            this.sprites.weapons[w] = new Image();
+        weaponRegistry.getAll().forEach(weapon => {
+            this.sprites.weapons[weapon.id] = new Image();
             // Use same transparent loader for weapons
-            this.loadTransparentSprite(`assets/weapon_${w}.png`, `weapon_${w}`);
+            this.loadTransparentSprite(weapon.icon, `weapon_${weapon.id}`);
         });
     }
 
@@ -135,6 +136,36 @@ export class Renderer {
         };
     }
 
+    /**
+     * Get the koala sprite for a team color (null until loaded)
+     * Red and blue have their own art; other colors recolor the red sprite once
+     */
+    getKoalaSprite(color) {
+        const key = color.toLowerCase();
+        const base = key === '#3498db' ? this.sprites.blue : this.sprites.red;
+        if (!base.complete || base.naturalHeight === 0) return null;
+
+        if (key === '#e74c3c' || key === '#3498db') return base;
+
+        if (!this.tintedSprites[key]) {
+            const canvas = document.createElement('canvas');
+            canvas.width = base.naturalWidth;
+            canvas.height = base.naturalHeight;
+            const ctx = canvas.getContext('2d');
+
+            // Take hue/saturation from the team color, keep the sprite's shading and alpha
+            ctx.drawImage(base, 0, 0);
+            ctx.globalCompositeOperation = 'color';
+            ctx.fillStyle = color;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.drawImage(base, 0, 0);
+
+            this.tintedSprites[key] = canvas;
+        }
+        return this.tintedSprites[key];
+    }
+
     /**
      * Create sky background gradient
      */
@@ -173,12 +204,18 @@ export class Renderer {
         // Draw loot crates
         this.drawLootCrates();
 
+        // Draw the Ninja Rope (behind the koala hanging on it)
+        this.drawRope();
+
         // Draw koalas
         this.drawKoalas();
 
         // Draw projectiles
         this.drawProjectiles();
 
+        // Draw flames and burning barrels
+        this.drawFire();
+
         // Draw particles
         this.drawParticles();
 
@@ -193,6 +230,7 @@ export class Renderer {
 
         // Draw HUD elements (not affected by camera)
         this.drawCountdown();
+        this.drawAnnouncement();
     }
 
     /**
@@ -299,13 +337,10 @@ export class Renderer {
         }
 
         // Determine sprite based on team color
-        let sprite = this.sprites.red;
-        if (koala.team.color.toLowerCase() === '#3498db') {
-            sprite = this.sprites.blue;
-        }
+        const sprite = this.getKoalaSprite(koala.team.color);
 
         // Draw Koala Sprite
-        if (sprite.complete && sprite.naturalHeight !== 0) {
+        if (sprite) {
             const size = 48; // Original size
             // Draw centered but slightly moved up to align feet with ground
             ctx.drawImage(sprite, -size / 2, -size / 2 - 2, size, size);
@@ -410,13 +445,10 @@ export class Renderer {
         ctx.rotate(Math.PI / 2);
 
         // Determine sprite based on team color
-        let sprite = this.sprites.red;
-        if (koala.team.color.toLowerCase() === '#3498db') {
-            sprite = this.sprites.blue;
-        }
+        const sprite = this.getKoalaSprite(koala.team.color);
 
         // Draw faded koala sprite
-        if (sprite.complete && sprite.naturalHeight !== 0) {
+        if (sprite) {
             const size = 48;
             ctx.drawImage(sprite, -size / 2, -size / 2 - 2, size, size);
         } else {
@@ -472,7 +504,7 @@ export class Renderer {
         const x = koala.x;
         const y = koala.y - 38;
         const health = Math.ceil(koala.health);
-        const healthPercent = koala.health / 100;
+        const healthPercent = koala.health / koala.maxHealth;
 
         // Health color based on percentage
         const healthColor = healthPercent > 0.5 ? '#2ecc71' :
@@ -547,7 +579,10 @@ export class Renderer {
      * Draw aiming indicator
      */
     drawAimingIndicator() {
-        if (this.game.phase !== 'aiming' && this.game.phase !== 'firing') return;
+        // Free-falling off the rope: aim the next shot (and a gun keeps aiming while it fires)
+        const ropeAiming = this.game.phase === 'rope' && this.game.rope?.canShoot();
+        const aimPhase = ['aiming', 'firing', 'burst'].includes(this.game.phase);
+        if (!aimPhase && !ropeAiming) return;
 
         const koala = this.game.getCurrentKoala();
         if (!koala) return;
@@ -557,10 +592,19 @@ export class Renderer {
 
         // Check if this is a targetted weapon (airstrike, teleport)
         if (weapon && weapon.targetted) {
-            this.drawTargetCursor(ctx, koala.team.color, weapon.type);
+            this.drawTargetCursor(ctx, koala.team.color, weapon.behavior);
             return;
         }
 
+        // Homing weapons: pick the target first, then aim as usual
+        if (weapon && weapon.homing) {
+            if (!this.game.homingTarget) {
+                this.drawTargetCursor(ctx, koala.team.color, weapon.behavior);
+                return;
+            }
+            this.drawLockOn(ctx, this.game.homingTarget.x, this.game.homingTarget.y, koala.team.color);
+        }
+
         // Regular aiming indicator
         // aimAngle is now the world angle directly (full 360)
         const worldAngle = koala.aimAngle;
@@ -589,6 +633,66 @@ export class Renderer {
         ctx.fill();
     }
 
+    /**
+     * Draw the Ninja Rope from the hook (through any corners it wraps) to the koala
+     */
+    drawRope() {
+        const rope = this.game.rope;
+        if (!rope || rope.canShoot()) return;
+
+        const ctx = this.ctx;
+        const points = rope.getPoints();
+
+        ctx.strokeStyle = '#8b5a2b';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.stroke();
+
+        // Hook
+        ctx.fillStyle = '#555';
+        ctx.beginPath();
+        ctx.arc(points[0].x, points[0].y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw the game's banner (sudden death warning), fading out at the end
+     */
+    drawAnnouncement() {
+        const announcement = this.game.announcement;
+        if (!announcement) return;
+
+        const ctx = this.ctx;
+        const centerX = this.canvas.width / 2;
+        const y = this.canvas.height * 0.3;
+
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, announcement.timer / 0.5);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        ctx.font = 'bold 72px Outfit';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 8;
+        ctx.strokeText(announcement.title, centerX, y);
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillText(announcement.title, centerX, y);
+
+        if (announcement.subtitle) {
+            ctx.font = 'bold 32px Outfit';
+            ctx.lineWidth = 5;
+            ctx.strokeText(announcement.subtitle, centerX, y + 60);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(announcement.subtitle, centerX, y + 60);
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Draw pre-match countdown overlay
      */
@@ -736,20 +840,25 @@ export class Renderer {
         const ctx = this.ctx;
 
         for (const proj of this.game.projectiles) {
+            // Homing missiles: smoke trail and the point they're locked on
+            if (proj.homingTarget) {
+                this.drawMissileTrail(ctx, proj);
+                this.drawLockOn(ctx, proj.homingTarget.x, proj.homingTarget.y, proj.shooter?.team?.color || '#e74c3c');
+            }
+
             ctx.save();
             ctx.translate(proj.x, proj.y);
             ctx.rotate(proj.rotation || 0);
 
-            // Draw based on weapon type
-            switch (proj.type) {
-                case 'bazooka':
-                case 'airstrike':
+            // Draw based on the weapon's projectile sprite
+            switch (proj.weapon?.projectileSprite) {
+                case 'rocket':
                     this.drawRocket(ctx);
                     break;
                 case 'grenade':
                     this.drawGrenade(ctx, proj);
                     break;
-                case 'shotgun':
+                case 'pellet':
                     this.drawPellet(ctx, proj);
                     break;
                 case 'dynamite':
@@ -761,6 +870,27 @@ export class Renderer {
                 case 'holygrenade':
                     this.drawHolyGrenade(ctx, proj);
                     break;
+                case 'cluster':
+                    this.drawCluster(ctx, proj);
+                    break;
+                case 'banana':
+                    this.drawBanana(ctx, proj);
+                    break;
+                case 'homing':
+                    this.drawHomingMissile(ctx, proj);
+                    break;
+                case 'petrolbomb':
+                    this.drawPetrolBomb(ctx);
+                    break;
+                case 'napalm':
+                    this.drawNapalmCanister(ctx);
+                    break;
+                case 'sheep':
+                    this.drawSheep(ctx, proj);
+                    break;
+                case 'mole':
+                    this.drawMole(ctx, proj);
+                    break;
                 default:
                     this.drawDefaultProjectile(ctx, proj);
             }
@@ -769,7 +899,7 @@ export class Renderer {
 
             // Draw timer indicator if active and started - UPRIGHT
             // User requested: Hide timer on grenades after throw (they only want it before throw)
-            if (proj.timerStarted && proj.timer !== null && proj.type !== 'grenade') {
+            if (proj.timerStarted && proj.timer !== null && proj.weapon?.showFuse !== false) {
                 const timeLeft = Math.ceil(proj.timer - proj.timeOnGround);
                 if (timeLeft >= 0) {
                     ctx.save();
@@ -845,9 +975,9 @@ export class Renderer {
      * Draw grenade projectile
      */
     drawGrenade(ctx, proj) {
-        if (this.sprites.weapons['grenade'] && this.sprites.weapons['grenade'].complete) {
+        if (this.sprites.weapons[proj.weapon?.id] && this.sprites.weapons[proj.weapon?.id].complete) {
             const size = 24;
-            ctx.drawImage(this.sprites.weapons['grenade'], -size / 2, -size / 2, size, size);
+            ctx.drawImage(this.sprites.weapons[proj.weapon?.id], -size / 2, -size / 2, size, size);
         } else {
             // Fallback drawing
             ctx.fillStyle = '#2ecc71';
@@ -933,10 +1063,10 @@ export class Renderer {
      * Draw dynamite projectile
      */
     drawDynamite(ctx, proj) {
-        if (this.sprites.weapons['dynamite'] && this.sprites.weapons['dynamite'].complete) {
+        if (this.sprites.weapons[proj.weapon?.id] && this.sprites.weapons[proj.weapon?.id].complete) {
             const size = 32;
             // Draw upright (dynamite sprite is vertical)
-            ctx.drawImage(this.sprites.weapons['dynamite'], -size / 2, -size / 2, size, size);
+            ctx.drawImage(this.sprites.weapons[proj.weapon?.id], -size / 2, -size / 2, size, size);
         } else {
             // Red stick
             ctx.fillStyle = '#e74c3c';
@@ -962,9 +1092,9 @@ export class Renderer {
      * Draw mine projectile/object
      */
     drawMine(ctx, proj) {
-        if (this.sprites.weapons['mine'] && this.sprites.weapons['mine'].complete) {
+        if (this.sprites.weapons[proj.weapon?.id] && this.sprites.weapons[proj.weapon?.id].complete) {
             const size = 28;
-            ctx.drawImage(this.sprites.weapons['mine'], -size / 2, -size / 2, size, size);
+            ctx.drawImage(this.sprites.weapons[proj.weapon?.id], -size / 2, -size / 2, size, size);
         } else {
             ctx.fillStyle = '#7f8c8d';
             ctx.beginPath();
@@ -1023,9 +1153,9 @@ export class Renderer {
      * Draw holy grenade projectile
      */
     drawHolyGrenade(ctx, proj) {
-        if (this.sprites.weapons['holygrenade'] && this.sprites.weapons['holygrenade'].complete) {
+        if (this.sprites.weapons[proj.weapon?.id] && this.sprites.weapons[proj.weapon?.id].complete) {
             const size = 32;
-            ctx.drawImage(this.sprites.weapons['holygrenade'], -size / 2, -size / 2, size, size);
+            ctx.drawImage(this.sprites.weapons[proj.weapon?.id], -size / 2, -size / 2, size, size);
         } else {
             // Gold orb with cross
             ctx.fillStyle = '#f1c40f';
@@ -1078,6 +1208,337 @@ export class Renderer {
         }
     }
 
+    /**
+     * Draw cluster bomblet (fragment of a cluster bomb)
+     */
+    drawCluster(ctx, proj) {
+        ctx.fillStyle = '#34495e';
+        ctx.beginPath();
+        ctx.arc(0, 0, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Red band
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, -4);
+        ctx.lineTo(0, 4);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw banana (the bomb uses its icon, its fragments are smaller bananas)
+     */
+    drawBanana(ctx, proj) {
+        const sprite = this.sprites.weapons[proj.weapon?.id];
+        if (sprite && sprite.complete && !proj.isFragment) {
+            const size = 28;
+            ctx.drawImage(sprite, -size / 2, -size / 2, size, size);
+            return;
+        }
+
+        // Spin as it flies
+        ctx.rotate(performance.now() / 100);
+        const scale = proj.isFragment ? 0.7 : 1;
+        ctx.scale(scale, scale);
+
+        ctx.fillStyle = '#f4d03f';
+        ctx.strokeStyle = '#b7950b';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(0, -6, 14, Math.PI * 0.2, Math.PI * 0.8);
+        ctx.arc(0, -14, 16, Math.PI * 0.75, Math.PI * 0.25, true);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Stalk
+        ctx.fillStyle = '#6e4b1f';
+        ctx.fillRect(9, 0, 3, 3);
+    }
+
+    /**
+     * Draw homing missile (exhaust flame while the motor burns, blinking seeker once armed)
+     */
+    drawHomingMissile(ctx, proj) {
+        // Exhaust
+        if (proj.isThrusting()) {
+            const flicker = 6 + Math.random() * 6;
+            ctx.fillStyle = 'rgba(255, 180, 40, 0.9)';
+            ctx.beginPath();
+            ctx.moveTo(-12, -3);
+            ctx.lineTo(-12 - flicker, 0);
+            ctx.lineTo(-12, 3);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Body
+        ctx.fillStyle = '#ecf0f1';
+        ctx.beginPath();
+        ctx.ellipse(0, 0, 13, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#7f8c8d';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Nose cone
+        ctx.fillStyle = '#3498db';
+        ctx.beginPath();
+        ctx.moveTo(15, 0);
+        ctx.lineTo(8, -4);
+        ctx.lineTo(8, 4);
+        ctx.closePath();
+        ctx.fill();
+
+        // Fins
+        ctx.fillStyle = '#2c3e50';
+        ctx.beginPath();
+        ctx.moveTo(-8, -3);
+        ctx.lineTo(-14, -8);
+        ctx.lineTo(-12, -3);
+        ctx.moveTo(-8, 3);
+        ctx.lineTo(-14, 8);
+        ctx.lineTo(-12, 3);
+        ctx.fill();
+
+        // Seeker light
+        const armed = proj.flightTime >= proj.armingDelay;
+        if (!armed || Math.floor(performance.now() / 150) % 2 === 0) {
+            ctx.fillStyle = armed ? '#e74c3c' : '#95a5a6';
+            ctx.beginPath();
+            ctx.arc(6, 0, 1.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draw petrol bomb (bottle with a burning rag in the neck)
+     */
+    drawPetrolBomb(ctx) {
+        // Bottle
+        ctx.fillStyle = '#27ae60';
+        ctx.strokeStyle = '#1e8449';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-9, -5);
+        ctx.lineTo(2, -5);
+        ctx.lineTo(5, -2);
+        ctx.lineTo(9, -2);
+        ctx.lineTo(9, 2);
+        ctx.lineTo(5, 2);
+        ctx.lineTo(2, 5);
+        ctx.lineTo(-9, 5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Rag
+        ctx.fillStyle = '#f5f5dc';
+        ctx.fillRect(9, -2, 3, 4);
+
+        // Flame
+        const flicker = 4 + Math.random() * 4;
+        ctx.fillStyle = 'rgba(255, 150, 30, 0.9)';
+        ctx.beginPath();
+        ctx.arc(13, 0, 3, 0, Math.PI * 2);
+        ctx.arc(13 + flicker / 2, 0, flicker / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw napalm canister
+     */
+    drawNapalmCanister(ctx) {
+        ctx.fillStyle = '#556b2f';
+        ctx.strokeStyle = '#2e3b1a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, 11, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Tail fins
+        ctx.fillStyle = '#2e3b1a';
+        ctx.fillRect(-13, -5, 4, 10);
+
+        // Warning band
+        ctx.fillStyle = '#f39c12';
+        ctx.fillRect(3, -4, 2, 8);
+    }
+
+    /**
+     * Draw a walking sheep (faces the way it walks, legs trotting)
+     */
+    drawSheep(ctx, proj) {
+        ctx.scale(proj.walkDirection, 1);
+        const stride = proj.onGround ? Math.sin(proj.flightTime * 20) * 2 : 0;
+
+        // Legs
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (const [legX, swing] of [[-5, stride], [-2, -stride], [3, -stride], [6, stride]]) {
+            ctx.moveTo(legX, 2);
+            ctx.lineTo(legX + swing, 8);
+        }
+        ctx.stroke();
+
+        // Woolly body
+        ctx.fillStyle = '#f4f4f4';
+        ctx.strokeStyle = '#bbb';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const [puffX, puffY] of [[-6, -1], [-2, -4], [3, -4], [6, -1], [0, 1]]) {
+            ctx.moveTo(puffX + 5, puffY);
+            ctx.arc(puffX, puffY, 5, 0, Math.PI * 2);
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        // Head
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.ellipse(11, -3, 4, 3, 0.3, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Eye
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(12, -5, 1.5, 1.5);
+    }
+
+    /**
+     * Draw a mole (nose first - tilted down the tunnel while it digs)
+     */
+    drawMole(ctx, proj) {
+        if (proj.rotation === 0) {
+            ctx.scale(proj.walkDirection, 1);
+        } else if (proj.walkDirection < 0) {
+            ctx.scale(1, -1); // Keep its belly down when digging to the left
+        }
+
+        // Body
+        ctx.fillStyle = '#4a3b32';
+        ctx.beginPath();
+        ctx.ellipse(0, 0, 10, 6, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Digging claws
+        ctx.fillStyle = '#f5b7b1';
+        ctx.beginPath();
+        ctx.ellipse(6, 5, 3, 2, 0.4, 0, Math.PI * 2);
+        ctx.ellipse(-4, 5, 3, 2, -0.4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Pink nose
+        ctx.fillStyle = '#ec7ea5';
+        ctx.beginPath();
+        ctx.arc(11, -1, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Tiny eye
+        ctx.fillStyle = '#000';
+        ctx.fillRect(6, -3, 1.5, 1.5);
+    }
+
+    /**
+     * Draw burning flames and barrels that are about to go off
+     */
+    drawFire() {
+        const ctx = this.ctx;
+        const time = performance.now() / 1000;
+        const fireManager = this.game.fireManager;
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+
+        fireManager.flames.forEach((flame, index) => {
+            // Shrink as it burns out, flicker all the while
+            const strength = Math.min(1, flame.life / flame.burnTime + 0.3);
+            const flicker = Math.sin(time * 20 + index * 1.7) * 1.5;
+            const size = (4 + 5 * strength) + flicker;
+
+            ctx.fillStyle = `rgba(255, 90, 20, ${0.6 * strength})`;
+            ctx.beginPath();
+            ctx.arc(flame.x, flame.y - size * 0.6, size, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = `rgba(255, 220, 80, ${0.8 * strength})`;
+            ctx.beginPath();
+            ctx.arc(flame.x, flame.y - size * 0.4, size * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Lit barrels: fire on top
+        for (const barrel of fireManager.getBarrels()) {
+            if (barrel.fuse === undefined) continue;
+            const top = barrel.y - barrel.height;
+            const tongues = [[-5, 7, 'rgba(255, 100, 20, 0.7)'], [5, 7, 'rgba(255, 100, 20, 0.7)'], [0, 5, 'rgba(255, 230, 100, 0.8)']];
+            tongues.forEach(([dx, radius, color], i) => {
+                const flicker = Math.sin(time * 25 + i * 2) * 3;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(barrel.x + dx, top - 6 + flicker, radius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a homing missile's smoke trail (positions kept on the projectile, render only)
+     */
+    drawMissileTrail(ctx, proj) {
+        const trail = proj.trail;
+        const last = trail[trail.length - 1];
+        if (!proj.stationary && (!last || Math.hypot(proj.x - last.x, proj.y - last.y) > 4)) {
+            trail.push({ x: proj.x, y: proj.y, burning: proj.isThrusting() });
+            if (trail.length > 40) trail.shift();
+        }
+
+        for (let i = 0; i < trail.length; i++) {
+            const point = trail[i];
+            const age = 1 - i / trail.length; // 0 = newest
+            ctx.fillStyle = point.burning
+                ? `rgba(200, 200, 200, ${0.5 * (1 - age)})`
+                : `rgba(120, 120, 120, ${0.3 * (1 - age)})`;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 2 + age * 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draw the lock-on marker of a homing target (brackets closing in on the point)
+     */
+    drawLockOn(ctx, x, y, color) {
+        const time = performance.now() / 1000;
+        const size = 16 + Math.sin(time * 6) * 3;
+        const arm = 7;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(time);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let corner = 0; corner < 4; corner++) {
+            ctx.rotate(Math.PI / 2);
+            ctx.moveTo(size - arm, size);
+            ctx.lineTo(size, size);
+            ctx.lineTo(size, size - arm);
+        }
+        ctx.stroke();
+        ctx.restore();
+
+        // Center dot
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
     /**
      * Draw default projectile
      */
@@ -1128,6 +1589,14 @@ export class Renderer {
                 ctx.shadowBlur = 4;
                 ctx.fillText(p.text, p.x, p.y);
                 ctx.restore();
+            } else if (p.type === 'tracer') {
+                // Bullet streak
+                ctx.strokeStyle = `rgba(255, 240, 170, ${1 - p.time / p.lifetime})`;
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(p.x2, p.y2);
+                ctx.stroke();
             } else if (p.type === 'spark') {
                 const alpha = 1 - (p.time / p.lifetime);
                 ctx.save();
@@ -1146,8 +1615,8 @@ export class Renderer {
      */
     drawWater() {
         const ctx = this.ctx;
-        const waterHeight = 200; // Extra tall to cover gaps below
-        const waterY = this.game.worldHeight - 60; // Water surface position
+        const waterY = this.game.waterLevel; // Water surface position (rises in sudden death)
+        const waterHeight = this.game.worldHeight - waterY + 200; // Extra tall to cover gaps below
 
         // Animate water
         this.waterOffset += 0.02;
@@ -0,0 +1,287 @@
+/**
+ * Replay Player - Re-simulates a recorded match through Game
+ * The log's actions are applied on the exact simulation tick they were recorded on,
+ * so the fixed-timestep engine reproduces the match. Supports pause, speed control,
+ * seek-by-turn (fast-forwarding from the start when seeking backwards) and a free camera.
+ */
+
+import { Game } from './Game.js';
+import { REPLAY_VERSION } from './ReplayRecorder.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+export class ReplayPlayer extends EventEmitter {
+    constructor(canvas, log) {
+        super();
+
+        if (!log || log.version !== REPLAY_VERSION || !Array.isArray(log.actions)) {
+            throw new Error('Unsupported replay file');
+        }
+
+        this.canvas = canvas;
+        this.log = log;
+        this.game = null;
+
+        this.speed = 1;
+        this.isPaused = false;
+        this.freeCamera = false;
+
+        // Tick at which each turn began (turnTicks[0] = turn 1)
+        this.turnTicks = log.actions
+            .filter(action => action.type === 'turnEnd')
+            .map(action => action.tick);
+
+        this.nextActionIndex = 0;
+    }
+
+    /**
+     * Build a fresh game from the log and start it
+     */
+    async start() {
+        if (this.game) {
+            this.game.destroy();
+        }
+
+        this.nextActionIndex = 0;
+        this.game = new Game(this.canvas, {
+            isPractice: true,
+            replayPlayer: this,
+            initialState: { seed: this.log.seed },
+            customMap: this.log.map,
+            teams: this.log.teams,
+            scheme: this.log.scheme
+        });
+
+        this.game.on('gameOver', (result) => {
+            this.emit('finished', result);
+        });
+
+        await this.game.start();
+
+        this.game.timeScale = this.speed;
+        this.game.isPaused = this.isPaused;
+        this.game.camera.free = this.freeCamera;
+
+        this.emit('gameCreated', this.game);
+        return this.game;
+    }
+
+    /**
+     * Apply every logged action due on this tick (called by Game.step)
+     */
+    applyActions(tick) {
+        const actions = this.log.actions;
+        while (this.nextActionIndex < actions.length && actions[this.nextActionIndex].tick <= tick) {
+            this.applyAction(actions[this.nextActionIndex]);
+            this.nextActionIndex++;
+        }
+    }
+
+    /**
+     * Apply a single action through the same handlers a remote peer's messages use
+     */
+    applyAction(action) {
+        const game = this.game;
+
+        switch (action.type) {
+            case 'fire':
+                game.handleRemoteFire(action);
+                break;
+
+            case 'targetWeapon':
+                game.handleRemoteTargetWeapon(action);
+                break;
+
+            case 'lockTarget':
+                game.handleRemoteLockTarget(action);
+                break;
+
+            case 'detonate':
+                game.handleRemoteDetonate(action);
+                break;
+
+            case 'bullet':
+                game.handleRemoteBullet(action);
+                break;
+
+            case 'move': {
+                game.handleRemoteMove(action);
+
+                // Local moves also carry velocity (air control)
+                const koala = game.getCurrentKoala();
+                if (koala && action.vx !== undefined) {
+                    koala.vx = action.vx;
+                    koala.vy = action.vy;
+                }
+                break;
+            }
+
+            case 'aim':
+                game.handleRemoteAim(action);
+                break;
+
+            case 'weaponSelect':
+                game.handleRemoteWeaponSelect(action);
+                break;
+
+            case 'jump':
+                game.handleRemoteJump(action);
+                break;
+
+            case 'highJump':
+                game.handleRemoteHighJump(action);
+                break;
+
+            case 'rope':
+                game.handleRemoteRope(action);
+                break;
+
+            case 'explosionSync':
+                game.handleRemoteExplosionSync(action);
+                break;
+
+            case 'fireSync':
+                game.fireManager.handleRemoteFireSync(action);
+                break;
+
+            case 'stateSync':
+                game.handleRemoteStateSync(action);
+                break;
+
+            case 'crateSpawn':
+                game.lootManager.handleRemoteCrateSpawn(action);
+                break;
+
+            case 'suddenDeath':
+                game.handleRemoteSuddenDeath(action);
+                break;
+
+            case 'turnEnd':
+                // Turns advance on their own - the marker only indexes seeking.
+                // It is applied just before the step that starts the turn.
+                if (game.turnNumber !== action.turn - 1) {
+                    console.warn(`⚠️ Replay drift: turn ${action.turn} starting while simulating turn ${game.turnNumber}`);
+                }
+                break;
+
+            default:
+                console.warn('Unknown replay action:', action.type);
+        }
+    }
+
+    /**
+     * Did the recording client compute damage/terrain for this team's turns?
+     */
+    wasAuthoritative(teamIndex) {
+        return this.log.localTeams.includes(teamIndex);
+    }
+
+    /**
+     * Should crates be rolled locally (true when the recorder was host or practicing)
+     */
+    rollsCrates() {
+        return this.log.rollsCrates;
+    }
+
+    /**
+     * Pause / resume playback
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+        if (this.game) this.game.isPaused = paused;
+        this.emit('stateChanged');
+    }
+
+    togglePause() {
+        this.setPaused(!this.isPaused);
+    }
+
+    /**
+     * Set playback speed multiplier (0.25x - 4x)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.25, Math.min(4, speed));
+        if (this.game) this.game.timeScale = this.speed;
+        this.emit('stateChanged');
+    }
+
+    /**
+     * Toggle free camera (stops following koalas and projectiles)
+     */
+    setFreeCamera(enabled) {
+        this.freeCamera = enabled;
+        if (this.game) this.game.camera.free = enabled;
+        this.emit('stateChanged');
+    }
+
+    /**
+     * Number of turns in the recording
+     */
+    getTurnCount() {
+        return this.turnTicks.length;
+    }
+
+    /**
+     * Turn currently being shown
+     */
+    getCurrentTurn() {
+        return this.game ? this.game.turnNumber : 0;
+    }
+
+    /**
+     * Jump to the start of a turn (1-based)
+     */
+    async seekToTurn(turn) {
+        if (this.turnTicks.length === 0) return;
+
+        turn = Math.max(1, Math.min(this.turnTicks.length, turn));
+
+        // State right after the turn began
+        const targetTick = this.turnTicks[turn - 1] + 1;
+
+        // The simulation only runs forwards - restart for earlier turns
+        if (!this.game || targetTick < this.game.simulationTick || this.game.isGameOver) {
+            await this.start();
+        }
+
+        this.fastForward(targetTick);
+
+        // Snap camera to the active koala (unless the viewer is flying around)
+        const { camera, canvas } = this.game;
+        const koala = this.game.getCurrentKoala();
+        if (koala && !this.freeCamera) {
+            camera.x = camera.targetX = koala.x - canvas.width / 2;
+            camera.y = camera.targetY = koala.y - canvas.height / 2;
+        }
+
+        this.emit('stateChanged');
+    }
+
+    /**
+     * Run the simulation to a tick without rendering or sound
+     */
+    fastForward(targetTick) {
+        const game = this.game;
+        const wasMuted = game.audioManager.isMuted;
+
+        game.audioManager.isMuted = true;
+        game.isPaused = false;
+
+        while (game.simulationTick < targetTick && !game.isGameOver) {
+            game.step();
+        }
+
+        game.accumulator = 0;
+        game.isPaused = this.isPaused;
+        game.audioManager.isMuted = wasMuted;
+    }
+
+    /**
+     * Stop playback
+     */
+    destroy() {
+        if (this.game) {
+            this.game.destroy();
+            this.game = null;
+        }
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Replay Recorder - Logs a match as seed + map + the game actions this client applied
+ * Actions use the same shape as the network messages (fire, move, jump, weaponSelect...)
+ * and are stamped with the simulation tick they were applied on, so a replay can
+ * re-simulate the match step for step.
+ */
+
+export const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+    constructor(game) {
+        this.game = game;
+        this.header = null;
+        this.actions = [];
+    }
+
+    /**
+     * Begin a new recording (call once teams exist)
+     */
+    start() {
+        const game = this.game;
+        const isMultiplayer = !!game.networkManager && !game.isPractice;
+
+        // Teams whose damage/terrain this client computed itself (all of them for the
+        // host, none for guests) - the rest arrived as explosionSync and are replayed from the log
+        const localTeams = game.teams
+            .map((team, index) => index)
+            .filter(() => !isMultiplayer || game.networkManager.isHost);
+
+        this.header = {
+            version: REPLAY_VERSION,
+            seed: game.gameSeed,
+            map: game.currentMap || null,
+            mode: isMultiplayer ? (game.networkManager.isHost ? 'host' : 'guest') : 'practice',
+            localTeams,
+            rollsCrates: !isMultiplayer || game.networkManager.isHost,
+            teams: game.teams.map(team => ({
+                name: team.name,
+                color: team.color,
+                koalaCount: team.koalas.length,
+                ai: team.ai
+            })),
+            scheme: game.scheme,
+            recordedAt: new Date().toISOString()
+        };
+        this.actions = [];
+    }
+
+    /**
+     * Record an action at the current simulation tick
+     */
+    record(action) {
+        if (!this.header) return;
+
+        // Wall-clock timestamps are meaningless in a replay
+        const { timestamp, ...data } = action;
+        this.actions.push({ tick: this.game.simulationTick, ...data });
+    }
+
+    /**
+     * Get the finished replay log
+     */
+    toJSON() {
+        return {
+            ...this.header,
+            ticks: this.game.simulationTick,
+            actions: this.actions
+        };
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * Simulation - Runs a full match headlessly (no canvas, DOM or window)
+ * Drives Game through the same InputManager / fireWeapon paths a player uses,
+ * from a scripted input feed, so matches can be simulated and asserted in Node.
+ *
+ * Script events:
+ *   { at, type, ... }        - at = seconds since the simulation started
+ *   { turn, at, type, ... }  - at = seconds since turn N began (turn 1 = first turn)
+ *
+ * Event types:
+ *   key       { code, down }     - press/release a key (KeyA, ArrowUp, ...)
+ *   select    { weapon }         - select a weapon
+ *   aim       { angle }          - set the current koala's aim (radians)
+ *   aimAt     { x, y }           - aim the current koala at a world point
+ *   timer     { seconds }        - set grenade fuse (1-5)
+ *   fire      { power, x, y }    - fire the current weapon (x/y for targetted weapons)
+ *   lock      { x, y }           - lock a homing weapon's target (a click)
+ *   charge / release             - start/release charging (power builds in real sim time)
+ *   mouse     { x, y, down }     - move/press the mouse (blowtorch digging)
+ *   rope                         - let go of the Ninja Rope / fire it again (Space while roping)
+ *   detonate                     - set off a walking sheep or mole (Space while it walks)
+ *   jump / highJump              - forward hop / backflip
+ */
+
+import { Game } from './Game.js';
+
+export class Simulation {
+    constructor(options = {}) {
+        this.options = options;
+
+        this.script = (options.script || []).map((event, index) => ({ ...event, index, done: false }));
+
+        this.time = 0;
+        this.turnStartTimes = {};
+        this.result = null;
+
+        this.game = new Game(null, {
+            headless: true,
+            isPractice: true,
+            initialState: { seed: options.seed ?? 1 },
+            terrainMask: options.terrainMask,
+            customMap: options.customMap,
+            teams: options.teams,
+            scheme: options.scheme
+        });
+
+        // Same fixed step the browser loop uses, so results match a real match
+        this.stepSize = this.game.fixedTimestep;
+
+        this.game.on('gameOver', ({ winner, stats }) => {
+            this.result = this.buildResult(winner, stats, false);
+        });
+    }
+
+    /**
+     * Set up terrain and teams
+     */
+    async start() {
+        await this.game.start();
+        return this;
+    }
+
+    /**
+     * Run until the match ends or maxTime (seconds) elapses
+     */
+    run(maxTime = 600) {
+        while (!this.result && this.time < maxTime) {
+            this.step();
+        }
+
+        if (!this.result) {
+            this.result = this.buildResult(null, this.game.calculateStats(), true);
+        }
+        return this.result;
+    }
+
+    /**
+     * Advance one fixed step, applying any script events that are due
+     */
+    step() {
+        const game = this.game;
+
+        if (game.turnNumber > 0 && this.turnStartTimes[game.turnNumber] === undefined) {
+            this.turnStartTimes[game.turnNumber] = this.time;
+        }
+
+        for (const event of this.script) {
+            if (event.done) continue;
+
+            const dueAt = this.getEventTime(event);
+            if (dueAt !== null && this.time >= dueAt) {
+                event.done = true;
+                this.applyEvent(event);
+            }
+        }
+
+        game.step();
+        this.time += this.stepSize;
+    }
+
+    /**
+     * Resolve an event's absolute time (null if its turn hasn't started yet)
+     */
+    getEventTime(event) {
+        const at = event.at || 0;
+        if (event.turn === undefined) return at;
+
+        const turnStart = this.turnStartTimes[event.turn];
+        return turnStart === undefined ? null : turnStart + at;
+    }
+
+    /**
+     * Apply a single script event through the regular input paths
+     */
+    applyEvent(event) {
+        const game = this.game;
+        const input = game.inputManager;
+        const koala = game.getCurrentKoala();
+
+        switch (event.type) {
+            case 'key':
+                input.keys[event.code] = event.down !== false;
+                break;
+
+            case 'select':
+                input.selectWeapon(event.weapon);
+                break;
+
+            case 'aim':
+                if (koala) {
+                    koala.aimAngle = event.angle;
+                    koala.facingLeft = Math.abs(event.angle) > Math.PI / 2;
+                }
+                break;
+
+            case 'aimAt':
+                if (koala) {
+                    koala.aimAngle = Math.atan2(event.y - koala.y, event.x - koala.x);
+                    koala.facingLeft = event.x < koala.x;
+                }
+                break;
+
+            case 'timer':
+                game.weaponManager.setTimer(event.seconds);
+                break;
+
+            case 'charge':
+                input.startCharging();
+                break;
+
+            case 'release':
+                if (input.isCharging) {
+                    input.releaseCharge();
+                }
+                break;
+
+            case 'fire':
+                this.fire(event);
+                break;
+
+            case 'lock':
+                if (game.phase === 'aiming') game.lockHomingTarget(event.x, event.y);
+                break;
+
+            case 'mouse':
+                if (event.x !== undefined) input.mouse.x = event.x;
+                if (event.y !== undefined) input.mouse.y = event.y;
+                if (event.down !== undefined) input.mouse.down = event.down;
+                break;
+
+            case 'rope':
+                if (game.phase === 'rope' && game.rope) game.rope.trigger();
+                break;
+
+            case 'detonate':
+                if (game.phase === 'projectile') game.detonateWalker();
+                break;
+
+            case 'jump':
+                if (game.phase === 'aiming' || game.phase === 'retreat') input.jump();
+                break;
+
+            case 'highJump':
+                if (game.phase === 'aiming' || game.phase === 'retreat') input.highJump();
+                break;
+
+            default:
+                console.warn('Unknown script event:', event.type);
+        }
+    }
+
+    /**
+     * Fire the current weapon the way InputManager does for a click / space release
+     */
+    fire(event) {
+        const game = this.game;
+        const input = game.inputManager;
+        const koala = game.getCurrentKoala();
+        const weapon = game.weaponManager.currentWeapon;
+
+        if (game.phase !== 'aiming' || !koala || !koala.isAlive || !weapon) return;
+
+        if (weapon.targetted) {
+            game.fireTargettedWeapon(weapon, event.x, event.y);
+        } else if (['melee', 'rope', 'walker', 'hitscan'].includes(weapon.behavior)) {
+            game.fireWeapon(koala.aimAngle, 1.0);
+        } else if (weapon.behavior === 'blowtorch') {
+            game.fireWeapon(0, 1.0);
+        } else {
+            input.startCharging();
+            game.weaponManager.power = (event.power ?? 1) * game.weaponManager.maxPower;
+            input.releaseCharge();
+        }
+    }
+
+    /**
+     * Snapshot of every koala (for assertions)
+     */
+    getKoalaStates() {
+        const koalas = [];
+        for (const team of this.game.teams) {
+            for (const koala of team.koalas) {
+                koalas.push({
+                    name: koala.name,
+                    team: team.name,
+                    x: koala.x,
+                    y: koala.y,
+                    health: koala.health,
+                    isAlive: koala.isAlive
+                });
+            }
+        }
+        return koalas;
+    }
+
+    /**
+     * Build the match result
+     */
+    buildResult(winner, stats, timedOut) {
+        return {
+            winner: winner ? winner.name : null,
+            timedOut,
+            time: this.time,
+            turns: this.game.turnNumber,
+            stats,
+            teams: this.game.teams.map(team => ({
+                name: team.name,
+                health: team.getTotalHealth(),
+                alive: team.getAliveCount()
+            })),
+            koalas: this.getKoalaStates()
+        };
+    }
+}
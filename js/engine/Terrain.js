@@ -11,29 +11,45 @@ export class Terrain {
         // Terrain data - true = solid, false = air
         this.data = null;
 
+        // Craters since the terrain was built [x, y, radius] - replaying them
+        // on the same starting terrain rebuilds it (reconnect snapshots)
+        this.craters = [];
+
+        // Objects drawn into the terrain that the game still tracks (explosive barrels):
+        // { type, x, y, width, height } with x, y at the bottom centre
+        this.mapObjects = [];
+
         // Seeded random function for multiplayer sync
-        // If not set, falls back to this.random()
+        // If not set, falls back to Math.random()
         this._seededRandom = null;
 
+        // Visual + collision canvases (overridden by HeadlessTerrain)
+        this.createCanvases();
+
+        // Terrain colors
+        this.grassColor = '#4a7c23';
+        this.dirtColor = '#8B4513';
+        this.dirtDarkColor = '#654321';
+        this.skyColor = '#87CEEB';
+    }
+
+    /**
+     * Create the visual terrain canvas and the collision mask canvas
+     */
+    createCanvases() {
         // Visual canvas for terrain
         // willReadFrequently because getVisualGroundY uses getImageData
         this.canvas = document.createElement('canvas');
-        this.canvas.width = width;
-        this.canvas.height = height;
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
 
         // Collision mask canvas (for precise collision)
         // willReadFrequently tells the browser we'll call getImageData often
         this.maskCanvas = document.createElement('canvas');
-        this.maskCanvas.width = width;
-        this.maskCanvas.height = height;
+        this.maskCanvas.width = this.width;
+        this.maskCanvas.height = this.height;
         this.maskCtx = this.maskCanvas.getContext('2d', { willReadFrequently: true });
-
-        // Terrain colors
-        this.grassColor = '#4a7c23';
-        this.dirtColor = '#8B4513';
-        this.dirtDarkColor = '#654321';
-        this.skyColor = '#87CEEB';
     }
 
     /**
@@ -47,13 +63,15 @@ export class Terrain {
      * Get a random number (uses seeded random if available)
      */
     random() {
-        return this._seededRandom ? this._seededRandom() : this.random();
+        return this._seededRandom ? this._seededRandom() : Math.random();
     }
 
     /**
      * Generate terrain using Worms-style algorithm
      */
     generate() {
+        this.craters = [];
+
         // Implement the fixed map as requested
         this.generateFixedMap();
     }
@@ -244,8 +262,8 @@ export class Terrain {
         const placedObjects = []; // Track positions {x, y, type}
         const minDistance = 100; // Minimum pixels between objects
 
-        // Store barrel positions for explosion logic
-        this.barrelPositions = [];
+        // Barrels are kept for FireManager (they blow up)
+        this.mapObjects = [];
 
         // Helper to get visual ground Y (works before collision mask is rebuilt)
         const getVisualGroundY = (x) => this.getVisualGroundY(x);
@@ -289,8 +307,7 @@ export class Terrain {
                         this.createCrate(x, y);
                         break;
                     case 'barrel':
-                        this.createBarrel(x, y);
-                        this.barrelPositions.push({ x, y });
+                        this.mapObjects.push(this.createBarrel(x, y));
                         break;
                 }
 
@@ -425,6 +442,7 @@ export class Terrain {
 
     /**
      * Draw an explosive barrel
+     * @returns {Object} The barrel's map object
      */
     createBarrel(x, y) {
         this.ctx.save();
@@ -462,6 +480,8 @@ export class Terrain {
         this.ctx.fill();
 
         this.ctx.restore();
+
+        return { type: 'barrel', x, y, width, height };
     }
 
     /**
@@ -1016,6 +1036,8 @@ export class Terrain {
      * Create explosion crater in terrain
      */
     createCrater(cx, cy, radius, updateMask = true) {
+        this.craters.push([cx, cy, radius]);
+
         // Use destination-out to remove terrain
         this.ctx.save();
         this.ctx.globalCompositeOperation = 'destination-out';
@@ -2,12 +2,72 @@
  * Team - Collection of koalas
  */
 
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = 6;
+export const MAX_KOALAS_PER_TEAM = 8;
+
+/**
+ * CPU difficulty levels (a team config's `ai`; null = human)
+ */
+export const AI_LEVELS = ['easy', 'normal', 'hard'];
+
+/**
+ * Default name/color/koala names for each team slot
+ */
+export const TEAM_PRESETS = [
+    { name: 'Red Team', color: '#e74c3c', koalaNames: ['DelinquentKoala', 'Sleepy Steve', 'Chompy Charlie'] },
+    { name: 'Blue Team', color: '#3498db', koalaNames: ['ChronoKoala', 'Koala Kate', 'Dropbear Dan'] },
+    { name: 'Green Team', color: '#2ecc71', koalaNames: ['Gumleaf Gus', 'Eucalyptus Ed', 'Mossy Meg'] },
+    { name: 'Yellow Team', color: '#f1c40f', koalaNames: ['Sunny Sal', 'Banjo Bill', 'Wattle Wendy'] },
+    { name: 'Purple Team', color: '#9b59b6', koalaNames: ['Grape Greg', 'Duchess Di', 'Plum Pete'] },
+    { name: 'Orange Team', color: '#e67e22', koalaNames: ['Tangy Tom', 'Rusty Rita', 'Blaze Barry'] }
+];
+
+/**
+ * Build team configs ({ name, color, koalaCount, ai, player }) for a number of teams
+ */
+export function createTeamConfigs(count = MIN_TEAMS, koalaCount = 3) {
+    count = Math.max(MIN_TEAMS, Math.min(MAX_TEAMS, count));
+    return TEAM_PRESETS.slice(0, count).map(preset => ({
+        name: preset.name,
+        color: preset.color,
+        koalaCount,
+        ai: null,
+        player: null
+    }));
+}
+
+/**
+ * Fill in / clamp a list of team configs (from the menu, network or a replay)
+ * defaultKoalaCount (the scheme's) is used for teams that don't set their own
+ */
+export function normalizeTeamConfigs(configs, defaultKoalaCount = 3) {
+    if (!Array.isArray(configs) || configs.length < MIN_TEAMS) {
+        return createTeamConfigs(MIN_TEAMS, defaultKoalaCount);
+    }
+
+    return configs.slice(0, MAX_TEAMS).map((config, index) => {
+        const preset = TEAM_PRESETS[index];
+        const koalaCount = parseInt(config.koalaCount, 10) || defaultKoalaCount;
+        return {
+            ...config,
+            name: String(config.name || preset.name).slice(0, 20),
+            color: /^#[0-9a-f]{6}$/i.test(config.color) ? config.color : preset.color,
+            koalaCount: Math.max(1, Math.min(MAX_KOALAS_PER_TEAM, koalaCount)),
+            ai: AI_LEVELS.includes(config.ai) ? config.ai : null,
+            player: config.player ? String(config.player).slice(0, 20) : null
+        };
+    });
+}
+
 export class Team {
     constructor(name, color) {
         this.name = name;
         this.color = color;
         this.koalas = [];
         this.weapons = null; // Team-specific inventory
+        this.ai = null; // CPU difficulty (null = human player)
+        this.player = null; // Name of the person playing it (hot-seat; null = just the team name)
         this.currentKoalaIndex = 0; // Track who's turn it is next
     }
 
@@ -4,16 +4,38 @@
  */
 
 import { Game } from './engine/Game.js';
+import { isTypingTarget } from './engine/InputManager.js';
 import { MenuManager } from './ui/MenuManager.js';
+import { ChatManager } from './ui/ChatManager.js';
 import { NetworkManager } from './network/NetworkManager.js';
+import { PeerJSTransport } from './network/transports/PeerJSTransport.js';
+import { WebSocketTransport } from './network/transports/WebSocketTransport.js';
+import { LoopbackTransport, LoopbackHub } from './network/transports/LoopbackTransport.js';
+import { ConditionedTransport } from './network/transports/ConditionedTransport.js';
+import { BroadcastChannelTransport } from './network/transports/BroadcastChannelTransport.js';
 import { MapEditor } from './editor/MapEditor.js';
 import { MapManager } from './utils/MapManager.js';
+import { SchemeManager, DEFAULT_SCHEME } from './utils/SchemeManager.js';
+import { ReplayPlayer } from './engine/ReplayPlayer.js';
+import { createTeamConfigs } from './entities/Team.js';
+import { weaponRegistry } from './weapons/WeaponRegistry.js';
 
 // Global game instance
 let game = null;
 let menuManager = null;
+let chatManager = null;
 let networkManager = null;
 let mapEditor = null;
+let replayPlayer = null;
+
+// Team setup for practice games (kept between matches) - the CPU plays Blue by default
+let practiceTeams = createTeamConfigs().map((team, index) => index === 1 ? { ...team, ai: 'normal' } : team);
+
+// Team setup for hot-seat games - everyone at this keyboard
+let hotSeatTeams = createTeamConfigs();
+
+// Match rules for practice games and games this player hosts
+let currentScheme = SchemeManager.normalize(DEFAULT_SCHEME);
 
 /**
  * Initialize the application
@@ -23,7 +45,12 @@ async function init() {
 
     // Initialize managers
     menuManager = new MenuManager();
-    networkManager = new NetworkManager();
+    networkManager = new NetworkManager({ transport: createTransport() });
+    chatManager = new ChatManager((message, taunt) => networkManager.sendChat(message, taunt));
+
+    // Weapon definitions drive the weapon bar, sprites and inventories
+    await weaponRegistry.load();
+    menuManager.renderWeaponBar(weaponRegistry.getAll());
 
     // Set up menu event handlers
     setupMenuHandlers();
@@ -34,6 +61,45 @@ async function init() {
     console.log('✓ Initialization complete');
 }
 
+/**
+ * Pick the multiplayer transport: ?relay (or ?relay=ws://host:port) plays through
+ * our own relay server (tools/relay-server.js), ?loopback through the in-memory hub
+ * of the page we're framed in (loopback.html), ?tabs between tabs of this browser
+ * (BroadcastChannel, no server), otherwise the PeerJS cloud.
+ * ?netsim (with latency / jitter / drop / duplicate / seed) puts it behind a simulated
+ * bad network - window.networkSimulator changes the conditions from the console.
+ */
+function createTransport() {
+    const params = new URLSearchParams(window.location.search);
+
+    let transport;
+    if (params.has('relay')) {
+        transport = new WebSocketTransport(params.get('relay') || undefined);
+        console.log('📡 Using relay server:', transport.url);
+    } else if (params.has('loopback')) {
+        const hub = window.parent !== window ? window.parent.loopbackHub : null;
+        if (!hub) {
+            console.warn('⚠️ ?loopback needs loopback.html around it - nobody else can join this one');
+        }
+        transport = new LoopbackTransport(hub || new LoopbackHub());
+    } else if (params.has('tabs')) {
+        transport = new BroadcastChannelTransport();
+        console.log('🗂️ Using BroadcastChannel - host and join from tabs of this browser');
+    } else {
+        transport = new PeerJSTransport();
+    }
+
+    if (params.has('netsim')) {
+        const conditions = {};
+        for (const key of ['latency', 'jitter', 'drop', 'duplicate', 'seed']) {
+            if (params.has(key)) conditions[key] = Number(params.get(key));
+        }
+        transport = new ConditionedTransport(transport, conditions);
+        window.networkSimulator = transport;
+    }
+    return transport;
+}
+
 /**
  * Process the logo to remove fake checkerboard background
  */
@@ -130,7 +196,9 @@ function setupMenuHandlers() {
     const btnHost = document.getElementById('btn-host');
     const btnJoin = document.getElementById('btn-join');
     const btnPractice = document.getElementById('btn-practice');
+    const btnHotSeat = document.getElementById('btn-hotseat');
     const btnConnect = document.getElementById('btn-connect');
+    const btnSpectate = document.getElementById('btn-spectate');
     const btnReady = document.getElementById('btn-ready');
     const btnLeave = document.getElementById('btn-leave');
     const btnStartGame = document.getElementById('btn-start-game');
@@ -215,8 +283,8 @@ function setupMenuHandlers() {
         });
     }
 
-    // Connect to room
-    btnConnect.addEventListener('click', async () => {
+    // Connect to room (as a player, or to watch)
+    const joinRoom = async (spectate) => {
         const roomCode = document.getElementById('room-code-input').value.toUpperCase().trim();
         const joinStatus = document.getElementById('join-status');
         const btnCancelJoinEl = document.getElementById('btn-cancel-join');
@@ -230,41 +298,43 @@ function setupMenuHandlers() {
         joinStatus.textContent = 'Connecting...';
         joinStatus.className = 'connection-status connecting';
         btnConnect.disabled = true;
+        btnSpectate.disabled = true;
         btnCancelJoinEl.classList.remove('hidden');
 
         try {
-            await networkManager.joinGame(roomCode);
+            await networkManager.joinGame(roomCode, { spectate });
             // Connection handling is done via events
         } catch (error) {
             joinStatus.textContent = 'Failed to connect. Check the code!';
             joinStatus.className = 'connection-status error';
             btnConnect.disabled = false;
+            btnSpectate.disabled = false;
         }
-    });
+    };
+
+    btnConnect.addEventListener('click', () => joinRoom(false));
+    btnSpectate.addEventListener('click', () => joinRoom(true));
 
     // Network event handlers
     networkManager.on('connected', (data) => {
         console.log('🎮 Connected to peer!', data);
 
-        // Transition to lobby
-        menuManager.showLobby(networkManager.roomCode, networkManager.isHost);
-
-        // Add SELF to the lobby first
-        const selfTeam = networkManager.isHost ? 'red' : 'blue';
-        const selfName = networkManager.isHost ? 'You (Host)' : 'You (Guest)';
-        menuManager.addPlayerToLobby(
-            { id: networkManager.playerId, name: selfName },
-            selfTeam
-        );
+        // Transition to lobby (a new room starts with an empty chat)
+        chatManager.clear();
+        menuManager.showLobby(networkManager.roomCode, networkManager.isHost, networkManager.isSpectator);
 
-        // The peer will be added when we receive the handshake message
-        // (see playerJoined handler below)
+        // The roster arrives via lobbyUpdated (the host sends it on every change)
+        if (networkManager.isHost) {
+            menuManager.updateLobbySchemeName(currentScheme.name);
+            networkManager.setTeamConfigs(networkManager.teamConfigs.map(team => ({ ...team, koalaCount: currentScheme.koalaCount })));
+        }
 
         // Reset UI states
         hostPanel.classList.add('hidden');
         joinPanel.classList.add('hidden');
         menuButtons.classList.remove('hidden');
         btnConnect.disabled = false;
+        btnSpectate.disabled = false;
     });
 
     networkManager.on('error', (data) => {
@@ -282,10 +352,13 @@ function setupMenuHandlers() {
         }
 
         btnConnect.disabled = false;
+        btnSpectate.disabled = false;
     });
 
     networkManager.on('disconnected', (data) => {
         console.log('🔌 Disconnected:', data?.reason);
+        menuManager.hideWaitingOverlay();
+        chatManager.setInMatch(false);
 
         // Show disconnection message if in game
         if (game) {
@@ -296,14 +369,92 @@ function setupMenuHandlers() {
         menuManager.showMenu();
     });
 
-    networkManager.on('playerJoined', (data) => {
-        console.log('👤 Player joined:', data);
-        menuManager.addPlayerToLobby(data.player, data.team);
+    // The other side runs another protocol version - we can't play together
+    networkManager.on('incompatible', ({ message }) => {
+        menuManager.hideWaitingOverlay();
+        chatManager.setInMatch(false);
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+        menuManager.showMenu();
+        alert(message);
+    });
+
+    // Reconnecting: the match pauses while a player is gone
+    networkManager.on('connectionLost', ({ timeout }) => {
+        if (!game) return;
+        game.setWaitingForPlayer(true);
+        menuManager.showWaitingOverlay('Connection lost', 'Reconnecting to the host...', timeout);
     });
 
-    networkManager.on('playerReady', (data) => {
-        console.log('✅ Player ready:', data);
-        menuManager.updatePlayerReady(data.playerId, data.ready);
+    networkManager.on('playerDropped', ({ name, timeout }) => {
+        if (!game) return;
+        game.setWaitingForPlayer(true);
+        menuManager.showWaitingOverlay('Waiting for opponent', `${name} lost connection`, timeout);
+    });
+
+    // Host: a spectator came in mid-match - send them the match to watch from
+    networkManager.on('spectatorJoined', ({ playerId }) => {
+        if (game) {
+            networkManager.sendResume(playerId, game.createSnapshot());
+        }
+    });
+
+    networkManager.on('playerRejoined', ({ playerId, name, waiting }) => {
+        if (!game) return;
+        console.log(`🔁 ${name} is back`);
+        if (networkManager.isHost) {
+            networkManager.sendResume(playerId, game.createSnapshot());
+        }
+        if (!waiting) {
+            game.setWaitingForPlayer(false);
+            menuManager.hideWaitingOverlay();
+        }
+    });
+
+    networkManager.on('playerForfeited', ({ playerId, name, waiting }) => {
+        if (!game) return;
+        console.log(`🏳️ ${name} forfeited`);
+        if (!waiting) {
+            game.setWaitingForPlayer(false);
+            menuManager.hideWaitingOverlay();
+        }
+        game.forfeitTeams(networkManager.getTeamsOf(playerId));
+    });
+
+    networkManager.on('resume', async ({ gameState, snapshot, waiting }) => {
+        // Rejoined after a page reload - rebuild the match from its start state first
+        if (!game) {
+            await startGame(false, gameState, gameState.customMap);
+        }
+        game.applySnapshot(snapshot);
+        game.setWaitingForPlayer(waiting);
+        if (!waiting) {
+            menuManager.hideWaitingOverlay();
+        }
+    });
+
+    networkManager.on('lobbyUpdated', (state) => {
+        menuManager.renderLobby(state, networkManager.playerId);
+
+        // Host edits the teams; re-render so the form matches what guests see
+        if (networkManager.isHost) {
+            menuManager.renderTeamSetup(
+                document.getElementById('lobby-team-setup'),
+                state.teams,
+                (teams) => networkManager.setTeamConfigs(teams)
+            );
+        }
+    });
+
+    networkManager.on('playerLeft', (data) => {
+        console.log('👋 Player left:', data.name);
+        chatManager.addSystemMessage(`${data.name} left the room`);
+    });
+
+    networkManager.on('chatMessage', (data) => {
+        chatManager.receive(data, networkManager.getPlayerName(data.playerId));
     });
 
     networkManager.on('gameStart', (data) => {
@@ -315,13 +466,28 @@ function setupMenuHandlers() {
     btnPractice.addEventListener('click', (e) => {
         e.target.blur(); // Remove focus so spacebar doesn't re-trigger
         const maps = MapManager.getAllMaps();
-        menuManager.showMapSelection(maps, (mapId) => {
+        menuManager.showMapSelection(maps, (mapId, teams) => {
             let customMap = null;
             if (mapId !== 'default') {
                 customMap = maps[mapId];
             }
-            startGame(true, null, customMap);
-        });
+            practiceTeams = teams;
+            startGame(true, null, customMap, teams, currentScheme);
+        }, { teams: practiceTeams });
+    });
+
+    // Hot-Seat - several players taking turns at this keyboard
+    btnHotSeat.addEventListener('click', (e) => {
+        e.target.blur();
+        const maps = MapManager.getAllMaps();
+        menuManager.showMapSelection(maps, (mapId, teams) => {
+            const customMap = mapId !== 'default' ? maps[mapId] : null;
+            hotSeatTeams = teams;
+
+            // Unnamed players go by their seat
+            const players = teams.map((team, index) => team.ai ? team : { ...team, player: team.player || `Player ${index + 1}` });
+            startGame(true, null, customMap, players, currentScheme, true);
+        }, { teams: hotSeatTeams, players: true });
     });
 
     // Ready toggle
@@ -341,7 +507,8 @@ function setupMenuHandlers() {
     btnStartGame.addEventListener('click', () => {
         const options = {
             isPractice: false,
-            customMap: window.selectedMap
+            customMap: window.selectedMap,
+            scheme: currentScheme
         };
         networkManager.startGame(options);
     });
@@ -368,16 +535,25 @@ function setupMenuHandlers() {
         });
     }
 
+    // Game Scheme (main menu and lobby)
+    const openSchemeEditor = () => {
+        menuManager.showSchemeEditor(currentScheme, weaponRegistry.getAll(), applyScheme);
+    };
+    document.getElementById('btn-scheme')?.addEventListener('click', openSchemeEditor);
+    document.getElementById('btn-change-scheme')?.addEventListener('click', openSchemeEditor);
+
     // Rematch
     btnRematch.addEventListener('click', () => {
         if (game) {
             game.reset();
+            chatManager.setInMatch(!game.isPractice, game.audioManager);
         }
         menuManager.showScreen('game-screen');
     });
 
     // Main menu
     btnMainMenu.addEventListener('click', () => {
+        menuManager.hideHandoff();
         if (game) {
             game.destroy();
             game = null;
@@ -386,6 +562,47 @@ function setupMenuHandlers() {
         menuManager.showMenu();
     });
 
+    // Save replay of the match that just ended
+    const btnSaveReplay = document.getElementById('btn-save-replay');
+    if (btnSaveReplay) {
+        btnSaveReplay.addEventListener('click', () => {
+            saveReplay();
+        });
+    }
+
+    // Spectators: free camera toggle (button or F)
+    const toggleSpectatorCamera = () => {
+        if (!game || !game.isSpectator) return;
+        game.camera.free = !game.camera.free;
+        document.getElementById('btn-spectator-camera').classList.toggle('active', game.camera.free);
+    };
+    document.getElementById('btn-spectator-camera').addEventListener('click', toggleSpectatorCamera);
+    window.addEventListener('keydown', (e) => {
+        if (e.code === 'KeyF' && !isTypingTarget(e.target)) toggleSpectatorCamera();
+    });
+
+    // Desync warning: diagnostic report, and the host's full resync
+    document.getElementById('btn-desync-report').addEventListener('click', () => {
+        saveDesyncReport();
+    });
+
+    document.getElementById('btn-force-resync').addEventListener('click', () => {
+        if (!game || !networkManager.isHost) return;
+        networkManager.sendResync(game.createSnapshot());
+        game.desyncMonitor.clear();
+        menuManager.hideDesyncWarning();
+    });
+
+    // Watch a saved replay
+    const btnWatchReplay = document.getElementById('btn-watch-replay');
+    if (btnWatchReplay) {
+        btnWatchReplay.addEventListener('click', () => {
+            loadReplay();
+        });
+    }
+
+    setupReplayControls();
+
     // Map Editor Button
     const btnEditor = document.getElementById('btn-editor');
     if (btnEditor) {
@@ -465,6 +682,24 @@ function setupMenuHandlers() {
         }
     });
 
+    networkManager.on('remoteLockTarget', (data) => {
+        if (game) {
+            game.handleRemoteLockTarget(data);
+        }
+    });
+
+    networkManager.on('remoteDetonate', (data) => {
+        if (game) {
+            game.handleRemoteDetonate(data);
+        }
+    });
+
+    networkManager.on('remoteBullet', (data) => {
+        if (game) {
+            game.handleRemoteBullet(data);
+        }
+    });
+
     networkManager.on('remoteTurnEnd', (data) => {
         if (game) {
             game.handleRemoteTurnEnd(data);
@@ -477,6 +712,12 @@ function setupMenuHandlers() {
         }
     });
 
+    networkManager.on('remoteFireSync', (data) => {
+        if (game) {
+            game.fireManager.handleRemoteFireSync(data);
+        }
+    });
+
     networkManager.on('remoteWeaponSelect', (data) => {
         if (game) {
             game.handleRemoteWeaponSelect(data);
@@ -495,6 +736,12 @@ function setupMenuHandlers() {
         }
     });
 
+    networkManager.on('remoteRope', (data) => {
+        if (game) {
+            game.handleRemoteRope(data);
+        }
+    });
+
     networkManager.on('remoteStateSync', (data) => {
         if (game) {
             game.handleRemoteStateSync(data);
@@ -506,22 +753,49 @@ function setupMenuHandlers() {
             game.lootManager.handleRemoteCrateSpawn(data);
         }
     });
+
+    networkManager.on('remoteSuddenDeath', (data) => {
+        if (game) {
+            game.handleRemoteSuddenDeath(data);
+        }
+    });
+
+    networkManager.on('remoteStateHash', (data) => {
+        if (game) {
+            game.handleRemoteStateHash(data);
+        }
+    });
+
+    networkManager.on('resync', async ({ snapshot }) => {
+        if (game) {
+            await game.resync(snapshot);
+            menuManager.hideDesyncWarning();
+        }
+    });
 }
 
 /**
  * Start the game
  * @param {boolean} isPractice - Single player practice mode
  * @param {Object} networkState - Initial state from network (multiplayer)
+ * @param {Array} teams - Team configs for practice (multiplayer uses networkState.teams)
+ * @param {Object} scheme - Match rules for practice (multiplayer uses networkState.scheme)
+ * @param {boolean} hotSeat - Practice with several people passing the keyboard (handoff between turns)
+ * @returns {Promise} Resolves once the terrain and teams are set up
  */
-function startGame(isPractice = false, networkState = null, customMap = null) {
+function startGame(isPractice = false, networkState = null, customMap = null, teams = null, scheme = null, hotSeat = false) {
     const canvas = document.getElementById('game-canvas');
 
     // Create game instance
     game = new Game(canvas, {
         isPractice,
+        isSpectator: !isPractice && networkManager.isSpectator,
         networkManager: isPractice ? null : networkManager,
         initialState: networkState,
-        customMap: customMap || window.selectedMap
+        customMap: customMap || window.selectedMap,
+        teams,
+        scheme,
+        hotSeat
     });
 
     // Expose game instance globally for debugging/export
@@ -529,9 +803,13 @@ function startGame(isPractice = false, networkState = null, customMap = null) {
 
     // Show game screen
     menuManager.showScreen('game-screen');
+    menuManager.hideDesyncWarning();
+    document.getElementById('spectator-bar').classList.toggle('hidden', !game.isSpectator);
+    document.getElementById('btn-spectator-camera').classList.remove('active');
+    chatManager.setInMatch(!isPractice, game.audioManager);
 
     // Start the game
-    game.start();
+    const started = game.start();
 
     // Set up mute toggle
     const muteBtn = document.getElementById('mute-toggle');
@@ -544,10 +822,215 @@ function startGame(isPractice = false, networkState = null, customMap = null) {
         });
     }
 
+    // Hot-seat: cover the board until the next player takes over
+    game.on('handoff', ({ team }) => {
+        menuManager.showHandoff(team, () => game.finishHandoff());
+    });
+
     // Game over handler
     game.on('gameOver', (result) => {
+        menuManager.hideDesyncWarning();
+        menuManager.hideHandoff();
+        chatManager.setInMatch(false);
         menuManager.showGameOver(result);
     });
+
+    // Peers disagree about the match state
+    game.on('desync', (report) => {
+        menuManager.showDesyncWarning(report, networkManager.isHost);
+    });
+
+    return started;
+}
+
+/**
+ * Use a scheme for the next practice / hosted game
+ * Its koala count becomes every team's koala count (teams can still change it afterwards)
+ */
+function applyScheme(scheme) {
+    currentScheme = scheme;
+    practiceTeams = practiceTeams.map(team => ({ ...team, koalaCount: scheme.koalaCount }));
+    hotSeatTeams = hotSeatTeams.map(team => ({ ...team, koalaCount: scheme.koalaCount }));
+
+    menuManager.updateLobbySchemeName(scheme.name);
+    if (networkManager.isHost) {
+        networkManager.setTeamConfigs(networkManager.teamConfigs.map(team => ({ ...team, koalaCount: scheme.koalaCount })));
+    }
+    console.log('⚙️ Using scheme:', scheme.name);
+}
+
+/**
+ * Download the current match's replay log
+ */
+function saveReplay() {
+    if (!game || !game.replayRecorder) return;
+
+    const json = JSON.stringify(game.replayRecorder.toJSON());
+
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `match_${game.gameSeed}.koalareplay`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('💾 Replay saved');
+}
+
+/**
+ * Download the latest desync diagnostic report
+ */
+function saveDesyncReport() {
+    const report = game?.desyncMonitor.report;
+    if (!report) return;
+
+    const json = JSON.stringify(report, null, 2);
+
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `desync_${report.seed}_turn${report.turn}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('💾 Desync report saved');
+}
+
+/**
+ * Pick a replay file and start the viewer
+ */
+function loadReplay() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.koalareplay,.json';
+
+    input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const log = JSON.parse(await file.text());
+            await startReplay(log);
+        } catch (err) {
+            console.error('Failed to load replay:', err);
+            alert('Failed to load replay file. Make sure it\'s a valid .koalareplay file.');
+        }
+    };
+
+    input.click();
+}
+
+/**
+ * Start the replay viewer for a loaded log
+ */
+async function startReplay(log) {
+    const canvas = document.getElementById('game-canvas');
+
+    replayPlayer = new ReplayPlayer(canvas, log);
+
+    // Seeking backwards rebuilds the Game - keep the globals pointing at the live one
+    replayPlayer.on('gameCreated', (replayGame) => {
+        game = replayGame;
+        window.game = game;
+    });
+    replayPlayer.on('stateChanged', updateReplayControls);
+    replayPlayer.on('finished', (result) => {
+        const turnEl = document.getElementById('replay-turn');
+        if (turnEl) {
+            turnEl.textContent = result.winner ? `🏆 ${result.winner.name}` : '🤝 Draw';
+        }
+    });
+
+    menuManager.showScreen('game-screen');
+    document.getElementById('replay-controls').classList.remove('hidden');
+
+    await replayPlayer.start();
+    updateReplayControls();
+
+    console.log(`🎬 Replay loaded: ${replayPlayer.getTurnCount()} turns`);
+}
+
+/**
+ * Leave the replay viewer
+ */
+function stopReplay() {
+    if (replayPlayer) {
+        replayPlayer.destroy();
+        replayPlayer = null;
+        game = null;
+    }
+    document.getElementById('replay-controls').classList.add('hidden');
+    menuManager.showMenu();
+}
+
+/**
+ * Wire up the replay viewer controls
+ */
+function setupReplayControls() {
+    const btnPrev = document.getElementById('btn-replay-prev');
+    const btnPause = document.getElementById('btn-replay-pause');
+    const btnNext = document.getElementById('btn-replay-next');
+    const speedSelect = document.getElementById('replay-speed');
+    const btnCamera = document.getElementById('btn-replay-camera');
+    const btnExit = document.getElementById('btn-replay-exit');
+
+    btnPrev.addEventListener('click', () => {
+        if (replayPlayer) replayPlayer.seekToTurn(replayPlayer.getCurrentTurn() - 1);
+    });
+    btnNext.addEventListener('click', () => {
+        if (replayPlayer) replayPlayer.seekToTurn(replayPlayer.getCurrentTurn() + 1);
+    });
+    btnPause.addEventListener('click', () => {
+        if (replayPlayer) replayPlayer.togglePause();
+    });
+    speedSelect.addEventListener('change', () => {
+        if (replayPlayer) replayPlayer.setSpeed(parseFloat(speedSelect.value));
+        speedSelect.blur(); // Keep WASD/Space for the viewer
+    });
+    btnCamera.addEventListener('click', () => {
+        if (replayPlayer) replayPlayer.setFreeCamera(!replayPlayer.freeCamera);
+    });
+    btnExit.addEventListener('click', stopReplay);
+
+    // Keyboard shortcuts (the replay game ignores gameplay keys)
+    window.addEventListener('keydown', (e) => {
+        // Typing in a text field - the keys are letters, not playback controls
+        if (!replayPlayer || isTypingTarget(e.target)) return;
+
+        if (e.code === 'Space') {
+            replayPlayer.togglePause();
+            e.preventDefault();
+        } else if (e.code === 'KeyF') {
+            replayPlayer.setFreeCamera(!replayPlayer.freeCamera);
+        } else if (e.code === 'PageUp') {
+            replayPlayer.seekToTurn(replayPlayer.getCurrentTurn() - 1);
+        } else if (e.code === 'PageDown') {
+            replayPlayer.seekToTurn(replayPlayer.getCurrentTurn() + 1);
+        }
+    });
+
+    // Turn counter follows playback
+    setInterval(() => {
+        if (replayPlayer) updateReplayControls();
+    }, 250);
+}
+
+/**
+ * Refresh replay control labels
+ */
+function updateReplayControls() {
+    if (!replayPlayer || !replayPlayer.game || replayPlayer.game.isGameOver) return;
+
+    document.getElementById('replay-turn').textContent =
+        `Turn ${replayPlayer.getCurrentTurn()} / ${replayPlayer.getTurnCount()}`;
+    document.getElementById('btn-replay-pause').textContent = replayPlayer.isPaused ? '▶' : '⏸';
+    document.getElementById('btn-replay-camera').classList.toggle('active', replayPlayer.freeCamera);
 }
 
 // Initialize when DOM is ready
@@ -639,12 +1122,17 @@ function testPlayMap() {
 function startGameWithCustomMap(mapData) {
     const canvas = document.getElementById('game-canvas');
 
+    // One team per spawn list the map defines (at least two)
+    const teamCount = MapManager.normalizeSpawns(mapData.spawns).length;
+
     // Create game instance with custom map option
     game = new Game(canvas, {
         isPractice: true,
         networkManager: null,
         initialState: null,
-        customMap: mapData  // Pass the custom map data
+        customMap: mapData,  // Pass the custom map data
+        teams: createTeamConfigs(teamCount, currentScheme.koalaCount),
+        scheme: currentScheme
     });
 
     // Expose game instance globally
@@ -813,10 +1301,7 @@ function exportCurrentGameMap(mapName = 'Current Map') {
         height: terrain.height,
         terrain: terrainCanvas.toDataURL('image/png'),
         objects: [], // Game objects are baked into terrain
-        spawns: {
-            team1: [],
-            team2: []
-        }
+        spawns: [] // One list per team
     };
 
     // Convert to JSON
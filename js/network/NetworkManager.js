@@ -1,21 +1,130 @@
 /**
- * Network Manager - PeerJS-based P2P multiplayer
- * Uses WebRTC data channels for direct player-to-player communication
+ * Network Manager - P2P multiplayer over a pluggable transport
+ * Host-star topology: every guest connects to the host, and the host relays each
+ * guest's game actions to all other guests. The host is the authority: it checks
+ * guest actions against its own match (Game's ActionValidator) before relaying them,
+ * and match state (explosion results, state syncs, crates) only ever comes from it.
+ * The connections come from a transport (PeerJS WebRTC by default, our WebSocket
+ * relay server, or in-memory loopback).
+ * A guest that drops mid-match keeps their place: the host pauses the match and
+ * holds the room until they rejoin with the same room code and the secret their
+ * gameStart carried (or forfeit on timeout).
+ * Spectators join the same way but only watch: they get every message and the host
+ * drops anything but chat from them.
+ * Every message is checked against its schema (Protocol.js) on arrival, and peers
+ * on another protocol version are turned away.
+ * Walking and aiming are rate limited (the latest update wins) and moves go out as
+ * small deltas from the previous one, with a full position every so often.
  */
 
 import { EventEmitter } from '../utils/EventEmitter.js';
+import { MAX_TEAMS, createTeamConfigs, normalizeTeamConfigs } from '../entities/Team.js';
+import { PeerJSTransport } from './transports/PeerJSTransport.js';
+import { PROTOCOL_VERSION, BUILD_ID, VERSIONED_TYPES, validateMessage, isCompatible, describeIncompatible } from './Protocol.js';
+
+// Game actions the host forwards from one guest to everyone else
+const RELAYED_TYPES = new Set([
+    'move', 'aim', 'fire', 'targetWeapon', 'lockTarget', 'detonate', 'bullet', 'weaponSelect', 'jump', 'highJump',
+    'rope', 'stateHash', 'chat'
+]);
+
+// Lobby and match state only the host sends - it ignores them from guests
+const HOST_ONLY_TYPES = new Set([
+    'lobbyState', 'roomFull', 'incompatible', 'mapSelected', 'gameStart', 'resume', 'playerDropped',
+    'playerRejoined', 'playerForfeited', 'damage', 'turnEnd', 'explosionSync', 'fireSync', 'stateSync',
+    'crateSpawn', 'suddenDeath', 'resync'
+]);
+
+// Spectators a room takes on top of its players, and all the host accepts from them
+const MAX_SPECTATORS = 8;
+const SPECTATOR_TYPES = new Set(['handshake', 'rejoin', 'chat']);
+
+// Messages that name their sender - the host fills in who it really came from
+const SENDER_TYPES = new Set(['stateHash', 'chat']);
+
+// Host: at most CHAT_RATE_LIMIT chat messages relayed per sender in any CHAT_RATE_WINDOW ms
+// (ChatManager's own limit only holds back senders who play fair)
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW = 5000;
+
+// At most one move / aim update per interval (ms) - the latest one goes out when it ends
+const MOVE_SEND_INTERVAL = 50;
+const AIM_SEND_INTERVAL = 66;
+
+// Move deltas are whole hundredths of a pixel from the previous move
+const MOVE_PRECISION = 100;
+
+// Full positions: every so often (peers that joined mid-walk pick up from them), at the
+// start of each walk and once the koala has stood still this long (ms), to land exactly
+const MOVE_KEYFRAME_INTERVAL = 1000;
+const MOVE_SETTLE_DELAY = 250;
+
+// Aim is sent to a thousandth of a radian
+const AIM_PRECISION = 1000;
+
+// How long the host holds a dropped player's place before they forfeit
+const RECONNECT_TIMEOUT = 60000;
+const RECONNECT_RETRY_INTERVAL = 3000;
+
+// This tab's place in a running match (survives a page reload, so the player can rejoin)
+const SESSION_KEY = 'koala_artillery_session';
 
 export class NetworkManager extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options - { transport } (see transports/Transport.js; PeerJS if omitted)
+     */
+    constructor(options = {}) {
         super();
 
+        this.transport = options.transport || new PeerJSTransport();
         this.peer = null;
-        this.connection = null;
+
+        // Open data channels keyed by remote peer ID
+        // (host: one per guest, guest: just the host)
+        this.connections = new Map();
 
         this.roomCode = null;
         this.playerId = null;
         this.isHost = false;
+        this.isSpectator = false; // Joined to watch (never controls a team)
         this.isConnected = false;
+        this.isReady = false;
+
+        // Lobby roster [{ id, name, ready }] - owned by the host, mirrored to guests
+        this.players = [];
+        this.maxPlayers = MAX_TEAMS;
+        this.nextPlayerNumber = 2; // Guests are named Player 2, Player 3...
+
+        // Watching peers [{ id, name }] - not in the roster, never own a team
+        this.spectators = [];
+
+        // Host: checks guest actions before they are relayed ({ check(data, fromId) }, set by the Game)
+        this.actionValidator = null;
+        this.nextSpectatorNumber = 1;
+
+        // Team setup chosen by the host, and the player ID that controls each team
+        this.teamConfigs = createTeamConfigs();
+        this.teamOwners = [];
+        this.selectedMap = null;
+        this.gameStarted = false;
+        this.gameState = null; // The gameStart state (sent again to rejoining players)
+
+        // Reconnecting - host: dropped players { name, timer } by ID and each player's
+        // rejoin secret, guest: the player ID to rejoin as, our secret and the retry timer
+        this.droppedPlayers = new Map();
+        this.rejoinSecrets = new Map();
+        this.rejoinId = null;
+        this.rejoinSecret = null;
+        this.reconnectTimer = null;
+
+        // Rate limited movement - the update waiting to go out, and when the last one did
+        this.moveUpdates = { pending: null, lastSent: 0, timer: null, settleTimer: null };
+        this.aimUpdates = { pending: null, lastSent: 0, timer: null };
+        this.moveBase = null;              // Our last sent move { x, y (hundredths), facingLeft, raw, keyframeTime }
+        this.incomingMoves = new Map();    // Peer ID -> their last move { x, y (hundredths), facingLeft }
+
+        // Host: when each sender's recent chat messages came in (flood limit)
+        this.chatTimes = new Map();
 
         // Connection state
         this.connectionState = 'disconnected'; // disconnected, connecting, connected
@@ -34,7 +143,7 @@ export class NetworkManager extends EventEmitter {
     }
 
     /**
-     * Host a new game - creates a PeerJS peer and waits for connection
+     * Host a new game - creates a peer named after the room code and waits for connections
      */
     async hostGame() {
         this.isHost = true;
@@ -46,21 +155,42 @@ export class NetworkManager extends EventEmitter {
         return new Promise((resolve, reject) => {
             try {
                 // Create peer with our room code as the ID
-                this.peer = new Peer(this.roomCode, {
-                    debug: 1 // Minimal logging
-                });
+                this.peer = this.transport.createPeer(this.roomCode);
 
                 this.peer.on('open', (id) => {
                     console.log('✅ Peer created with ID:', id);
                     this.playerId = id;
+                    this.players = [{ id, name: 'Host', ready: false }];
+                    this.nextPlayerNumber = 2;
                     this.emit('hostReady', { roomCode: this.roomCode });
                     resolve(this.roomCode);
                 });
 
                 this.peer.on('connection', (conn) => {
-                    console.log('🔗 Player connecting...');
-                    this.connection = conn;
-                    this.setupConnectionHandlers(conn);
+                    // Rejoining players say who they were (their peer ID changes with every connection)
+                    // and prove it with the secret they were given at the start
+                    const rejoining = this.canRejoin(conn.metadata?.playerId, conn.metadata?.rejoinSecret);
+                    const playerId = rejoining ? conn.metadata.playerId : conn.peer;
+                    const idTaken = this.isKnownId(playerId);
+
+                    // Spectators can come in at any time, up to their own limit
+                    const roomFull = conn.metadata?.spectator
+                        ? this.spectators.length >= MAX_SPECTATORS
+                        : this.players.length >= this.maxPlayers || this.gameStarted;
+
+                    // Room full, match already running or posing as someone we know - turn them away
+                    if (!rejoining && (roomFull || idTaken)) {
+                        console.log('🚫 Rejecting player (room full or game in progress)');
+                        conn.on('open', () => {
+                            conn.send({ type: 'roomFull' });
+                            setTimeout(() => conn.close(), 500);
+                        });
+                        return;
+                    }
+
+                    console.log(rejoining ? '🔁 Player rejoining...' : '🔗 Player connecting...');
+                    this.connections.set(playerId, conn);
+                    this.setupConnectionHandlers(conn, playerId);
                 });
 
                 this.peer.on('error', (err) => {
@@ -97,41 +227,58 @@ export class NetworkManager extends EventEmitter {
     /**
      * Join an existing game using a room code
      */
-    async joinGame(roomCode) {
+    async joinGame(roomCode, options = {}) {
         this.isHost = false;
+        this.isSpectator = !!options.spectate;
         this.roomCode = roomCode.toUpperCase();
-        this.connectionState = 'connecting';
 
-        console.log('🔗 Joining game:', this.roomCode);
+        // Same room as a match this tab dropped out of - rejoin as that player
+        const session = NetworkManager.loadSession();
+        const rejoining = session?.roomCode === this.roomCode;
+        this.rejoinId = rejoining ? session.playerId : null;
+        this.rejoinSecret = rejoining ? session.rejoinSecret : null;
+
+        console.log(this.rejoinId ? '🔁 Rejoining game:' : '🔗 Joining game:', this.roomCode);
+        return this.connectToHost();
+    }
+
+    /**
+     * Guest: create our peer and open a data channel to the host
+     */
+    connectToHost() {
+        this.connectionState = 'connecting';
 
         return new Promise((resolve, reject) => {
             try {
                 // Create our own peer first
-                this.peer = new Peer({
-                    debug: 1
-                });
+                this.peer = this.transport.createPeer();
 
                 this.peer.on('open', (id) => {
                     console.log('✅ Our peer ID:', id);
-                    this.playerId = id;
+
+                    // Only players hold a rejoin secret - spectators come back as someone new
+                    const rejoinAs = this.rejoinSecret ? this.rejoinId : null;
+                    this.playerId = rejoinAs || id;
 
                     // Now connect to the host
                     console.log('📡 Connecting to host:', this.roomCode);
-                    this.connection = this.peer.connect(this.roomCode, {
-                        reliable: true
+                    const connection = this.peer.connect(this.roomCode, {
+                        reliable: true,
+                        metadata: { playerId: rejoinAs, rejoinSecret: rejoinAs && this.rejoinSecret, spectator: this.isSpectator }
                     });
+                    this.connections.set(this.roomCode, connection);
 
-                    this.setupConnectionHandlers(this.connection);
+                    this.setupConnectionHandlers(connection);
 
-                    // Set a timeout for connection
+                    // Set a timeout for connection (reconnect attempts retry on their own)
                     const timeout = setTimeout(() => {
-                        if (!this.isConnected) {
+                        if (!this.isConnected && !this.reconnectTimer) {
                             this.emit('error', { message: 'Connection timed out' });
                             reject(new Error('Connection timed out'));
                         }
                     }, 10000);
 
-                    this.connection.on('open', () => {
+                    connection.on('open', () => {
                         clearTimeout(timeout);
                     });
                 });
@@ -140,7 +287,9 @@ export class NetworkManager extends EventEmitter {
                     console.error('❌ Peer error:', err);
                     this.connectionState = 'disconnected';
 
-                    if (err.type === 'peer-unavailable') {
+                    if (this.reconnectTimer) {
+                        // Still trying to rejoin - the next attempt follows
+                    } else if (err.type === 'peer-unavailable') {
                         this.emit('error', { message: 'Room not found. Check the code!' });
                     } else {
                         this.emit('error', { message: err.message || 'Connection failed' });
@@ -163,34 +312,79 @@ export class NetworkManager extends EventEmitter {
 
     /**
      * Set up connection event handlers
+     * @param {string} remoteId - Player ID of the other end (its peer ID unless rejoining)
      */
-    setupConnectionHandlers(conn) {
+    setupConnectionHandlers(conn, remoteId = conn.peer) {
         conn.on('open', () => {
             console.log('✅ Data channel open!');
+
+            const firstConnection = !this.isConnected;
             this.isConnected = true;
             this.connectionState = 'connected';
 
-            this.emit('connected', {
-                isHost: this.isHost,
-                peerId: conn.peer
-            });
+            // Rejoining guests ask for the match back instead of the lobby
+            if (!this.isHost && this.rejoinId) {
+                this.stopReconnect();
+                this.sendTo(remoteId, {
+                    type: 'rejoin',
+                    playerId: this.playerId,
+                    ...(this.rejoinSecret && { rejoinSecret: this.rejoinSecret }),
+                    spectator: this.isSpectator,
+                    protocol: PROTOCOL_VERSION,
+                    build: BUILD_ID
+                });
+                return;
+            }
 
-            // Send initial handshake
-            this.send({
-                type: 'handshake',
-                isHost: this.isHost,
-                playerId: this.playerId
-            });
+            // The host enters the lobby on its first guest; later guests just join it
+            if (firstConnection) {
+                this.emit('connected', {
+                    isHost: this.isHost,
+                    peerId: remoteId
+                });
+            }
+
+            // Guests introduce themselves - the host answers with the lobby roster
+            if (!this.isHost) {
+                this.sendTo(remoteId, {
+                    type: 'handshake',
+                    playerId: this.playerId,
+                    spectator: this.isSpectator,
+                    protocol: PROTOCOL_VERSION,
+                    build: BUILD_ID
+                });
+            }
         });
 
         conn.on('data', (data) => {
-            this.handleMessage(data);
+            this.handleMessage(data, remoteId);
         });
 
         conn.on('close', () => {
-            console.log('🔌 Connection closed');
+            // Replaced by a rejoin, or we closed it ourselves
+            if (this.connections.get(remoteId) !== conn) return;
+
+            console.log('🔌 Connection closed:', remoteId);
+            this.connections.delete(remoteId);
+            this.incomingMoves.delete(remoteId);
+
+            if (this.isHost) {
+                if (this.gameStarted && !this.isSpectatorId(remoteId)) {
+                    this.dropPlayer(remoteId);
+                } else {
+                    this.removePlayer(remoteId);
+                }
+                return;
+            }
+
             this.isConnected = false;
             this.connectionState = 'disconnected';
+
+            // Mid-match: keep the game and try to get back in
+            if (this.gameStarted) {
+                this.reconnect();
+                return;
+            }
             this.emit('disconnected', { reason: 'Connection closed' });
         });
 
@@ -200,32 +394,484 @@ export class NetworkManager extends EventEmitter {
         });
     }
 
+    /**
+     * Host: a guest left - drop them from the roster
+     */
+    removePlayer(playerId) {
+        if (this.isSpectatorId(playerId)) {
+            this.removeSpectator(playerId);
+            return;
+        }
+
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        this.players = this.players.filter(p => p.id !== playerId);
+        console.log(`👋 ${player.name} left`);
+
+        this.emit('playerLeft', { playerId, name: player.name });
+
+        // Team ownership is fixed once the match is running
+        if (!this.gameStarted) {
+            this.broadcastLobbyState();
+        }
+
+        // Nobody left to play with mid-match
+        if (this.connections.size === 0 && this.gameStarted) {
+            this.isConnected = false;
+            this.connectionState = 'disconnected';
+            this.emit('disconnected', { reason: 'All players left' });
+        }
+    }
+
+    /**
+     * Host: a spectator arrived - mid-match they need the current state to watch from
+     */
+    addSpectator(playerId) {
+        // Reconnecting spectators keep their entry
+        let spectator = this.spectators.find(s => s.id === playerId);
+        if (!spectator) {
+            spectator = { id: playerId, name: `Spectator ${this.nextSpectatorNumber++}` };
+            this.spectators.push(spectator);
+        }
+        console.log(`👁️ ${spectator.name} is watching (${playerId})`);
+
+        if (this.selectedMap) {
+            this.sendTo(playerId, { type: 'mapSelected', map: this.selectedMap });
+        }
+        this.broadcastLobbyState();
+
+        // The game answers with sendResume
+        if (this.gameStarted) {
+            this.emit('spectatorJoined', { playerId, name: spectator.name });
+        }
+    }
+
+    removeSpectator(playerId) {
+        const spectator = this.spectators.find(s => s.id === playerId);
+        this.spectators = this.spectators.filter(s => s.id !== playerId);
+        console.log(`👋 ${spectator.name} stopped watching`);
+        this.broadcastLobbyState();
+    }
+
+    isSpectatorId(playerId) {
+        return this.spectators.some(s => s.id === playerId);
+    }
+
+    /**
+     * Host: is this ID already someone in the room (a player, dropped or not, or a spectator)?
+     */
+    isKnownId(playerId) {
+        return this.players.some(p => p.id === playerId) || this.isSpectatorId(playerId);
+    }
+
+    /**
+     * Host: turn a guest away - the room is full or the match is already running
+     */
+    refuseJoin(playerId) {
+        console.log(`🚫 Turning ${playerId} away (room full or game in progress)`);
+
+        // Forget the connection first - its close isn't a player leaving
+        const conn = this.connections.get(playerId);
+        if (!conn) return;
+        this.connections.delete(playerId);
+        conn.send({ type: 'roomFull' });
+        setTimeout(() => conn.close(), 500);
+    }
+
+    /**
+     * Host: a player's connection dropped mid-match - pause for everyone and hold
+     * their place until they rejoin or the timeout forfeits their teams
+     */
+    dropPlayer(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player || this.droppedPlayers.has(playerId)) return;
+
+        console.log(`⏳ ${player.name} dropped - holding their place for ${RECONNECT_TIMEOUT / 1000}s`);
+        const timer = setTimeout(() => this.forfeitPlayer(playerId), RECONNECT_TIMEOUT);
+        this.droppedPlayers.set(playerId, { name: player.name, timer });
+
+        const message = { type: 'playerDropped', playerId, name: player.name, timeout: RECONNECT_TIMEOUT };
+        this.send(message);
+        this.emit('playerDropped', message);
+    }
+
+    /**
+     * Host: a dropped player didn't make it back in time - their teams are out
+     */
+    forfeitPlayer(playerId) {
+        const dropped = this.droppedPlayers.get(playerId);
+        if (!dropped) return;
+
+        this.droppedPlayers.delete(playerId);
+        this.players = this.players.filter(p => p.id !== playerId);
+        console.log(`🏳️ ${dropped.name} forfeits`);
+
+        const message = { type: 'playerForfeited', playerId, name: dropped.name, waiting: this.droppedPlayers.size > 0 };
+        this.send(message);
+        this.emit('playerForfeited', message);
+    }
+
+    /**
+     * Host: is this a dropped player coming back? Only the secret from their gameStart lets
+     * them take the place over - a player ID alone is no proof, everyone can see those
+     */
+    canRejoin(playerId, secret) {
+        return this.gameStarted && this.droppedPlayers.has(playerId) &&
+            typeof secret === 'string' && this.rejoinSecrets.get(playerId) === secret;
+    }
+
+    /**
+     * Hard to guess token for a player's rejoin secret
+     */
+    static generateSecret() {
+        const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Host: a dropped player is back - the game answers with sendResume
+     */
+    rejoinPlayer(playerId) {
+        const dropped = this.droppedPlayers.get(playerId);
+        if (dropped) {
+            clearTimeout(dropped.timer);
+            this.droppedPlayers.delete(playerId);
+        }
+
+        const name = this.players.find(p => p.id === playerId)?.name || dropped?.name || 'Player';
+        console.log(`🔁 ${name} rejoined`);
+
+        const message = { type: 'playerRejoined', playerId, name, waiting: this.droppedPlayers.size > 0 };
+        this.relay(message, playerId);
+        this.emit('playerRejoined', message);
+    }
+
+    /**
+     * Host: send a rejoined player the match (start state + authoritative snapshot)
+     */
+    sendResume(playerId, snapshot) {
+        this.sendTo(playerId, {
+            type: 'resume',
+            protocol: PROTOCOL_VERSION,
+            build: BUILD_ID,
+            gameState: this.gameState,
+            snapshot,
+            waiting: this.droppedPlayers.size > 0
+        });
+    }
+
+    /**
+     * Guest: lost the host mid-match - keep rejoining until the host's timeout runs out
+     */
+    reconnect() {
+        if (this.reconnectTimer) return;
+
+        this.rejoinId = this.playerId;
+        this.emit('connectionLost', { timeout: RECONNECT_TIMEOUT });
+
+        const giveUpAt = Date.now() + RECONNECT_TIMEOUT;
+        const attempt = () => {
+            if (Date.now() > giveUpAt) {
+                this.reconnectTimer = null;
+                this.emit('disconnected', { reason: 'Could not reconnect' });
+                return;
+            }
+
+            console.log('🔁 Trying to rejoin', this.roomCode);
+            if (this.peer) {
+                this.peer.destroy();
+            }
+            this.connectToHost().catch(() => {});
+            this.reconnectTimer = setTimeout(attempt, RECONNECT_RETRY_INTERVAL);
+        };
+        this.reconnectTimer = setTimeout(attempt, 0);
+    }
+
+    /**
+     * Stop rejoin attempts (back in, or giving up)
+     */
+    stopReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Team indexes a player controls
+     */
+    getTeamsOf(playerId) {
+        return this.teamOwners
+            .map((owner, index) => owner === playerId ? index : -1)
+            .filter(index => index !== -1);
+    }
+
+    /**
+     * Remember / forget this tab's place in a running match
+     * (no-ops outside the browser, e.g. loopback matches in Node)
+     */
+    static saveSession(session) {
+        globalThis.sessionStorage?.setItem(SESSION_KEY, JSON.stringify(session));
+    }
+
+    static loadSession() {
+        try {
+            return JSON.parse(globalThis.sessionStorage?.getItem(SESSION_KEY) ?? 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static clearSession() {
+        globalThis.sessionStorage?.removeItem(SESSION_KEY);
+    }
+
+    /**
+     * Host: assign each team to a player, round-robin in join order
+     */
+    assignTeamOwners() {
+        this.teamOwners = this.teamConfigs.map((config, index) =>
+            this.players.length > 0 ? this.players[index % this.players.length].id : null
+        );
+        return this.teamOwners;
+    }
+
+    /**
+     * A peer on another protocol version: the host turns the guest away, a guest leaves
+     */
+    refuseIncompatible(data, fromId) {
+        console.warn(`🚫 ${fromId} is on protocol ${data.protocol} (build ${data.build}), we're on ${PROTOCOL_VERSION} (build ${BUILD_ID})`);
+
+        if (!this.isHost) {
+            this.leaveIncompatible(data);
+            return;
+        }
+
+        // Forget the connection first - its close isn't a player leaving
+        const conn = this.connections.get(fromId);
+        if (!conn) return;
+        this.connections.delete(fromId);
+        conn.send({ type: 'incompatible', protocol: PROTOCOL_VERSION, build: BUILD_ID });
+        setTimeout(() => conn.close(), 500);
+    }
+
+    /**
+     * Guest: the host is on another protocol version - leave with an explanation
+     */
+    leaveIncompatible(data) {
+        const message = describeIncompatible(data);
+        this.disconnect();
+        this.emit('incompatible', { message });
+    }
+
+    /**
+     * Host: send the roster and team setup to every guest (and update our own lobby)
+     */
+    broadcastLobbyState() {
+        if (!this.isHost) return;
+
+        // Team ownership is fixed once the match is running
+        if (!this.gameStarted) {
+            this.assignTeamOwners();
+        }
+        const state = {
+            type: 'lobbyState',
+            protocol: PROTOCOL_VERSION,
+            build: BUILD_ID,
+            players: this.players,
+            spectators: this.spectators,
+            teams: this.teamConfigs,
+            teamOwners: this.teamOwners
+        };
+
+        this.send(state);
+        this.emit('lobbyUpdated', state);
+    }
+
+    /**
+     * Host: change the team setup (names, colors, koala counts)
+     */
+    setTeamConfigs(teams) {
+        if (!this.isHost) return;
+        this.teamConfigs = normalizeTeamConfigs(teams);
+        this.broadcastLobbyState();
+    }
+
     /**
      * Handle incoming messages
+     * @param {Object} data - The message
+     * @param {string} fromId - Peer ID of the connection it arrived on
      */
-    handleMessage(data) {
-        console.log('📨 Received:', data.type);
+    handleMessage(data, fromId) {
+        console.log('📨 Received:', data?.type);
+
+        // Another protocol version can't be trusted to match our schemas - check that first
+        if (VERSIONED_TYPES.has(data?.type)) {
+            if (!isCompatible(data)) {
+                this.refuseIncompatible(data, fromId);
+                return;
+            }
+            if (data.build !== BUILD_ID) {
+                console.log(`ℹ️ ${fromId} runs build ${data.build} (ours: ${BUILD_ID}) - same protocol, playing on`);
+            }
+        }
+
+        // Malformed messages never reach the game (or the other guests)
+        const problem = validateMessage(data);
+        if (problem) {
+            console.warn(`🚫 Rejected ${data?.type ?? 'message'} from ${fromId}: ${problem}`, data);
+            return;
+        }
+
+        // Host: spectators only get to talk
+        if (this.isHost && this.isSpectatorId(fromId) && !SPECTATOR_TYPES.has(data.type)) {
+            return;
+        }
+
+        // Host: guests don't get to say what the match state is
+        if (this.isHost && HOST_ONLY_TYPES.has(data.type)) {
+            console.warn(`🚫 Ignored ${data.type} from ${fromId} (only the host sends it)`);
+            return;
+        }
+
+        // Moves come in as deltas - rebuild the full position first (the host relays that,
+        // so the others never depend on a base they may have missed)
+        if (data.type === 'move') {
+            data = this.decodeMove(data, fromId);
+            if (!data) return;
+        }
+
+        // Host: nobody speaks for someone else
+        if (this.isHost && SENDER_TYPES.has(data.type)) {
+            data = { ...data, playerId: fromId };
+        }
+
+        // Host: a chat flood stops here instead of reaching everyone
+        if (this.isHost && data.type === 'chat' && this.isChatFlooding(fromId)) {
+            return;
+        }
+
+        // Host: check guest game actions against the match, then pass them on to everyone else
+        if (this.isHost && RELAYED_TYPES.has(data.type)) {
+            if (this.actionValidator) {
+                data = this.actionValidator.check(data, fromId);
+                if (!data) return;
+            }
+            this.relay(data, fromId);
+        }
 
         switch (data.type) {
-            case 'handshake':
-                // This is info about the OTHER player who just connected
-                // If they say they're host, that means WE are the guest (and vice versa)
-                const peerName = data.isHost ? 'Host' : 'Guest';
-                const peerTeam = data.isHost ? 'red' : 'blue';
-                this.emit('playerJoined', {
-                    player: { id: data.playerId, name: peerName },
-                    team: peerTeam
-                });
+            case 'rejoin':
+                // Host: a dropped player is back (anyone else is just joining, which mid-match they can't)
+                if (!this.isHost) break;
+                if (this.canRejoin(fromId, data.rejoinSecret)) {
+                    this.rejoinPlayer(fromId);
+                    break;
+                }
+                // falls through
+
+            case 'handshake': {
+                // Host: a guest introduced themselves - add them to the roster
+                if (!this.isHost) break;
+
+                // Once is enough - a second handshake would put them in the roster twice
+                if (this.isKnownId(fromId)) {
+                    console.warn(`🚫 Ignored ${data.type} from ${fromId} (already in the room)`);
+                    break;
+                }
+
+                if (data.spectator) {
+                    this.addSpectator(fromId);
+                    break;
+                }
+
+                // No new players mid-match (that includes a rejoin we couldn't take)
+                if (this.gameStarted) {
+                    this.refuseJoin(fromId);
+                    break;
+                }
+
+                const number = this.nextPlayerNumber++;
+                this.players.push({ id: fromId, name: `Player ${number}`, ready: false });
+                console.log(`👤 Player ${number} joined (${fromId})`);
+
+                // Late joiners need the map picked so far
+                if (this.selectedMap) {
+                    this.sendTo(fromId, { type: 'mapSelected', map: this.selectedMap });
+                }
+                this.broadcastLobbyState();
+                break;
+            }
+
+            case 'lobbyState':
+                if (this.gameStarted) break;
+
+                // Tried to rejoin a match that is over - we're in the lobby instead, as our own peer
+                if (this.rejoinId) {
+                    this.playerId = this.peer.id;
+                    this.rejoinId = null;
+                    this.rejoinSecret = null;
+                    NetworkManager.clearSession();
+                    this.emit('connected', { isHost: false, peerId: fromId });
+                }
+
+                this.players = data.players;
+                this.spectators = data.spectators || [];
+                this.teamConfigs = data.teams;
+                this.teamOwners = data.teamOwners;
+                this.emit('lobbyUpdated', data);
+                break;
+
+            case 'roomFull':
+                this.emit('error', { message: 'That room is full or already playing' });
                 break;
 
-            case 'ready':
-                this.emit('playerReady', { playerId: data.playerId, ready: data.ready });
+            case 'incompatible':
+                // Sent by the host - we're on another protocol version
+                this.leaveIncompatible(data);
                 break;
 
+            case 'ready': {
+                // Host: update the roster and tell everyone
+                if (!this.isHost) break;
+
+                const player = this.players.find(p => p.id === fromId);
+                if (player) {
+                    player.ready = data.ready;
+                    this.broadcastLobbyState();
+                }
+                break;
+            }
+
             case 'gameStart':
+                this.gameStarted = true;
+                this.gameState = data.gameState;
+                this.teamOwners = data.gameState.teams.map(team => team.owner);
+                this.rejoinSecret = data.rejoinSecret ?? null;
+                if (!this.isSpectator) {
+                    NetworkManager.saveSession({ roomCode: this.roomCode, playerId: this.playerId, rejoinSecret: this.rejoinSecret });
+                }
                 this.emit('gameStart', data);
                 break;
 
+            case 'resume':
+                // Back in a match after reconnecting (or reloading the page)
+                this.stopReconnect();
+                this.gameStarted = true;
+                this.gameState = data.gameState;
+                this.teamOwners = data.gameState.teams.map(team => team.owner);
+                if (!this.isSpectator) {
+                    NetworkManager.saveSession({ roomCode: this.roomCode, playerId: this.playerId, rejoinSecret: this.rejoinSecret });
+                }
+                this.emit('resume', data);
+                break;
+
+            case 'playerDropped':
+            case 'playerRejoined':
+            case 'playerForfeited':
+                // Sent by the host - pause / resume while someone reconnects
+                this.emit(data.type, data);
+                break;
+
             case 'mapSelected':
                 this.emit('mapSelected', data);
                 break;
@@ -246,6 +892,18 @@ export class NetworkManager extends EventEmitter {
                 this.emit('remoteTargetWeapon', data);
                 break;
 
+            case 'lockTarget':
+                this.emit('remoteLockTarget', data);
+                break;
+
+            case 'detonate':
+                this.emit('remoteDetonate', data);
+                break;
+
+            case 'bullet':
+                this.emit('remoteBullet', data);
+                break;
+
             case 'damage':
                 this.emit('remoteDamage', data);
                 break;
@@ -258,6 +916,10 @@ export class NetworkManager extends EventEmitter {
                 this.emit('remoteExplosionSync', data);
                 break;
 
+            case 'fireSync':
+                this.emit('remoteFireSync', data);
+                break;
+
             case 'weaponSelect':
                 this.emit('remoteWeaponSelect', data);
                 break;
@@ -270,6 +932,10 @@ export class NetworkManager extends EventEmitter {
                 this.emit('remoteHighJump', data);
                 break;
 
+            case 'rope':
+                this.emit('remoteRope', data);
+                break;
+
             case 'stateSync':
                 this.emit('remoteStateSync', data);
                 break;
@@ -278,6 +944,19 @@ export class NetworkManager extends EventEmitter {
                 this.emit('remoteCrateSpawn', data);
                 break;
 
+            case 'suddenDeath':
+                this.emit('remoteSuddenDeath', data);
+                break;
+
+            case 'stateHash':
+                this.emit('remoteStateHash', data);
+                break;
+
+            case 'resync':
+                // Sent by the host after a desync - take over its state
+                this.emit('resync', data);
+                break;
+
             case 'chat':
                 this.emit('chatMessage', data);
                 break;
@@ -288,15 +967,49 @@ export class NetworkManager extends EventEmitter {
     }
 
     /**
-     * Send a message to the connected peer
+     * Send a message to every connected peer
+     * (host: all guests, guest: the host, who relays it on)
      */
     send(data) {
-        if (this.connection && this.connection.open) {
-            this.connection.send(data);
-            return true;
-        } else {
+        // Waiting movement goes out first, so it can't land after the shot it led up to
+        if (data.type !== 'move' && data.type !== 'aim') {
+            this.flushMovement();
+        }
+
+        let sent = false;
+        for (const conn of this.connections.values()) {
+            if (conn.open) {
+                conn.send(data);
+                sent = true;
+            }
+        }
+
+        if (!sent) {
             console.warn('Cannot send - not connected');
-            return false;
+        }
+        return sent;
+    }
+
+    /**
+     * Send a message to one peer
+     */
+    sendTo(peerId, data) {
+        const conn = this.connections.get(peerId);
+        if (conn && conn.open) {
+            conn.send(data);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Host: forward a message to every guest except the one it came from
+     */
+    relay(data, fromId) {
+        for (const [peerId, conn] of this.connections) {
+            if (peerId !== fromId && conn.open) {
+                conn.send(data);
+            }
         }
     }
 
@@ -305,12 +1018,18 @@ export class NetworkManager extends EventEmitter {
      */
     toggleReady() {
         this.isReady = !this.isReady;
-        this.send({
-            type: 'ready',
-            playerId: this.playerId,
-            ready: this.isReady
-        });
-        this.emit('playerReady', { playerId: this.playerId, ready: this.isReady });
+
+        if (this.isHost) {
+            const self = this.players.find(p => p.id === this.playerId);
+            if (self) self.ready = this.isReady;
+            this.broadcastLobbyState();
+        } else {
+            this.send({
+                type: 'ready',
+                playerId: this.playerId,
+                ready: this.isReady
+            });
+        }
         return this.isReady;
     }
 
@@ -323,17 +1042,32 @@ export class NetworkManager extends EventEmitter {
             return;
         }
 
+        // Each team carries the ID of the player who controls it
+        const owners = this.assignTeamOwners();
         const gameState = {
             seed: Math.floor(Math.random() * 1000000),
-            teams: ['red', 'blue'],
-            customMap: options.customMap
+            teams: this.teamConfigs.map((config, index) => ({ ...config, owner: owners[index] })),
+            customMap: options.customMap,
+            scheme: options.scheme // Match rules, so every peer plays by the same ones
         };
 
-        // Send start signal to peer
-        this.send({
-            type: 'gameStart',
-            gameState
-        });
+        this.gameStarted = true;
+        this.gameState = gameState;
+
+        // Every guest player gets a secret of their own - it's what lets them rejoin
+        this.rejoinSecrets = new Map(this.players
+            .filter(player => player.id !== this.playerId)
+            .map(player => [player.id, NetworkManager.generateSecret()]));
+
+        // Send start signal to all guests (spectators just watch - they get no secret)
+        for (const peerId of this.connections.keys()) {
+            const rejoinSecret = this.rejoinSecrets.get(peerId);
+            this.sendTo(peerId, {
+                type: 'gameStart',
+                gameState,
+                ...(rejoinSecret && { rejoinSecret })
+            });
+        }
 
         // Also trigger locally
         this.emit('gameStart', { gameState });
@@ -344,49 +1078,213 @@ export class NetworkManager extends EventEmitter {
      */
     sendMapSelection(map) {
         if (!this.isHost) return;
+        this.selectedMap = map;
         this.send({ type: 'mapSelected', map });
         this.emit('mapSelected', { map });
     }
 
     /**
-     * Send movement update
+     * Send movement update (call it every step - it's rate limited here)
      */
     sendMove(x, y, facingLeft) {
-        this.send({
+        clearTimeout(this.moveUpdates.settleTimer);
+        this.moveUpdates.settleTimer = null;
+        this.queueUpdate(this.moveUpdates, { x, y, facingLeft }, MOVE_SEND_INTERVAL, () => this.flushMove());
+    }
+
+    /**
+     * Send aim update (call it whenever it changes - it's rate limited here)
+     */
+    sendAim(angle) {
+        this.queueUpdate(this.aimUpdates, angle, AIM_SEND_INTERVAL, () => this.flushAim());
+    }
+
+    /**
+     * Hold an update until its interval has passed since the last one (a newer one replaces it)
+     */
+    queueUpdate(updates, value, interval, flush) {
+        updates.pending = value;
+        if (updates.timer) return;
+
+        const wait = updates.lastSent + interval - Date.now();
+        if (wait <= 0) {
+            flush();
+        } else {
+            updates.timer = setTimeout(flush, wait);
+        }
+    }
+
+    /**
+     * Send the waiting move (and, once the koala stops, its exact position)
+     */
+    flushMove(settle = true) {
+        const updates = this.moveUpdates;
+        clearTimeout(updates.timer);
+        updates.timer = null;
+
+        const move = updates.pending;
+        if (!move) return;
+        updates.pending = null;
+
+        const now = Date.now();
+        const base = this.moveBase;
+        const walkStart = now - updates.lastSent > MOVE_SETTLE_DELAY;
+        updates.lastSent = now;
+
+        if (!base || walkStart || now - base.keyframeTime > MOVE_KEYFRAME_INTERVAL) {
+            this.sendMoveKeyframe(move, now);
+        } else {
+            const x = Math.round(move.x * MOVE_PRECISION);
+            const y = Math.round(move.y * MOVE_PRECISION);
+            const message = { type: 'move', dx: x - base.x, dy: y - base.y, timestamp: now };
+            if (move.facingLeft !== base.facingLeft) {
+                message.facingLeft = move.facingLeft;
+            }
+            Object.assign(base, { x, y, facingLeft: move.facingLeft, raw: move });
+            this.send(message);
+        }
+
+        if (settle) {
+            updates.settleTimer = setTimeout(() => {
+                updates.settleTimer = null;
+                if (this.moveBase) this.sendMoveKeyframe(this.moveBase.raw, Date.now());
+            }, MOVE_SETTLE_DELAY);
+        }
+    }
+
+    sendMoveKeyframe(move, now) {
+        this.moveBase = {
+            x: Math.round(move.x * MOVE_PRECISION),
+            y: Math.round(move.y * MOVE_PRECISION),
+            facingLeft: move.facingLeft,
+            raw: move,
+            keyframeTime: now
+        };
+        this.send({ type: 'move', x: move.x, y: move.y, facingLeft: move.facingLeft, timestamp: now });
+    }
+
+    flushAim() {
+        const updates = this.aimUpdates;
+        clearTimeout(updates.timer);
+        updates.timer = null;
+
+        if (updates.pending === null) return;
+        const angle = Math.round(updates.pending * AIM_PRECISION) / AIM_PRECISION;
+        updates.pending = null;
+
+        updates.lastSent = Date.now();
+        this.send({ type: 'aim', angle, timestamp: updates.lastSent });
+    }
+
+    /**
+     * Send any waiting move / aim now (a fire or jump is about to follow)
+     */
+    flushMovement() {
+        clearTimeout(this.moveUpdates.settleTimer);
+        this.moveUpdates.settleTimer = null;
+        if (this.moveUpdates.pending) this.flushMove(false);
+        if (this.aimUpdates.pending !== null) this.flushAim();
+    }
+
+    /**
+     * Turn a received move (full position or delta) into a full one
+     * @returns {Object|null} { type, x, y, facingLeft, timestamp }, or null if we lack its base
+     */
+    decodeMove(data, fromId) {
+        if (data.x !== undefined && data.y !== undefined && data.facingLeft !== undefined) {
+            this.incomingMoves.set(fromId, {
+                x: Math.round(data.x * MOVE_PRECISION),
+                y: Math.round(data.y * MOVE_PRECISION),
+                facingLeft: data.facingLeft
+            });
+            return data;
+        }
+
+        const base = this.incomingMoves.get(fromId);
+        if (!base || data.dx === undefined || data.dy === undefined) {
+            // Joined mid-walk (or a half message) - the next full position catches us up
+            return null;
+        }
+
+        base.x += data.dx;
+        base.y += data.dy;
+        if (data.facingLeft !== undefined) {
+            base.facingLeft = data.facingLeft;
+        }
+        return {
             type: 'move',
+            x: base.x / MOVE_PRECISION,
+            y: base.y / MOVE_PRECISION,
+            facingLeft: base.facingLeft,
+            timestamp: data.timestamp
+        };
+    }
+
+    /**
+     * Forget rate limited movement (a match or connection is over)
+     */
+    resetMovement() {
+        clearTimeout(this.moveUpdates.timer);
+        clearTimeout(this.moveUpdates.settleTimer);
+        clearTimeout(this.aimUpdates.timer);
+        this.moveUpdates = { pending: null, lastSent: 0, timer: null, settleTimer: null };
+        this.aimUpdates = { pending: null, lastSent: 0, timer: null };
+        this.moveBase = null;
+        this.incomingMoves.clear();
+    }
+
+    /**
+     * Send fire action
+     * @param {Object|null} target - The locked { x, y } of a homing weapon
+     */
+    sendFire(weaponId, angle, power, x, y, target = null) {
+        this.send({
+            type: 'fire',
+            weaponId,
+            angle,
+            power,
             x,
             y,
-            facingLeft,
+            ...(target && { targetX: target.x, targetY: target.y }),
             timestamp: Date.now()
         });
     }
 
     /**
-     * Send aim update (throttled by caller)
+     * Send a homing weapon's target lock
      */
-    sendAim(angle) {
+    sendLockTarget(targetX, targetY) {
         this.send({
-            type: 'aim',
-            angle,
+            type: 'lockTarget',
+            targetX,
+            targetY,
             timestamp: Date.now()
         });
     }
 
     /**
-     * Send fire action
+     * Send a walker's early detonation (where it was when it went off)
      */
-    sendFire(weaponId, angle, power, x, y) {
+    sendDetonate(x, y) {
         this.send({
-            type: 'fire',
-            weaponId,
-            angle,
-            power,
+            type: 'detonate',
             x,
             y,
             timestamp: Date.now()
         });
     }
 
+    /**
+     * Send one bullet of a hitscan burst (the aim it was fired at)
+     */
+    sendBullet(angle) {
+        this.send({
+            type: 'bullet',
+            angle,
+            timestamp: Date.now()
+        });
+    }
+
     /**
      * Send targeted weapon action (airstrike, teleport)
      */
@@ -423,18 +1321,55 @@ export class NetworkManager extends EventEmitter {
         });
     }
 
+    /**
+     * Host: push our full state to every guest (after a desync), or to one
+     * guest whose action we rejected
+     */
+    sendResync(snapshot, playerId = null) {
+        if (!this.isHost) return;
+        const message = { type: 'resync', snapshot };
+        if (playerId) {
+            this.sendTo(playerId, message);
+        } else {
+            this.send(message);
+        }
+    }
+
+    /**
+     * Host: has this sender used up their chat messages for now? (counts the one that just came in)
+     */
+    isChatFlooding(playerId) {
+        const now = Date.now();
+        const times = (this.chatTimes.get(playerId) || []).filter(time => now - time < CHAT_RATE_WINDOW);
+        this.chatTimes.set(playerId, times);
+        if (times.length >= CHAT_RATE_LIMIT) return true;
+
+        times.push(now);
+        return false;
+    }
+
     /**
      * Send chat message
+     * @param {string} taunt - Quick taunt ID (receivers show their own text for it)
      */
-    sendChat(message) {
+    sendChat(message, taunt = null) {
         this.send({
             type: 'chat',
             message,
+            taunt,
             playerId: this.playerId,
             timestamp: Date.now()
         });
     }
 
+    /**
+     * Display name of a player or spectator in this room
+     */
+    getPlayerName(playerId) {
+        const person = this.players.find(p => p.id === playerId) || this.spectators.find(s => s.id === playerId);
+        return person?.name || this.droppedPlayers.get(playerId)?.name || 'Player';
+    }
+
     /**
      * Cancel hosting/joining and cleanup
      */
@@ -447,11 +1382,25 @@ export class NetworkManager extends EventEmitter {
      * Disconnect and cleanup
      */
     disconnect() {
-        if (this.connection) {
-            this.connection.close();
-            this.connection = null;
+        // Forget the connections first, so their close handlers don't try to reconnect
+        const connections = [...this.connections.values()];
+        this.connections.clear();
+        for (const conn of connections) {
+            conn.close();
         }
 
+        this.stopReconnect();
+        this.resetMovement();
+        for (const dropped of this.droppedPlayers.values()) {
+            clearTimeout(dropped.timer);
+        }
+        this.droppedPlayers.clear();
+        this.rejoinSecrets.clear();
+        this.chatTimes.clear();
+        this.rejoinId = null;
+        this.rejoinSecret = null;
+        NetworkManager.clearSession();
+
         if (this.peer) {
             this.peer.destroy();
             this.peer = null;
@@ -459,7 +1408,17 @@ export class NetworkManager extends EventEmitter {
 
         this.isConnected = false;
         this.isHost = false;
+        this.isSpectator = false;
+        this.isReady = false;
         this.roomCode = null;
+        this.players = [];
+        this.spectators = [];
+        this.nextSpectatorNumber = 1;
+        this.teamConfigs = createTeamConfigs();
+        this.teamOwners = [];
+        this.selectedMap = null;
+        this.gameStarted = false;
+        this.gameState = null;
         this.connectionState = 'disconnected';
     }
 
@@ -467,12 +1426,7 @@ export class NetworkManager extends EventEmitter {
      * Check if we control a specific team
      */
     isMyTeam(teamIndex) {
-        // Host controls team 0 (red), Guest controls team 1 (blue)
-        if (this.isHost) {
-            return teamIndex === 0;
-        } else {
-            return teamIndex === 1;
-        }
+        return this.teamOwners[teamIndex] === this.playerId;
     }
 
     /**
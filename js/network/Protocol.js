@@ -0,0 +1,261 @@
+/**
+ * Protocol - Version and message schemas for everything peers send each other
+ * Guests send PROTOCOL_VERSION and BUILD_ID in their handshake (or rejoin) and the
+ * host sends its own in every lobbyState / resume, so either side can turn away a
+ * peer on another protocol. Every incoming message is checked against its schema
+ * before it is relayed or handled; malformed ones are dropped.
+ *
+ * Bump PROTOCOL_VERSION whenever a message changes shape or meaning.
+ */
+
+export const PROTOCOL_VERSION = 6;
+export const BUILD_ID = '1.0.0';
+
+// Messages that carry the sender's protocol version and build
+export const VERSIONED_TYPES = new Set(['handshake', 'rejoin', 'lobbyState', 'resume']);
+
+const GAME_PHASES = ['countdown', 'aiming', 'firing', 'projectile', 'rope', 'blowtorch', 'burst', 'retreat', 'damage', 'waiting', 'gameOver'];
+
+// Reused field rules
+const NUMBER = { type: 'number', required: true };
+const TEAM_INDEX = { type: 'integer', min: 0 };
+const WEAPON_ID = { type: 'string', required: true };
+const PLAYER_ID = { type: 'string', required: true };
+const TIMESTAMP = { type: 'number' };
+const VERSION = {
+    protocol: { type: 'integer', required: true },
+    build: { type: 'string', required: true }
+};
+
+/**
+ * Fields of every message type (besides 'type'). Rules follow data/weapons' style:
+ * { type, required, nullable, min, max, oneOf, items (array element rule), fields (object fields) }
+ */
+export const MESSAGE_SCHEMAS = {
+    // Lobby
+    handshake: { ...VERSION, playerId: PLAYER_ID, spectator: { type: 'boolean' } },
+    rejoin: { ...VERSION, playerId: PLAYER_ID, rejoinSecret: { type: 'string' }, spectator: { type: 'boolean' } },
+    incompatible: VERSION,
+    lobbyState: {
+        ...VERSION,
+        players: {
+            type: 'array', required: true,
+            items: { type: 'object', fields: { id: PLAYER_ID, name: { type: 'string', required: true }, ready: { type: 'boolean' } } }
+        },
+        spectators: {
+            type: 'array',
+            items: { type: 'object', fields: { id: PLAYER_ID, name: { type: 'string', required: true } } }
+        },
+        teams: { type: 'array', required: true, items: { type: 'object' } },
+        teamOwners: { type: 'array', required: true, items: { type: 'string', nullable: true } }
+    },
+    roomFull: {},
+    ready: { playerId: PLAYER_ID, ready: { type: 'boolean', required: true } },
+    mapSelected: { map: { type: 'object' } },
+    gameStart: {
+        gameState: {
+            type: 'object', required: true,
+            fields: {
+                seed: { type: 'integer', required: true },
+                teams: { type: 'array', required: true, items: { type: 'object' } },
+                customMap: { type: 'object' },
+                scheme: { type: 'object' }
+            }
+        },
+        rejoinSecret: { type: 'string' } // Only in the copy sent to that player
+    },
+
+    // Reconnecting
+    resume: {
+        ...VERSION,
+        gameState: { type: 'object', required: true },
+        snapshot: { type: 'object', required: true },
+        waiting: { type: 'boolean', required: true }
+    },
+    playerDropped: { playerId: PLAYER_ID, name: { type: 'string', required: true }, timeout: { type: 'number', required: true, min: 0 } },
+    playerRejoined: { playerId: PLAYER_ID, name: { type: 'string', required: true }, waiting: { type: 'boolean', required: true } },
+    playerForfeited: { playerId: PLAYER_ID, name: { type: 'string', required: true }, waiting: { type: 'boolean', required: true } },
+
+    // Game actions
+    // A full position (x, y, facingLeft) or a delta from the sender's last move (dx, dy in hundredths of a pixel)
+    move: {
+        x: { type: 'number' }, y: { type: 'number' }, facingLeft: { type: 'boolean' },
+        dx: { type: 'integer' }, dy: { type: 'integer' },
+        vx: { type: 'number' }, vy: { type: 'number' }, timestamp: TIMESTAMP
+    },
+    aim: { angle: NUMBER, timestamp: TIMESTAMP },
+    fire: {
+        weaponId: WEAPON_ID, angle: NUMBER, power: { type: 'number', required: true, min: 0, max: 1 },
+        x: NUMBER, y: NUMBER, timer: { type: 'number', min: 0 },
+        targetX: { type: 'number' }, targetY: { type: 'number' }, timestamp: TIMESTAMP
+    },
+    targetWeapon: { weaponId: WEAPON_ID, targetX: NUMBER, targetY: NUMBER, timestamp: TIMESTAMP },
+    lockTarget: { targetX: NUMBER, targetY: NUMBER, timestamp: TIMESTAMP },
+    detonate: { x: NUMBER, y: NUMBER, timestamp: TIMESTAMP },
+    bullet: { angle: NUMBER, timestamp: TIMESTAMP },
+    damage: { damages: { type: 'array', required: true }, timestamp: TIMESTAMP },
+    turnEnd: { nextTeam: TEAM_INDEX, nextKoala: TEAM_INDEX, timestamp: TIMESTAMP },
+    explosionSync: {
+        explosionX: NUMBER, explosionY: NUMBER, explosionRadius: { type: 'number', required: true, min: 0 },
+        results: {
+            type: 'array', required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    koalaName: { type: 'string', required: true },
+                    damage: NUMBER, newHealth: NUMBER, x: NUMBER, y: NUMBER, vx: NUMBER, vy: NUMBER
+                }
+            }
+        }
+    },
+    fireSync: {
+        craters: {
+            type: 'array', required: true,
+            items: { type: 'object', fields: { x: NUMBER, y: NUMBER, radius: { type: 'number', required: true, min: 0 } } }
+        },
+        results: {
+            type: 'array', required: true,
+            items: { type: 'object', fields: { koalaName: { type: 'string', required: true }, damage: NUMBER, newHealth: NUMBER } }
+        },
+        barrels: { type: 'array', required: true, items: { type: 'integer', min: 0 } }
+    },
+    weaponSelect: { weaponId: WEAPON_ID },
+    jump: { x: NUMBER, y: NUMBER, vx: { type: 'number' }, vy: NUMBER },
+    highJump: { x: NUMBER, y: NUMBER, vx: NUMBER, vy: NUMBER, facingLeft: { type: 'boolean', required: true } },
+    rope: {
+        event: { type: 'string', required: true, oneOf: ['state', 'end'] },
+        x: NUMBER, y: NUMBER, vx: NUMBER, vy: NUMBER, facingLeft: { type: 'boolean', required: true },
+        angle: { type: 'number' },
+        length: { type: 'number', min: 0 },
+        anchors: { type: 'array', items: { type: 'object', fields: { x: NUMBER, y: NUMBER } } },
+        hook: { type: 'object' },
+        alive: { type: 'boolean' },
+        timestamp: TIMESTAMP
+    },
+    stateSync: {
+        koalas: {
+            type: 'array', required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    name: { type: 'string', required: true },
+                    x: NUMBER, y: NUMBER, vx: { type: 'number' }, vy: { type: 'number' },
+                    health: NUMBER, isAlive: { type: 'boolean', required: true }, onGround: { type: 'boolean' }
+                }
+            }
+        },
+        currentTeamIndex: TEAM_INDEX,
+        currentKoalaIndex: TEAM_INDEX,
+        phase: { type: 'string', oneOf: GAME_PHASES },
+        wind: { type: 'number' }
+    },
+    crateSpawn: {
+        category: { type: 'string', required: true, oneOf: ['health', 'weapon'] },
+        itemId: { type: 'string', required: true },
+        x: NUMBER, y: NUMBER
+    },
+    suddenDeath: { turn: { type: 'integer', required: true, min: 0 } },
+
+    // Desync detection
+    stateHash: {
+        turn: { type: 'integer', required: true, min: 0 },
+        hash: { type: 'integer', required: true, min: 0 },
+        parts: { type: 'object', required: true },
+        playerId: PLAYER_ID
+    },
+    resync: { snapshot: { type: 'object', required: true } },
+
+    // Chat
+    chat: {
+        message: { type: 'string', required: true },
+        taunt: { type: 'string' },
+        playerId: PLAYER_ID,
+        timestamp: TIMESTAMP
+    }
+};
+
+/**
+ * Check one value against its rule (returns a problem description or null)
+ */
+function checkField(value, rule, path) {
+    if (value === null && rule.nullable) return null;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string`;
+            if (rule.oneOf && !rule.oneOf.includes(value)) return `${path} "${value}" must be one of ${rule.oneOf.join(', ')}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be true or false`;
+
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+            if (rule.type === 'integer' && !Number.isInteger(value)) return `${path} must be a whole number`;
+            if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+            return null;
+
+        case 'array':
+            if (!Array.isArray(value)) return `${path} must be an array`;
+            if (rule.items) {
+                for (let i = 0; i < value.length; i++) {
+                    const problem = checkField(value[i], rule.items, `${path}[${i}]`);
+                    if (problem) return problem;
+                }
+            }
+            return null;
+
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            return rule.fields ? checkFields(value, rule.fields, `${path}.`) : null;
+
+        default:
+            return null;
+    }
+}
+
+function checkFields(object, fields, prefix = '') {
+    for (const [key, rule] of Object.entries(fields)) {
+        // Optional fields may also come through as null (serializers turn undefined into null)
+        const value = object[key];
+        if (value === undefined || (value === null && !rule.required)) {
+            if (rule.required) return `${prefix}${key} is missing`;
+            continue;
+        }
+        const problem = checkField(value, rule, `${prefix}${key}`);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+/**
+ * Validate an incoming message against its type's schema
+ * @returns {string|null} What's wrong with it, or null if it's fine
+ */
+export function validateMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return 'not an object';
+    if (typeof data.type !== 'string') return 'missing type';
+
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema) return `unknown type "${data.type}"`;
+
+    return checkFields(data, schema);
+}
+
+/**
+ * Can we play with a peer that sent this version?
+ */
+export function isCompatible(data) {
+    return data.protocol === PROTOCOL_VERSION;
+}
+
+/**
+ * Explain a version mismatch to the player
+ */
+export function describeIncompatible(remote) {
+    const theirs = remote.protocol === undefined ? 'an older version' : `protocol ${remote.protocol} (build ${remote.build})`;
+    return `Game version mismatch: the other player is on ${theirs}, you are on protocol ${PROTOCOL_VERSION} (build ${BUILD_ID}). ` +
+        'Everyone needs the same version - reload the page to update.';
+}
@@ -0,0 +1,209 @@
+/**
+ * BroadcastChannel Transport - Peers in other tabs of this browser, no server at all
+ * For development and couch play on two monitors. Each room is a BroadcastChannel
+ * named after its room code: the host listens on it, guests open it to connect, and
+ * every signal on it is addressed to one peer (the others in the room ignore it).
+ * Messages are structured-cloned by the browser, so the game protocol is unchanged.
+ *
+ * Signals (on the room's channel):
+ *   claim     { id }                                  - a new host asks whether the room code is free
+ *   taken     { id }                                  - the tab hosting it answers
+ *   connect   { connectionId, from, to, metadata }    - a guest opens a connection to the host
+ *   connected { connectionId, to }                    - the host accepted it
+ *   data      { connectionId, to, data }              - a message for the other end
+ *   close     { connectionId, to }
+ */
+
+import { TransportPeer, TransportConnection } from './Transport.js';
+
+const CHANNEL_PREFIX = 'koala-artillery-room-';
+
+// How long a new host waits to hear that its room code is taken (ms)
+const CLAIM_TIMEOUT = 200;
+
+// How long a guest waits for the host to answer before giving up (ms)
+const CONNECT_TIMEOUT = 2000;
+
+export class BroadcastChannelTransport {
+    /**
+     * @param {Object} options - { BroadcastChannel } implementation to use (outside the browser)
+     */
+    constructor(options = {}) {
+        this.name = 'broadcast';
+        this.BroadcastChannel = options.BroadcastChannel || globalThis.BroadcastChannel;
+    }
+
+    createPeer(id) {
+        return new BroadcastChannelPeer(this, id);
+    }
+}
+
+function randomPeerId() {
+    return `tab-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+class BroadcastChannelPeer extends TransportPeer {
+    constructor(transport, id) {
+        super();
+        this.transport = transport;
+        this.channels = new Map();       // Room (host peer ID) -> its BroadcastChannel
+        this.connectTimeouts = new Map(); // Connection ID -> timer while waiting for 'connected'
+        this.nextConnectionNumber = 1;
+        this.claim = null;               // { id, taken } while checking a room code
+
+        // Closing the tab doesn't close channels on the other side - say goodbye first
+        this.handlePageHide = () => this.destroy();
+        globalThis.addEventListener?.('pagehide', this.handlePageHide);
+
+        setTimeout(() => {
+            if (this.destroyed) return;
+            if (id) {
+                this.claimId(id);
+            } else {
+                this.handleOpen(randomPeerId());
+            }
+        }, 0);
+    }
+
+    /**
+     * Host: take a room code, unless another tab already hosts it
+     */
+    claimId(id) {
+        this.claim = { id, taken: false };
+        this.post(id, { type: 'claim', id });
+
+        setTimeout(() => {
+            const claim = this.claim;
+            this.claim = null;
+            if (this.destroyed) return;
+
+            if (claim.taken) {
+                this.closeChannel(id);
+                this.handleError('unavailable-id', `ID "${id}" is taken`);
+                return;
+            }
+            this.handleOpen(id);
+        }, CLAIM_TIMEOUT);
+    }
+
+    getChannel(room) {
+        let channel = this.channels.get(room);
+        if (!channel) {
+            channel = new this.transport.BroadcastChannel(CHANNEL_PREFIX + room);
+            channel.onmessage = (event) => this.handleSignal(room, event.data);
+            this.channels.set(room, channel);
+        }
+        return channel;
+    }
+
+    closeChannel(room) {
+        this.channels.get(room)?.close();
+        this.channels.delete(room);
+    }
+
+    post(room, signal) {
+        this.getChannel(room).postMessage(signal);
+    }
+
+    handleSignal(room, signal) {
+        if (this.destroyed || !signal) return;
+
+        switch (signal.type) {
+            case 'claim':
+                if (signal.id === this.id) {
+                    this.post(room, { type: 'taken', id: signal.id });
+                }
+                return;
+
+            case 'taken':
+                if (this.claim?.id === signal.id) {
+                    this.claim.taken = true;
+                }
+                return;
+        }
+
+        // Everything else is addressed to one peer
+        if (signal.to !== this.id) return;
+        const conn = this.connections.get(signal.connectionId);
+
+        switch (signal.type) {
+            case 'connect': {
+                const incoming = new BroadcastChannelConnection(this, room, signal.connectionId, signal.from, signal.metadata);
+                this.handleConnection(incoming);
+                this.post(room, { type: 'connected', connectionId: signal.connectionId, to: signal.from });
+                incoming.handleOpen();
+                break;
+            }
+
+            case 'connected':
+                clearTimeout(this.connectTimeouts.get(signal.connectionId));
+                this.connectTimeouts.delete(signal.connectionId);
+                conn?.handleOpen();
+                break;
+
+            case 'data':
+                conn?.handleData(signal.data);
+                break;
+
+            case 'close':
+                conn?.handleClose();
+                break;
+        }
+    }
+
+    connect(remoteId, options = {}) {
+        const connectionId = `${this.id}-${this.nextConnectionNumber++}`;
+        const conn = this.track(new BroadcastChannelConnection(this, remoteId, connectionId, remoteId, options.metadata));
+
+        this.post(remoteId, { type: 'connect', connectionId, from: this.id, to: remoteId, metadata: options.metadata });
+
+        // No tab hosts that room
+        this.connectTimeouts.set(connectionId, setTimeout(() => {
+            this.connectTimeouts.delete(connectionId);
+            if (this.destroyed || conn.open || conn.closed) return;
+            conn.handleClose();
+            this.handleError('peer-unavailable', `Could not connect to peer ${remoteId}`);
+        }, CONNECT_TIMEOUT));
+
+        return conn;
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        super.destroy(); // Closes (and signals) every connection first
+
+        for (const timer of this.connectTimeouts.values()) {
+            clearTimeout(timer);
+        }
+        this.connectTimeouts.clear();
+        for (const room of [...this.channels.keys()]) {
+            this.closeChannel(room);
+        }
+        globalThis.removeEventListener?.('pagehide', this.handlePageHide);
+    }
+}
+
+class BroadcastChannelConnection extends TransportConnection {
+    /**
+     * @param {string} room - The room channel this connection talks on
+     */
+    constructor(localPeer, room, connectionId, remoteId, metadata) {
+        super(connectionId, remoteId, metadata);
+        this.localPeer = localPeer;
+        this.room = room;
+    }
+
+    send(data) {
+        if (this.open) {
+            this.localPeer.post(this.room, { type: 'data', connectionId: this.connectionId, to: this.peer, data });
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+        if (this.localPeer.channels.has(this.room)) {
+            this.localPeer.post(this.room, { type: 'close', connectionId: this.connectionId, to: this.peer });
+        }
+        this.handleClose();
+    }
+}
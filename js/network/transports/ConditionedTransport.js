@@ -0,0 +1,177 @@
+/**
+ * Conditioned Transport - Another transport seen through a simulated bad network
+ * For testing multiplayer without two machines on a real connection: every message
+ * this peer sends or receives can be delayed (latency plus random jitter - enough
+ * jitter also delivers messages out of order), dropped or duplicated. Conditions can
+ * be changed while connected (the loopback test page and ?netsim use this).
+ *
+ *   conditions: { latency (ms), jitter (ms), drop (0-1), duplicate (0-1), seed }
+ *
+ * A seed makes the drop / duplicate / jitter rolls repeat from run to run (timer
+ * order still depends on the browser), which helps when chasing one desync.
+ */
+
+import { EventEmitter } from '../../utils/EventEmitter.js';
+
+export const DEFAULT_CONDITIONS = { latency: 0, jitter: 0, drop: 0, duplicate: 0, seed: null };
+
+// Events the wrapped peer / connection emit that we pass on unchanged
+const PEER_EVENTS = ['open', 'error', 'disconnected', 'close'];
+const CONNECTION_EVENTS = ['open', 'close', 'error'];
+
+export class ConditionedTransport {
+    /**
+     * @param {Object} transport - The transport that really carries the messages
+     * @param {Object} conditions - See DEFAULT_CONDITIONS
+     */
+    constructor(transport, conditions = {}) {
+        this.name = `${transport.name}+conditions`;
+        this.transport = transport;
+        this.conditions = { ...DEFAULT_CONDITIONS };
+        this.stats = { sent: 0, received: 0, dropped: 0, duplicated: 0 };
+        this.setConditions(conditions);
+    }
+
+    /**
+     * Change the conditions (applies to messages from now on)
+     */
+    setConditions(conditions) {
+        Object.assign(this.conditions, conditions);
+        this.random = this.conditions.seed === null ? Math.random : createSeededRandom(this.conditions.seed);
+        console.log('📶 Network conditions:', this.describe());
+    }
+
+    describe() {
+        const { latency, jitter, drop, duplicate } = this.conditions;
+        return `${latency}ms ±${jitter}ms, ${Math.round(drop * 100)}% dropped, ${Math.round(duplicate * 100)}% duplicated`;
+    }
+
+    isClean() {
+        const { latency, jitter, drop, duplicate } = this.conditions;
+        return latency <= 0 && jitter <= 0 && drop <= 0 && duplicate <= 0;
+    }
+
+    createPeer(id) {
+        return new ConditionedPeer(this, this.transport.createPeer(id));
+    }
+
+    /**
+     * Put one message through the conditions
+     * @param {Function} deliver - Hands the message on (called 0, 1 or 2 times)
+     */
+    pass(deliver) {
+        if (this.isClean()) {
+            deliver();
+            return;
+        }
+
+        const { latency, jitter, drop, duplicate } = this.conditions;
+        if (this.random() < drop) {
+            this.stats.dropped++;
+            return;
+        }
+
+        let copies = 1;
+        if (this.random() < duplicate) {
+            this.stats.duplicated++;
+            copies = 2;
+        }
+        for (let i = 0; i < copies; i++) {
+            setTimeout(deliver, Math.max(0, latency + (this.random() * 2 - 1) * jitter));
+        }
+    }
+}
+
+/**
+ * mulberry32 - every seed gives a usable sequence (0 included, which Game's sine
+ * generator would get stuck on)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class ConditionedPeer extends EventEmitter {
+    constructor(transport, peer) {
+        super();
+        this.transport = transport;
+        this.peer = peer;
+
+        for (const event of PEER_EVENTS) {
+            peer.on(event, (data) => this.emit(event, data));
+        }
+        peer.on('connection', (conn) => this.emit('connection', new ConditionedConnection(transport, conn)));
+    }
+
+    get id() {
+        return this.peer.id;
+    }
+
+    get destroyed() {
+        return this.peer.destroyed;
+    }
+
+    connect(remoteId, options = {}) {
+        return new ConditionedConnection(this.transport, this.peer.connect(remoteId, options));
+    }
+
+    reconnect() {
+        this.peer.reconnect();
+    }
+
+    destroy() {
+        this.peer.destroy();
+    }
+}
+
+class ConditionedConnection extends EventEmitter {
+    constructor(transport, conn) {
+        super();
+        this.transport = transport;
+        this.conn = conn;
+
+        for (const event of CONNECTION_EVENTS) {
+            conn.on(event, (data) => this.emit(event, data));
+        }
+        conn.on('data', (data) => {
+            const clean = transport.isClean();
+            transport.pass(() => {
+                if (!conn.open) return; // Closed while it was "in flight"
+                transport.stats.received++;
+                // Duplicates get their own copy, as if they'd come over the wire twice
+                this.emit('data', clean ? data : structuredClone(data));
+            });
+        });
+    }
+
+    get peer() {
+        return this.conn.peer;
+    }
+
+    get metadata() {
+        return this.conn.metadata;
+    }
+
+    get open() {
+        return this.conn.open;
+    }
+
+    send(data) {
+        // Copy now - the sender may change the object before a delayed send goes out
+        const message = this.transport.isClean() ? data : structuredClone(data);
+        this.transport.pass(() => {
+            if (!this.conn.open) return;
+            this.transport.stats.sent++;
+            this.conn.send(message);
+        });
+    }
+
+    close() {
+        this.conn.close();
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Loopback Transport - In-memory peers for tests and headless runs
+ * Peers created from the same hub can reach each other. Messages are cloned and
+ * delivered on a later tick, like a real network, so nothing shares object references.
+ */
+
+import { TransportPeer, TransportConnection } from './Transport.js';
+
+/**
+ * The "network" - every peer registered by ID
+ */
+export class LoopbackHub {
+    constructor() {
+        this.peers = new Map();
+        this.nextPeerNumber = 1;
+        this.nextConnectionNumber = 1;
+    }
+}
+
+export class LoopbackTransport {
+    /**
+     * @param {LoopbackHub} hub - Shared by every peer that should see each other
+     */
+    constructor(hub = new LoopbackHub()) {
+        this.name = 'loopback';
+        this.hub = hub;
+    }
+
+    createPeer(id) {
+        return new LoopbackPeer(this.hub, id);
+    }
+}
+
+function defer(callback) {
+    setTimeout(callback, 0);
+}
+
+class LoopbackPeer extends TransportPeer {
+    constructor(hub, id) {
+        super();
+        this.hub = hub;
+        defer(() => this.register(id));
+    }
+
+    register(id) {
+        if (this.destroyed) return;
+
+        id = id || `peer-${this.hub.nextPeerNumber++}`;
+        if (this.hub.peers.has(id)) {
+            this.handleError('unavailable-id', `ID "${id}" is taken`);
+            return;
+        }
+
+        this.hub.peers.set(id, this);
+        this.handleOpen(id);
+    }
+
+    connect(remoteId, options = {}) {
+        const connectionId = `${this.id}-${this.hub.nextConnectionNumber++}`;
+        const local = this.track(new LoopbackConnection(connectionId, remoteId, options.metadata));
+
+        defer(() => {
+            const remotePeer = this.hub.peers.get(remoteId);
+            if (this.destroyed || local.closed) return;
+            if (!remotePeer || remotePeer.destroyed) {
+                this.handleError('peer-unavailable', `Could not connect to peer ${remoteId}`);
+                return;
+            }
+
+            const remote = new LoopbackConnection(connectionId, this.id, options.metadata);
+            local.other = remote;
+            remote.other = local;
+            remotePeer.handleConnection(remote);
+
+            // Both ends open once the other side has had a chance to attach its handlers
+            defer(() => {
+                remote.handleOpen();
+                local.handleOpen();
+            });
+        });
+
+        return local;
+    }
+
+    destroy() {
+        if (this.hub.peers.get(this.id) === this) {
+            this.hub.peers.delete(this.id);
+        }
+        super.destroy();
+    }
+}
+
+class LoopbackConnection extends TransportConnection {
+    constructor(connectionId, remoteId, metadata) {
+        super(connectionId, remoteId, metadata);
+        this.other = null;
+    }
+
+    send(data) {
+        if (!this.open || !this.other) return;
+
+        const other = this.other;
+        const message = structuredClone(data);
+        defer(() => other.handleData(message));
+    }
+
+    close() {
+        if (this.closed) return;
+
+        const other = this.other;
+        this.handleClose();
+        if (other) {
+            defer(() => other.handleClose());
+        }
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * PeerJS Transport - WebRTC data channels brokered by the public PeerJS cloud
+ * PeerJS peers already have the Transport shape, so they're handed out as they are.
+ * Needs the PeerJS script (index.html loads it) and an internet connection.
+ */
+
+export class PeerJSTransport {
+    constructor(options = {}) {
+        this.name = 'peerjs';
+        this.options = { debug: 1, ...options }; // Minimal logging
+    }
+
+    /**
+     * @param {string} id - Our peer ID (omit for a random one)
+     */
+    createPeer(id) {
+        if (typeof Peer === 'undefined') {
+            throw new Error('PeerJS is not loaded');
+        }
+        return id ? new Peer(id, this.options) : new Peer(this.options);
+    }
+}
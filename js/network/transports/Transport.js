@@ -0,0 +1,130 @@
+/**
+ * Transport - The connection layer NetworkManager talks through
+ * A transport creates peers; peers open connections to other peers by ID. The shapes
+ * follow PeerJS (which the original networking was written against), so every transport
+ * carries the same game messages:
+ *
+ *   transport.createPeer(id?)            - a peer with our ID (room code for hosts, random if omitted)
+ *   peer events:       open(id), connection(conn), error({ type, message }), disconnected
+ *   peer methods:      connect(remoteId, { metadata }), reconnect(), destroy()
+ *   connection props:  peer (remote ID), metadata, open
+ *   connection events: open, data(message), close, error
+ *   connection methods: send(message), close()
+ *
+ * Error types NetworkManager understands: 'unavailable-id' (room code taken)
+ * and 'peer-unavailable' (no such room).
+ */
+
+import { EventEmitter } from '../../utils/EventEmitter.js';
+
+/**
+ * Base peer - transports call the handle* methods as their own events arrive
+ */
+export class TransportPeer extends EventEmitter {
+    constructor(id = null) {
+        super();
+        this.id = id;
+        this.destroyed = false;
+        this.connections = new Map(); // By connection ID
+    }
+
+    /**
+     * Open a connection to another peer
+     * @param {string} remoteId - The peer to connect to
+     * @param {Object} options - { metadata }
+     * @returns {TransportConnection}
+     */
+    connect(remoteId, options = {}) {
+        throw new Error('connect() not implemented');
+    }
+
+    /**
+     * Re-establish the link to the signaling side after 'disconnected'
+     */
+    reconnect() {}
+
+    /**
+     * Close every connection and leave
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        for (const conn of [...this.connections.values()]) {
+            conn.close();
+        }
+        this.connections.clear();
+    }
+
+    /**
+     * Keep a connection until it closes (destroy() closes whatever is left)
+     */
+    track(conn) {
+        this.connections.set(conn.connectionId, conn);
+        conn.on('close', () => this.connections.delete(conn.connectionId));
+        return conn;
+    }
+
+    handleOpen(id) {
+        this.id = id;
+        this.emit('open', id);
+    }
+
+    handleError(type, message) {
+        this.emit('error', { type, message: message || type });
+    }
+
+    /**
+     * A connection opened by another peer (the transport opens it afterwards)
+     */
+    handleConnection(conn) {
+        this.track(conn);
+        this.emit('connection', conn);
+    }
+}
+
+/**
+ * Base connection - one data channel between two peers
+ */
+export class TransportConnection extends EventEmitter {
+    /**
+     * @param {string} connectionId - Unique ID shared by both ends
+     * @param {string} remoteId - Peer ID of the other end
+     * @param {Object} metadata - Whatever the connecting side passed to connect()
+     */
+    constructor(connectionId, remoteId, metadata) {
+        super();
+        this.connectionId = connectionId;
+        this.peer = remoteId;
+        this.metadata = metadata;
+        this.open = false;
+        this.closed = false;
+    }
+
+    send(data) {
+        throw new Error('send() not implemented');
+    }
+
+    close() {
+        this.handleClose();
+    }
+
+    handleOpen() {
+        if (this.open || this.closed) return;
+        this.open = true;
+        this.emit('open');
+    }
+
+    handleData(data) {
+        if (this.open) {
+            this.emit('data', data);
+        }
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.open = false;
+        this.closed = true;
+        this.emit('close');
+    }
+}
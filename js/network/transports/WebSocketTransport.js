@@ -0,0 +1,166 @@
+/**
+ * WebSocket Transport - Peers talk through our own relay server (tools/relay-server.js)
+ * For LAN parties and offline rigs where the PeerJS cloud can't be reached. The relay
+ * registers peer IDs (a host registers its room code), pairs up connections and
+ * forwards their messages, so both ends see ordinary Transport connections.
+ *
+ * Signals (JSON, client -> relay):
+ *   register { id }                         - claim an ID (omit for a random one)
+ *   connect  { connectionId, to, metadata } - open a connection to a registered peer
+ *   data     { connectionId, data }         - a message for the other end
+ *   close    { connectionId }
+ * Relay -> client: open { id }, error { error, message }, connection { connectionId, from, metadata },
+ *   connected { connectionId }, data { connectionId, data }, close { connectionId }
+ */
+
+import { TransportPeer, TransportConnection } from './Transport.js';
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+export class WebSocketTransport {
+    /**
+     * @param {string} url - Relay address (defaults to this page's host on the default port)
+     * @param {Object} options - { WebSocket } implementation to use (outside the browser)
+     */
+    constructor(url, options = {}) {
+        this.name = 'websocket';
+        this.url = url || WebSocketTransport.getDefaultUrl();
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    }
+
+    static getDefaultUrl() {
+        const host = globalThis.location?.hostname || 'localhost';
+        return `ws://${host}:${DEFAULT_RELAY_PORT}`;
+    }
+
+    createPeer(id) {
+        return new WebSocketPeer(this, id);
+    }
+}
+
+class WebSocketPeer extends TransportPeer {
+    constructor(transport, id) {
+        super();
+        this.transport = transport;
+        this.requestedId = id || null;
+        this.nextConnectionNumber = 1;
+        this.socket = null;
+
+        this.openSocket();
+    }
+
+    openSocket() {
+        const socket = new this.transport.WebSocket(this.transport.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.sendSignal({ type: 'register', id: this.id || this.requestedId });
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                this.handleSignal(JSON.parse(event.data));
+            } catch (e) {
+                console.error('Bad message from relay server', e);
+            }
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket || this.destroyed) return;
+            this.socket = null;
+
+            // Every connection ran through the relay, so they're gone too
+            for (const conn of [...this.connections.values()]) {
+                conn.handleClose();
+            }
+
+            if (this.id) {
+                this.emit('disconnected');
+            } else {
+                this.handleError('network', `Could not reach the relay server at ${this.transport.url}`);
+            }
+        };
+    }
+
+    handleSignal(signal) {
+        const conn = this.connections.get(signal.connectionId);
+
+        switch (signal.type) {
+            case 'open':
+                this.handleOpen(signal.id);
+                break;
+
+            case 'error':
+                this.handleError(signal.error, signal.message);
+                break;
+
+            case 'connection':
+                this.handleConnection(new WebSocketConnection(this, signal.connectionId, signal.from, signal.metadata));
+                break;
+
+            case 'connected':
+                conn?.handleOpen();
+                break;
+
+            case 'data':
+                conn?.handleData(signal.data);
+                break;
+
+            case 'close':
+                conn?.handleClose();
+                break;
+        }
+    }
+
+    sendSignal(signal) {
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(signal));
+        }
+    }
+
+    connect(remoteId, options = {}) {
+        const connectionId = `${this.id}-${this.nextConnectionNumber++}`;
+        const conn = this.track(new WebSocketConnection(this, connectionId, remoteId, options.metadata));
+
+        this.sendSignal({ type: 'connect', connectionId, to: remoteId, metadata: options.metadata });
+        return conn;
+    }
+
+    /**
+     * Lost the relay - register again under the same ID
+     */
+    reconnect() {
+        if (!this.destroyed && !this.socket) {
+            this.openSocket();
+        }
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        super.destroy();
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+class WebSocketConnection extends TransportConnection {
+    constructor(localPeer, connectionId, remoteId, metadata) {
+        super(connectionId, remoteId, metadata);
+        this.localPeer = localPeer;
+    }
+
+    send(data) {
+        if (this.open) {
+            this.localPeer.sendSignal({ type: 'data', connectionId: this.connectionId, data });
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+        this.localPeer.sendSignal({ type: 'close', connectionId: this.connectionId });
+        this.handleClose();
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Chat Manager - Lobby chat panel, in-match chat overlay and quick taunts
+ * Messages travel as NetworkManager 'chat' messages; taunts carry an ID so every
+ * peer shows its own text and plays its sound. Both views share one history.
+ */
+
+import { AudioManager } from '../engine/AudioManager.js';
+import { isTypingTarget } from '../engine/InputManager.js';
+
+const HISTORY_LIMIT = 100;
+const MAX_MESSAGE_LENGTH = 200;
+
+// At most RATE_LIMIT_COUNT messages per sender in any RATE_LIMIT_WINDOW ms
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_WINDOW = 5000;
+
+// How long new messages stay on screen while the in-match chat is closed
+const PEEK_DURATION = 6000;
+
+/**
+ * Canned taunts (sound: one of AudioManager's TAUNT_SOUNDS)
+ */
+export const TAUNTS = [
+    { id: 'gg', text: 'Good game!', sound: 'cheer' },
+    { id: 'missed', text: 'Missed me!', sound: 'raspberry' },
+    { id: 'oops', text: 'Oops...', sound: 'whistle' },
+    { id: 'boom', text: 'Boom! 💥', sound: 'boom' },
+    { id: 'hurry', text: 'Hurry up!', sound: 'boing' },
+    { id: 'eucalyptus', text: 'Go eat some eucalyptus!', sound: 'boing' }
+];
+
+export class ChatManager {
+    /**
+     * @param {Function} send - (message, tauntId) sends a chat message to the other players
+     */
+    constructor(send) {
+        this.send = send;
+
+        this.history = [];              // { name, text, taunt, own, system }
+        this.sentTimes = [];            // Our recent messages (rate limit)
+        this.receivedTimes = new Map(); // Sender ID -> their recent messages
+
+        this.enabled = false;           // In-match chat available (network matches only)
+        this.isOpen = false;
+        this.peekTimeout = null;
+
+        this.audioManager = null;       // The match's sounds while one is running
+        this.lobbyAudio = null;         // Our own, for taunts in the lobby
+
+        this.overlay = document.getElementById('chat-overlay');
+        this.views = [
+            this.bindView(document.getElementById('lobby-chat')),
+            this.bindView(this.overlay)
+        ];
+
+        // T opens the in-match chat, Escape closes it
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'KeyT' && this.enabled && !this.isOpen && !isTypingTarget(e.target)) {
+                e.preventDefault(); // Don't type the T
+                this.open();
+            } else if (e.code === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Hook up a chat panel (log, input form and taunt buttons)
+     */
+    bindView(container) {
+        const view = {
+            container,
+            log: container.querySelector('.chat-log'),
+            form: container.querySelector('.chat-form'),
+            input: container.querySelector('.chat-input'),
+            taunts: container.querySelector('.chat-taunts')
+        };
+
+        view.input.maxLength = MAX_MESSAGE_LENGTH;
+        view.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.post(view.input.value)) {
+                view.input.value = '';
+            }
+            if (container === this.overlay) {
+                this.close();
+            }
+        });
+
+        for (const taunt of TAUNTS) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chat-taunt';
+            button.textContent = taunt.text;
+            // Keep focus in the input (and the overlay open) while clicking
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.addEventListener('click', () => this.post(taunt.text, taunt.id));
+            view.taunts.appendChild(button);
+        }
+
+        if (container === this.overlay) {
+            view.input.addEventListener('blur', () => this.close());
+        }
+        return view;
+    }
+
+    /**
+     * Send a message (or taunt) and show it
+     * @returns {boolean} False if nothing was sent (empty or rate limited)
+     */
+    post(message, tauntId = null) {
+        const text = message.trim().slice(0, MAX_MESSAGE_LENGTH);
+        if (!text) return false;
+
+        const now = Date.now();
+        if (this.isRateLimited(this.sentTimes, now)) {
+            const wait = Math.ceil((this.sentTimes[0] + RATE_LIMIT_WINDOW - now) / 1000);
+            this.addSystemMessage(`Slow down! Wait ${wait}s before chatting again.`);
+            return false;
+        }
+
+        this.sentTimes.push(now);
+        this.send(text, tauntId);
+        this.addMessage({ name: 'You', text, taunt: this.getTaunt(tauntId), own: true });
+        return true;
+    }
+
+    /**
+     * A chat message from another player
+     * @param {Object} data - The network message { message, taunt, playerId }
+     * @param {string} name - The sender's display name
+     */
+    receive(data, name) {
+        const taunt = this.getTaunt(data.taunt);
+        const text = taunt ? taunt.text : typeof data.message === 'string' ? data.message.trim().slice(0, MAX_MESSAGE_LENGTH) : '';
+        if (!text) return;
+
+        // Drop floods (a sender's extra messages are ignored, not queued)
+        const times = this.receivedTimes.get(data.playerId) || [];
+        this.receivedTimes.set(data.playerId, times);
+        const now = Date.now();
+        if (this.isRateLimited(times, now)) return;
+        times.push(now);
+
+        this.addMessage({ name, text, taunt, own: false });
+    }
+
+    /**
+     * Forget times outside the window, then check what's left
+     */
+    isRateLimited(times, now) {
+        while (times.length > 0 && now - times[0] >= RATE_LIMIT_WINDOW) {
+            times.shift();
+        }
+        return times.length >= RATE_LIMIT_COUNT;
+    }
+
+    getTaunt(id) {
+        return id ? TAUNTS.find(taunt => taunt.id === id) || null : null;
+    }
+
+    addSystemMessage(text) {
+        this.addMessage({ name: null, text, taunt: null, own: false, system: true });
+    }
+
+    addMessage(entry) {
+        this.history.push(entry);
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.shift();
+            for (const view of this.views) {
+                view.log.firstChild?.remove();
+            }
+        }
+
+        for (const view of this.views) {
+            view.log.appendChild(this.renderEntry(entry));
+            view.log.scrollTop = view.log.scrollHeight;
+        }
+
+        if (entry.taunt) {
+            this.playTaunt(entry.taunt);
+        }
+        if (this.enabled && !this.isOpen) {
+            this.peek();
+        }
+    }
+
+    renderEntry(entry) {
+        const line = document.createElement('div');
+        line.className = 'chat-line';
+        line.classList.toggle('own', !!entry.own);
+        line.classList.toggle('system', !!entry.system);
+        line.classList.toggle('taunt', !!entry.taunt);
+
+        if (entry.name) {
+            const name = document.createElement('span');
+            name.className = 'chat-name';
+            name.textContent = `${entry.name}: `;
+            line.appendChild(name);
+        }
+        line.appendChild(document.createTextNode(entry.text));
+        return line;
+    }
+
+    playTaunt(taunt) {
+        let audio = this.audioManager;
+        if (!audio) {
+            // In the lobby - no match sounds yet
+            if (!this.lobbyAudio) {
+                this.lobbyAudio = new AudioManager();
+                this.lobbyAudio.init({ music: false });
+            }
+            audio = this.lobbyAudio;
+        }
+        audio.playTaunt(taunt.sound);
+    }
+
+    /**
+     * A network match started (or ended) - the overlay and T key follow it
+     * @param {AudioManager} audioManager - The match's sounds (mute applies to taunts)
+     */
+    setInMatch(enabled, audioManager = null) {
+        this.enabled = enabled;
+        this.audioManager = audioManager;
+        this.close();
+        this.overlay.classList.toggle('hidden', !enabled);
+    }
+
+    open() {
+        if (!this.enabled) return;
+        this.isOpen = true;
+        this.overlay.classList.add('open');
+        this.overlay.classList.remove('peek');
+        this.views[1].log.scrollTop = this.views[1].log.scrollHeight;
+        this.views[1].input.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.overlay.classList.remove('open');
+        this.views[1].input.blur();
+    }
+
+    /**
+     * Briefly show the log with the overlay closed
+     */
+    peek() {
+        this.overlay.classList.add('peek');
+        clearTimeout(this.peekTimeout);
+        this.peekTimeout = setTimeout(() => this.overlay.classList.remove('peek'), PEEK_DURATION);
+    }
+
+    /**
+     * Left the room - start the next one with an empty chat
+     */
+    clear() {
+        this.history = [];
+        this.sentTimes = [];
+        this.receivedTimes.clear();
+        for (const view of this.views) {
+            view.log.innerHTML = '';
+            view.input.value = '';
+        }
+        this.setInMatch(false);
+    }
+}
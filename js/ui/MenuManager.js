@@ -3,6 +3,8 @@
  */
 
 import { MapManager } from '../utils/MapManager.js';
+import { SchemeManager, SCHEME_SETTINGS, DEFAULT_SCHEME } from '../utils/SchemeManager.js';
+import { MIN_TEAMS, MAX_TEAMS, MAX_KOALAS_PER_TEAM, TEAM_PRESETS, AI_LEVELS } from '../entities/Team.js';
 
 export class MenuManager {
     constructor() {
@@ -13,11 +15,12 @@ export class MenuManager {
             gameover: document.getElementById('gameover-screen'),
             editor: document.getElementById('editor-screen'),
             mapSelect: document.getElementById('map-select-modal'),
-            mapName: document.getElementById('map-name-modal')
+            mapName: document.getElementById('map-name-modal'),
+            scheme: document.getElementById('scheme-modal')
         };
 
         this.currentScreen = 'menu';
-        this.players = [];
+        this.waitingInterval = null;
     }
 
     /**
@@ -52,8 +55,9 @@ export class MenuManager {
 
     /**
      * Show lobby screen
+     * @param {boolean} isSpectator - Joined to watch (no ready button)
      */
-    showLobby(roomCode, isHost) {
+    showLobby(roomCode, isHost, isSpectator = false) {
         this.showScreen('lobby');
 
         // Update room code display
@@ -65,100 +69,81 @@ export class MenuManager {
             hostControls.classList.toggle('hidden', !isHost);
         }
 
-        // Clear player lists
-        document.getElementById('team-red-list').innerHTML = '';
-        document.getElementById('team-blue-list').innerHTML = '';
-        this.players = [];
+        // Clear team columns until the host sends the roster
+        document.getElementById('lobby-teams').innerHTML = '';
 
         // Reset ready button
         const btnReady = document.getElementById('btn-ready');
         if (btnReady) {
             btnReady.textContent = 'Ready!';
             btnReady.classList.remove('success');
+            btnReady.classList.toggle('hidden', isSpectator);
         }
     }
 
     /**
-     * Add a player to the lobby (alias for addPlayer)
+     * Render the lobby: one column per team with the player who controls it
+     * @param {Object} state - { players, spectators, teams, teamOwners } from the host
+     * @param {string} selfId - Our own player ID
      */
-    addPlayerToLobby(player, team) {
-        this.addPlayer(player, team);
-    }
-
-    /**
-     * Add a player to the lobby
-     */
-    addPlayer(player, team) {
-        // Prevent duplicates
-        if (this.players.find(p => p.id === player.id)) {
-            return;
-        }
-
-        this.players.push({ ...player, team, ready: false });
-
-        const listId = team === 'red' ? 'team-red-list' : 'team-blue-list';
-        const list = document.getElementById(listId);
-
-        const li = document.createElement('li');
-        li.id = `player-${player.id}`;
-        li.innerHTML = `
-            <span class="player-icon">🐨</span>
-            <span class="player-name">${player.name}</span>
-        `;
-        list.appendChild(li);
-
-        this.updateStartButton();
-    }
-
-    /**
-     * Remove a player from the lobby
-     */
-    removePlayer(playerId) {
-        this.players = this.players.filter(p => p.id !== playerId);
-
-        const li = document.getElementById(`player-${playerId}`);
-        if (li) {
-            li.remove();
-        }
-
-        this.updateStartButton();
-    }
-
-    /**
-     * Update player ready status (alias for setPlayerReady)
-     */
-    updatePlayerReady(playerId, ready) {
-        this.setPlayerReady(playerId, ready);
-    }
-
-    /**
-     * Set player ready status
-     */
-    setPlayerReady(playerId, ready) {
-        const player = this.players.find(p => p.id === playerId);
-        if (player) {
-            player.ready = ready;
-        }
+    renderLobby(state, selfId) {
+        const container = document.getElementById('lobby-teams');
+        if (!container) return;
+
+        const { players = [], spectators = [], teams = [], teamOwners = [] } = state;
+        container.innerHTML = '';
+
+        const spectatorList = document.getElementById('lobby-spectators');
+        spectatorList.classList.toggle('hidden', spectators.length === 0);
+        spectatorList.textContent = '👁️ Watching: ' + spectators
+            .map(s => s.id === selfId ? `${s.name} (You)` : s.name)
+            .join(', ');
+
+        teams.forEach((team, index) => {
+            const column = document.createElement('div');
+            column.className = 'team';
+            column.style.borderTop = `4px solid ${team.color}`;
+
+            const title = document.createElement('h3');
+            title.textContent = team.name;
+            title.style.color = team.color;
+
+            const koalas = document.createElement('p');
+            koalas.className = 'team-koalas';
+            koalas.textContent = `🐨 × ${team.koalaCount}`;
+
+            const list = document.createElement('ul');
+            const owner = players.find(p => p.id === teamOwners[index]);
+            if (owner) {
+                const li = document.createElement('li');
+                li.classList.toggle('ready', owner.ready);
+                li.innerHTML = `
+                    <span class="player-icon">🐨</span>
+                    <span class="player-name"></span>
+                `;
+                li.querySelector('.player-name').textContent =
+                    owner.id === selfId ? `${owner.name} (You)` : owner.name;
+                list.appendChild(li);
+            }
 
-        const li = document.getElementById(`player-${playerId}`);
-        if (li) {
-            li.classList.toggle('ready', ready);
-        }
+            column.append(title, koalas, list);
+            container.appendChild(column);
+        });
 
-        this.updateStartButton();
+        this.updateStartButton(players, teams.length);
     }
 
     /**
      * Update start button state
      */
-    updateStartButton() {
+    updateStartButton(players, teamCount) {
         const btn = document.getElementById('btn-start-game');
         if (!btn) return;
 
-        // Need at least 2 players, all ready
-        const playerCount = this.players.length;
-        const readyCount = this.players.filter(p => p.ready).length;
-        const canStart = playerCount >= 2 && readyCount === playerCount;
+        // Need at least 2 players, all ready, and a team for each of them
+        const playerCount = players.length;
+        const readyCount = players.filter(p => p.ready).length;
+        const canStart = playerCount >= 2 && readyCount === playerCount && teamCount >= playerCount;
 
         console.log(`🎮 Start button check: ${readyCount}/${playerCount} ready, canStart: ${canStart}`);
 
@@ -167,6 +152,8 @@ export class MenuManager {
         // Update button text to show status
         if (playerCount < 2) {
             btn.textContent = 'Waiting for players...';
+        } else if (teamCount < playerCount) {
+            btn.textContent = `Need ${playerCount}+ teams`;
         } else if (readyCount < playerCount) {
             btn.textContent = `Waiting (${readyCount}/${playerCount} ready)`;
         } else {
@@ -174,6 +161,120 @@ export class MenuManager {
         }
     }
 
+    /**
+     * Render the team setup form (team count, then name/color/koalas per team)
+     * @param {HTMLElement} container - Element to render into
+     * @param {Array} teams - Current team configs
+     * @param {Function} onChange - Called with the new team configs
+     * @param {Object} options - { cpu } to offer a Human / CPU choice per team (practice)
+     */
+    renderTeamSetup(container, teams, onChange, options = {}) {
+        if (!container) return;
+        container.innerHTML = '';
+
+        const header = document.createElement('label');
+        header.className = 'team-setup-count';
+        header.textContent = 'Teams ';
+
+        const countSelect = document.createElement('select');
+        for (let n = MIN_TEAMS; n <= MAX_TEAMS; n++) {
+            countSelect.add(new Option(n, n, false, n === teams.length));
+        }
+        countSelect.onchange = () => {
+            const count = parseInt(countSelect.value, 10);
+            const next = teams.slice(0, count);
+            for (let i = next.length; i < count; i++) {
+                const preset = TEAM_PRESETS[i];
+                next.push({ name: preset.name, color: preset.color, koalaCount: teams[0]?.koalaCount || 3 });
+            }
+            onChange(next);
+        };
+        header.appendChild(countSelect);
+        container.appendChild(header);
+
+        teams.forEach((team, index) => {
+            const row = document.createElement('div');
+            row.className = 'team-setup-row';
+
+            const update = (changes) => {
+                onChange(teams.map((t, i) => i === index ? { ...t, ...changes } : t));
+            };
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = team.color;
+            color.title = 'Team color';
+            color.onchange = () => update({ color: color.value });
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.maxLength = 20;
+            name.value = team.name;
+            name.onchange = () => update({ name: name.value.trim() || TEAM_PRESETS[index].name });
+
+            const koalas = document.createElement('select');
+            koalas.title = 'Koalas';
+            for (let n = 1; n <= MAX_KOALAS_PER_TEAM; n++) {
+                koalas.add(new Option(`${n} 🐨`, n, false, n === team.koalaCount));
+            }
+            koalas.onchange = () => update({ koalaCount: parseInt(koalas.value, 10) });
+
+            row.append(color, name, koalas);
+
+            // Hot-seat: who plays each team
+            if (options.players) {
+                const player = document.createElement('input');
+                player.type = 'text';
+                player.maxLength = 20;
+                player.placeholder = `Player ${index + 1}`;
+                player.title = 'Player name';
+                player.value = team.player || '';
+                player.disabled = !!team.ai;
+                player.onchange = () => update({ player: player.value.trim() || null });
+                row.appendChild(player);
+            }
+
+            // Practice: each team can be handed to the CPU
+            if (options.cpu) {
+                const player = document.createElement('select');
+                player.title = 'Player';
+                player.add(new Option('🎮 Human', '', false, !team.ai));
+                for (const level of AI_LEVELS) {
+                    const label = `🤖 CPU (${level[0].toUpperCase()}${level.slice(1)})`;
+                    player.add(new Option(label, level, false, team.ai === level));
+                }
+                player.onchange = () => update({ ai: player.value || null });
+                row.appendChild(player);
+            }
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Build the weapon bar from the loaded weapon definitions
+     * @param {Array} weapons - Definitions in weapon bar order
+     */
+    renderWeaponBar(weapons) {
+        const bar = document.getElementById('weapon-bar');
+        if (!bar) return;
+        bar.innerHTML = '';
+
+        for (const weapon of weapons) {
+            const slot = document.createElement('div');
+            slot.className = 'weapon';
+            slot.dataset.weapon = weapon.id;
+            slot.title = weapon.name;
+
+            const icon = document.createElement('img');
+            icon.src = weapon.icon;
+            icon.alt = weapon.name;
+
+            slot.appendChild(icon);
+            bar.appendChild(slot);
+        }
+    }
+
     /**
      * Show game over screen
      */
@@ -183,7 +284,8 @@ export class MenuManager {
         const winnerText = document.getElementById('winner-text');
         if (winnerText) {
             if (result.winner) {
-                winnerText.textContent = `🏆 ${result.winner.name} Wins!`;
+                const name = result.winner.player ? `${result.winner.player} (${result.winner.name})` : result.winner.name;
+                winnerText.textContent = `🏆 ${name} Wins!`;
                 winnerText.style.color = result.winner.color;
             } else {
                 winnerText.textContent = '🤝 Draw!';
@@ -197,16 +299,147 @@ export class MenuManager {
 
         if (damageEl) damageEl.textContent = result.stats?.totalDamage || 0;
         if (killsEl) killsEl.textContent = result.stats?.totalKills || 0;
+
+        this.renderStatsTable(result.stats?.teams || []);
+    }
+
+    /**
+     * Per-team results: placing, damage dealt / to themselves, kills, shots, survivors
+     */
+    renderStatsTable(teams) {
+        const table = document.getElementById('stats-table');
+        if (!table) return;
+        table.innerHTML = '';
+        table.classList.toggle('hidden', teams.length === 0);
+
+        const header = table.insertRow();
+        for (const label of ['', 'Team', 'Damage', 'Self', 'Kills', 'Shots', 'Left']) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.appendChild(th);
+        }
+
+        teams.forEach((team, index) => {
+            const row = table.insertRow();
+            row.classList.toggle('winner', team.winner);
+            row.insertCell().textContent = team.winner ? '🏆' : `${index + 1}.`;
+
+            const name = row.insertCell();
+            name.textContent = team.player ? `${team.player} (${team.name})` : team.name;
+            name.style.color = team.color;
+
+            for (const value of [team.damageDealt, team.selfDamage, team.kills, team.shots, `${team.survivors} 🐨`]) {
+                row.insertCell().textContent = value;
+            }
+        });
+    }
+
+    /**
+     * Hot-seat: cover the board until the next player is at the keyboard
+     * @param {Team} team - Whose turn is next
+     * @param {Function} onReady - They clicked "I'm Ready"
+     */
+    showHandoff(team, onReady) {
+        const overlay = document.getElementById('handoff-overlay');
+        const title = document.getElementById('handoff-title');
+        title.textContent = `Pass to ${team.player || team.name}`;
+        title.style.color = team.color;
+        document.getElementById('handoff-message').textContent =
+            team.player ? `${team.name} is up - no peeking, everyone else!` : 'No peeking, everyone else!';
+
+        const button = document.getElementById('btn-handoff-ready');
+        button.onclick = () => {
+            overlay.classList.add('hidden');
+            onReady();
+        };
+        overlay.classList.remove('hidden');
+        button.focus();
+    }
+
+    hideHandoff() {
+        document.getElementById('handoff-overlay').classList.add('hidden');
+    }
+
+    /**
+     * Show the "waiting for player" overlay over the paused match
+     * @param {string} title - Overlay heading
+     * @param {string} message - Who is being waited for
+     * @param {number} timeoutMs - Time left before the match goes on without them (0 = no countdown)
+     */
+    showWaitingOverlay(title, message, timeoutMs = 0) {
+        const overlay = document.getElementById('waiting-overlay');
+        const countdown = document.getElementById('waiting-countdown');
+
+        document.getElementById('waiting-title').textContent = title;
+        document.getElementById('waiting-message').textContent = message;
+        overlay.classList.remove('hidden');
+
+        clearInterval(this.waitingInterval);
+        countdown.textContent = '';
+        if (timeoutMs <= 0) return;
+
+        const deadline = Date.now() + timeoutMs;
+        const tick = () => {
+            countdown.textContent = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        };
+        tick();
+        this.waitingInterval = setInterval(tick, 250);
+    }
+
+    /**
+     * Hide the "waiting for player" overlay
+     */
+    hideWaitingOverlay() {
+        clearInterval(this.waitingInterval);
+        this.waitingInterval = null;
+        document.getElementById('waiting-overlay').classList.add('hidden');
+    }
+
+    /**
+     * Show the desync warning bar
+     * @param {Object} report - The desync report (turn, mismatched parts)
+     * @param {boolean} canResync - Offer the Force Resync button (host)
+     */
+    showDesyncWarning(report, canResync) {
+        document.getElementById('desync-message').textContent =
+            `⚠️ Out of sync on turn ${report.turn} (${report.mismatched.join(', ')})` +
+            (canResync ? '' : ' - waiting for the host to resync');
+        document.getElementById('btn-force-resync').classList.toggle('hidden', !canResync);
+        document.getElementById('desync-warning').classList.remove('hidden');
+    }
+
+    /**
+     * Hide the desync warning bar
+     */
+    hideDesyncWarning() {
+        document.getElementById('desync-warning').classList.add('hidden');
     }
 
     /**
      * Show map selection modal
+     * @param {Object} options - { teams } to also show the team setup (practice)
      */
-    showMapSelection(maps, callback) {
+    showMapSelection(maps, callback, options = {}) {
         const modal = this.screens.mapSelect;
         const list = document.getElementById('map-list');
         modal.classList.remove('hidden');
 
+        // Optional team setup below the maps
+        let teams = options.teams || null;
+        const teamSetup = document.getElementById('map-select-teams');
+        if (teamSetup) {
+            teamSetup.classList.toggle('hidden', !teams);
+            if (teams) {
+                const renderTeams = () => {
+                    this.renderTeamSetup(teamSetup, teams, (next) => {
+                        teams = next;
+                        renderTeams();
+                    }, { cpu: true, players: !!options.players });
+                };
+                renderTeams();
+            }
+        }
+
         // Track selected map
         let selectedMapId = 'default';
 
@@ -319,7 +552,7 @@ export class MenuManager {
             modal.classList.add('hidden');
             hideDeleteConfirm(); // Also close delete modal if open
             const selectedCard = list.querySelector('.map-card.selected');
-            callback(selectedCard ? selectedCard.dataset.mapId : 'default');
+            callback(selectedCard ? selectedCard.dataset.mapId : 'default', teams);
         };
     }
 
@@ -331,6 +564,134 @@ export class MenuManager {
         if (el) el.textContent = name;
     }
 
+    /**
+     * Update current scheme name in lobby
+     */
+    updateLobbySchemeName(name) {
+        const el = document.getElementById('current-scheme-name');
+        if (el) el.textContent = name;
+    }
+
+    /**
+     * Show the game scheme editor (match rules, saved schemes and starting ammo)
+     * @param {Object} scheme - Scheme to start editing
+     * @param {Array} weapons - Weapon definitions (for the ammo grid)
+     * @param {Function} callback - Called with the saved scheme
+     */
+    showSchemeEditor(scheme, weapons, callback) {
+        const modal = this.screens.scheme;
+        const savedSelect = document.getElementById('scheme-saved-select');
+        const nameInput = document.getElementById('scheme-name-input');
+        const settings = document.getElementById('scheme-settings');
+        const ammoGrid = document.getElementById('scheme-ammo');
+
+        modal.classList.remove('hidden');
+
+        let current = SchemeManager.normalize(scheme);
+
+        // Saved schemes (plus the built-in default) to start from
+        const renderSavedList = () => {
+            savedSelect.innerHTML = '';
+            savedSelect.add(new Option('📄 New from Default', ''));
+            for (const saved of SchemeManager.getAllSchemes()) {
+                savedSelect.add(new Option(saved.name, saved.name, false, saved.name === current.name));
+            }
+        };
+
+        const renderFields = () => {
+            nameInput.value = current.name;
+            settings.innerHTML = '';
+            ammoGrid.innerHTML = '';
+
+            for (const [key, setting] of Object.entries(SCHEME_SETTINGS)) {
+                const input = document.createElement('input');
+                if (setting.type === 'boolean') {
+                    input.type = 'checkbox';
+                    input.checked = current[key];
+                    input.onchange = () => {
+                        current = { ...current, [key]: input.checked };
+                    };
+                    settings.appendChild(this.createSchemeField(setting.label, input));
+                    continue;
+                }
+
+                input.type = 'number';
+                input.min = setting.min;
+                input.max = setting.max;
+                input.step = setting.step;
+                input.value = current[key];
+                input.onchange = () => {
+                    current = SchemeManager.normalize({ ...current, [key]: input.value });
+                    input.value = current[key];
+                };
+                settings.appendChild(this.createSchemeField(setting.label, input));
+            }
+
+            // Per-weapon starting ammo ("Default" keeps the weapon definition's)
+            for (const weapon of weapons) {
+                const select = document.createElement('select');
+                const defaultAmmo = weapon.ammo === Infinity ? '∞' : weapon.ammo;
+                const ammo = current.ammo[weapon.id];
+                select.add(new Option(`Default (${defaultAmmo})`, '', false, ammo === undefined));
+                select.add(new Option('∞', 'infinite', false, ammo === 'infinite'));
+                for (let n = 0; n <= 10; n++) {
+                    select.add(new Option(n, n, false, ammo === n));
+                }
+                select.onchange = () => {
+                    const nextAmmo = { ...current.ammo };
+                    if (select.value === '') {
+                        delete nextAmmo[weapon.id];
+                    } else {
+                        nextAmmo[weapon.id] = select.value === 'infinite' ? 'infinite' : parseInt(select.value, 10);
+                    }
+                    current = { ...current, ammo: nextAmmo };
+                };
+                ammoGrid.appendChild(this.createSchemeField(weapon.name, select));
+            }
+        };
+
+        renderSavedList();
+        renderFields();
+
+        savedSelect.onchange = () => {
+            current = savedSelect.value
+                ? SchemeManager.getScheme(savedSelect.value)
+                : SchemeManager.normalize({ ...DEFAULT_SCHEME, name: 'My Scheme' });
+            renderFields();
+        };
+
+        nameInput.onchange = () => {
+            current = { ...current, name: nameInput.value.trim() || DEFAULT_SCHEME.name };
+        };
+
+        document.getElementById('btn-scheme-cancel').onclick = () => {
+            modal.classList.add('hidden');
+        };
+
+        document.getElementById('btn-scheme-delete').onclick = () => {
+            SchemeManager.deleteScheme(current.name);
+            current = SchemeManager.normalize(DEFAULT_SCHEME);
+            renderSavedList();
+            renderFields();
+        };
+
+        document.getElementById('btn-scheme-save').onclick = () => {
+            modal.classList.add('hidden');
+            current = { ...current, name: nameInput.value.trim() || DEFAULT_SCHEME.name };
+            callback(SchemeManager.saveScheme(current));
+        };
+    }
+
+    /**
+     * Label + input row for the scheme editor
+     */
+    createSchemeField(label, input) {
+        const field = document.createElement('label');
+        field.className = 'scheme-field';
+        field.append(label, input);
+        return field;
+    }
+
     /**
      * Show map naming modal
      */
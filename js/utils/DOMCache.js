@@ -6,6 +6,7 @@ export class DOMCache {
     constructor() {
         this.elements = {};
         this.lists = {};
+        this.weaponArray = [];
     }
 
     /**
@@ -25,11 +26,9 @@ export class DOMCache {
         this.elements.powerBarContainer = document.getElementById('power-bar-container');
         this.elements.powerFill = document.getElementById('power-fill');
 
-        // Team Health
-        this.elements.redHpFill = document.getElementById('red-hp-fill');
-        this.elements.redHpValue = document.getElementById('red-hp-value');
-        this.elements.blueHpFill = document.getElementById('blue-hp-fill');
-        this.elements.blueHpValue = document.getElementById('blue-hp-value');
+        // Team Health (rows are built per match by Game.buildTeamHealthUI)
+        this.elements.teamHealth = document.getElementById('team-health');
+        this.elements.spectatorInventory = document.getElementById('spectator-inventory');
 
         // Weapon Bar - Cache the weapon elements list once
         this.lists.weaponElements = document.querySelectorAll('.weapon');
@@ -50,6 +50,23 @@ export class MapManager {
         return maps.find(m => m.name === identifier);
     }
 
+    /**
+     * Get per-team spawn lists from a map's spawns field
+     * Maps from version 3 store an array (one list per team slot);
+     * older maps use { team1: [...], team2: [...] }
+     * @param {Array|Object} spawns - The map's spawns field
+     * @returns {Array} Array of spawn lists, indexed by team
+     */
+    static normalizeSpawns(spawns) {
+        if (Array.isArray(spawns)) {
+            return spawns.map(list => Array.isArray(list) ? list : []);
+        }
+        if (spawns && typeof spawns === 'object') {
+            return [spawns.team1 || [], spawns.team2 || []];
+        }
+        return [];
+    }
+
     /**
      * Delete a map from local storage
      * @param {string} mapName - The name of the map to delete
@@ -0,0 +1,127 @@
+/**
+ * Scheme Manager - Match rules ("schemes"): defaults, validation and named schemes in local storage
+ * A scheme is a plain object, so the host can send it in gameStart and replays can store it.
+ */
+
+/**
+ * Editable settings: default, limits and the label the settings screen shows
+ */
+export const SCHEME_SETTINGS = {
+    turnTime: { label: 'Turn Time (s)', default: 30, min: 5, max: 120, step: 5 },
+    retreatTime: { label: 'Retreat Time (s)', default: 5, min: 0, max: 15, step: 1 },
+    crateChance: { label: 'Crate Drop Chance (%)', default: 20, min: 0, max: 100, step: 5 },
+    startingHealth: { label: 'Starting Health', default: 100, min: 25, max: 400, step: 25 },
+    koalaCount: { label: 'Koalas per Team', default: 3, min: 1, max: 8, step: 1 },
+    fallDamageThreshold: { label: 'Safe Fall Distance (px)', default: 260, min: 0, max: 1000, step: 20 },
+
+    // Sudden death (whichever limit comes first; 0 = no limit)
+    suddenDeathTurns: { label: 'Sudden Death After (turns)', default: 30, min: 0, max: 200, step: 1 },
+    suddenDeathMinutes: { label: 'Sudden Death After (min)', default: 0, min: 0, max: 60, step: 1 },
+    waterRise: { label: 'Water Rise per Turn (px)', default: 40, min: 0, max: 200, step: 10 },
+    suddenDeathOneHp: { label: 'Sudden Death Sets 1 HP', type: 'boolean', default: false }
+};
+
+/**
+ * Built-in rules (ammo overrides are empty: every weapon starts with its definition's ammo)
+ */
+export const DEFAULT_SCHEME = {
+    name: 'Default',
+    ...Object.fromEntries(Object.entries(SCHEME_SETTINGS).map(([key, setting]) => [key, setting.default])),
+    ammo: {}
+};
+
+export class SchemeManager {
+    static STORAGE_KEY = 'koala_artillery_schemes';
+
+    /**
+     * Fill in / clamp a scheme (from the settings screen, storage, network or a replay)
+     * @param {Object} scheme - Possibly partial scheme
+     * @returns {Object} Complete scheme
+     */
+    static normalize(scheme) {
+        const source = scheme && typeof scheme === 'object' ? scheme : {};
+        const normalized = {
+            name: String(source.name || DEFAULT_SCHEME.name).slice(0, 24),
+            ammo: {}
+        };
+
+        for (const [key, setting] of Object.entries(SCHEME_SETTINGS)) {
+            if (setting.type === 'boolean') {
+                normalized[key] = typeof source[key] === 'boolean' ? source[key] : setting.default;
+                continue;
+            }
+
+            const value = Number(source[key]);
+            normalized[key] = Number.isFinite(value)
+                ? Math.max(setting.min, Math.min(setting.max, value))
+                : setting.default;
+        }
+        normalized.koalaCount = Math.round(normalized.koalaCount);
+        normalized.suddenDeathTurns = Math.round(normalized.suddenDeathTurns);
+
+        // Per-weapon starting ammo: a whole number or "infinite"
+        if (source.ammo && typeof source.ammo === 'object') {
+            for (const [weaponId, ammo] of Object.entries(source.ammo)) {
+                if (ammo === 'infinite') {
+                    normalized.ammo[weaponId] = 'infinite';
+                } else if (Number.isInteger(ammo) && ammo >= 0) {
+                    normalized.ammo[weaponId] = Math.min(99, ammo);
+                }
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Save a scheme to local storage (replaces one with the same name)
+     * @param {Object} scheme - The scheme to save
+     */
+    static saveScheme(scheme) {
+        const schemes = this.getAllSchemes();
+        const normalized = this.normalize(scheme);
+
+        const index = schemes.findIndex(s => s.name === normalized.name);
+        if (index !== -1) {
+            schemes[index] = normalized;
+        } else {
+            schemes.push(normalized);
+        }
+
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(schemes));
+        console.log('⚙️ Scheme saved to local storage:', normalized.name);
+        return normalized;
+    }
+
+    /**
+     * Get all saved schemes
+     * @returns {Array} List of schemes
+     */
+    static getAllSchemes() {
+        const data = localStorage.getItem(this.STORAGE_KEY);
+        try {
+            const schemes = data ? JSON.parse(data) : [];
+            return Array.isArray(schemes) ? schemes.map(scheme => this.normalize(scheme)) : [];
+        } catch (e) {
+            console.error('Failed to parse schemes from local storage', e);
+            return [];
+        }
+    }
+
+    /**
+     * Get a saved scheme by name (the built-in default when missing)
+     * @param {string} name - The scheme name
+     */
+    static getScheme(name) {
+        return this.getAllSchemes().find(s => s.name === name) || this.normalize(DEFAULT_SCHEME);
+    }
+
+    /**
+     * Delete a scheme from local storage
+     * @param {string} name - The name of the scheme to delete
+     */
+    static deleteScheme(name) {
+        const schemes = this.getAllSchemes().filter(s => s.name !== name);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(schemes));
+    }
+}
@@ -0,0 +1,482 @@
+/**
+ * Ninja Rope - Grappling rope the current koala swings on
+ * The hook flies out until it bites into terrain, then the rope holds the koala
+ * on a pendulum: Up/Down (W/S) climb and extend, Left/Right (A/D) pump the swing.
+ * The rope wraps around terrain corners (and unwraps when swinging back), and
+ * Space / click lets go or fires it again while in the air.
+ *
+ * The player whose turn it is drives the rope and syncs its state; everyone else
+ * (remote peers, replays) applies those snapshots and simulates in between.
+ */
+
+// Rope leaves the koala at paw height
+const HAND_OFFSET = 10;
+
+// Shortest rope segment below the last anchor
+const MIN_LENGTH = 12;
+
+// Anchors closer than this to the previous one don't count as a new wrap
+const MIN_WRAP_DISTANCE = 3;
+const MAX_ANCHORS = 32;
+
+// Peers get a snapshot at most every 50ms (replays log every step)
+const SYNC_INTERVAL = 50;
+
+export class NinjaRope {
+    constructor(game, koala, weapon) {
+        this.game = game;
+        this.koala = koala;
+        this.weapon = weapon;
+
+        this.hookSpeed = weapon.speed;
+        this.hookGravity = weapon.gravity || 0;
+        this.maxLength = weapon.maxLength;
+        this.climbSpeed = weapon.climbSpeed || 150;
+        this.swingForce = weapon.swingForce || 300;
+
+        // Hook in flight { x, y, vx, vy, traveled } (null when attached or reeled in)
+        this.hook = null;
+
+        // Fixed points the rope bends around, first = where the hook bit.
+        // side = which way the rope turned at that corner (to know when it unwraps)
+        this.anchors = [];
+
+        // Total rope length, from the hook to the koala
+        this.length = 0;
+
+        this.syncedThisStep = false;
+        this.lastSyncTime = 0;
+    }
+
+    /**
+     * Is the rope hooked into terrain?
+     */
+    isAttached() {
+        return this.anchors.length > 0;
+    }
+
+    /**
+     * Can a new hook be fired? (not attached and nothing in flight)
+     */
+    canShoot() {
+        return !this.isAttached() && !this.hook;
+    }
+
+    /**
+     * Does this client drive the rope? (everyone else follows its snapshots)
+     */
+    isLocal() {
+        return this.game.isMyTurn();
+    }
+
+    /**
+     * Space / click while roping: let go, or fire again when free
+     */
+    trigger() {
+        if (this.canShoot()) {
+            this.shoot(this.koala.aimAngle);
+        } else {
+            this.release();
+        }
+        this.sync(true);
+    }
+
+    /**
+     * Fire the hook from the koala's paw
+     */
+    shoot(angle) {
+        this.hook = {
+            x: this.koala.x,
+            y: this.koala.y - HAND_OFFSET,
+            vx: Math.cos(angle) * this.hookSpeed,
+            vy: Math.sin(angle) * this.hookSpeed,
+            traveled: 0
+        };
+    }
+
+    /**
+     * Let go of the rope (the koala keeps its swing momentum)
+     */
+    release() {
+        this.hook = null;
+        this.anchors = [];
+        this.koala.onRope = false;
+    }
+
+    /**
+     * Advance the rope one step
+     */
+    update(dt) {
+        const koala = this.koala;
+        const local = this.isLocal();
+
+        if (local && !koala.isAlive) {
+            this.finish();
+            return;
+        }
+
+        if (local) {
+            this.handleInput(dt);
+        }
+
+        // A snapshot already put everything where it belongs this step
+        if (!this.syncedThisStep) {
+            if (this.hook) {
+                this.updateHook(dt);
+            }
+            if (this.isAttached()) {
+                this.updateSwing(dt);
+            }
+        }
+        this.syncedThisStep = false;
+
+        if (!local) return;
+
+        // Back on solid ground with the rope reeled in - roping is over
+        if (this.canShoot() && koala.onGround) {
+            this.finish();
+            return;
+        }
+
+        this.sync(false);
+    }
+
+    /**
+     * Climb / extend / pump the swing (attached) or aim the next shot (free)
+     */
+    handleInput(dt) {
+        const keys = this.game.inputManager.keys;
+        const koala = this.koala;
+        const up = keys['ArrowUp'] || keys['KeyW'];
+        const down = keys['ArrowDown'] || keys['KeyS'];
+
+        if (!this.isAttached()) {
+            const aimSpeed = this.game.inputManager.aimSpeed;
+            if (up) koala.aimAngle -= aimSpeed * dt;
+            if (down) koala.aimAngle += aimSpeed * dt;
+            return;
+        }
+
+        if (up) this.length -= this.climbSpeed * dt;
+        if (down) this.length += this.climbSpeed * dt;
+        this.length = Math.max(this.getFixedLength() + MIN_LENGTH, Math.min(this.maxLength, this.length));
+
+        let swingDir = 0;
+        if (keys['KeyA'] || keys['ArrowLeft']) swingDir = -1;
+        if (keys['KeyD'] || keys['ArrowRight']) swingDir = 1;
+
+        if (swingDir !== 0) {
+            // Push along the swing arc, in the direction pressed
+            const pivot = this.anchors[this.anchors.length - 1];
+            const dx = koala.x - pivot.x;
+            const dy = (koala.y - HAND_OFFSET) - pivot.y;
+            const dist = Math.hypot(dx, dy) || 1;
+            let tx = -dy / dist;
+            let ty = dx / dist;
+            if (tx * swingDir < 0) {
+                tx = -tx;
+                ty = -ty;
+            }
+            koala.vx += tx * this.swingForce * dt;
+            koala.vy += ty * this.swingForce * dt;
+            koala.facingLeft = swingDir < 0;
+        }
+    }
+
+    /**
+     * Fly the hook; it bites on terrain or gives up at full rope length
+     */
+    updateHook(dt) {
+        const hook = this.hook;
+        const terrain = this.game.terrain;
+
+        hook.vy += this.game.physics.gravity * this.hookGravity * dt;
+
+        const stepX = hook.vx * dt;
+        const stepY = hook.vy * dt;
+        const distance = Math.hypot(stepX, stepY);
+        const steps = Math.max(1, Math.ceil(distance / 2));
+
+        for (let s = 1; s <= steps; s++) {
+            const x = hook.x + stepX * s / steps;
+            const y = hook.y + stepY * s / steps;
+
+            if (terrain.checkCollision(x, y)) {
+                // Anchor on the last open pixel so the rope never starts inside rock
+                this.attach(hook.x + stepX * (s - 1) / steps, hook.y + stepY * (s - 1) / steps);
+                return;
+            }
+        }
+
+        hook.x += stepX;
+        hook.y += stepY;
+        hook.traveled += distance;
+
+        const outOfWorld = hook.x < 0 || hook.x > this.game.worldWidth || hook.y < -500 || hook.y > this.game.worldHeight;
+        if (hook.traveled >= this.maxLength || outOfWorld) {
+            console.log('🪝 Rope missed');
+            this.hook = null;
+        }
+    }
+
+    /**
+     * Hook bit into terrain - hang the koala from it
+     */
+    attach(x, y) {
+        const koala = this.koala;
+
+        this.hook = null;
+        this.anchors = [{ x, y, side: 0 }];
+        this.length = Math.max(MIN_LENGTH, Math.min(this.maxLength, Math.hypot(koala.x - x, koala.y - HAND_OFFSET - y)));
+
+        koala.onRope = true;
+        koala.onGround = false;
+        koala.isJumping = false;
+        koala.isBackflipping = false;
+        koala.backflipRotation = 0;
+
+        this.game.audioManager.playBounce();
+        console.log(`🪝 Rope attached (${this.length.toFixed(0)}px)`);
+    }
+
+    /**
+     * Pendulum step: gravity, wrapping, then the rope's length constraint
+     */
+    updateSwing(dt) {
+        const koala = this.koala;
+        const physics = this.game.physics;
+        const prevX = koala.x;
+        const prevY = koala.y - HAND_OFFSET;
+
+        koala.vy += physics.gravity * dt;
+
+        // Rope keeps its momentum (no ground friction), but stays under terminal velocity
+        const speed = Math.hypot(koala.vx, koala.vy);
+        if (speed > physics.terminalVelocity) {
+            koala.vx *= physics.terminalVelocity / speed;
+            koala.vy *= physics.terminalVelocity / speed;
+        }
+
+        koala.x += koala.vx * dt;
+        koala.y += koala.vy * dt;
+
+        this.updateWrapping(prevX, prevY);
+        this.applyConstraint();
+
+        physics.resolveTerrainCollision(koala);
+        physics.checkWaterDeath(koala);
+        koala.x = Math.max(10, Math.min(this.game.worldWidth - 10, koala.x));
+        koala.y = Math.max(0, Math.min(this.game.worldHeight - 10, koala.y));
+
+        // Swinging isn't falling - the drop counts from the moment the koala lets go
+        koala.fallDistance = 0;
+    }
+
+    /**
+     * Bend the rope around corners it swung into, straighten it when it swings back
+     */
+    updateWrapping(prevX, prevY) {
+        const terrain = this.game.terrain;
+        const handX = this.koala.x;
+        const handY = this.koala.y - HAND_OFFSET;
+
+        // Swung back past the last corner - the rope comes off it
+        while (this.anchors.length > 1) {
+            const corner = this.anchors[this.anchors.length - 1];
+            const before = this.anchors[this.anchors.length - 2];
+            if (crossSign(before, corner, handX, handY) === corner.side) break;
+            this.anchors.pop();
+        }
+
+        const pivot = this.anchors[this.anchors.length - 1];
+        if (this.anchors.length >= MAX_ANCHORS || terrain.lineOfSight(pivot.x, pivot.y, handX, handY)) {
+            return;
+        }
+
+        // Find the last rope direction (between last step and this one) that was still clear...
+        let clear = 0;
+        let blocked = 1;
+        for (let i = 0; i < 6; i++) {
+            const t = (clear + blocked) / 2;
+            if (terrain.lineOfSight(pivot.x, pivot.y, prevX + (handX - prevX) * t, prevY + (handY - prevY) * t)) {
+                clear = t;
+            } else {
+                blocked = t;
+            }
+        }
+
+        // ...and wrap on the open pixel just before the rock along the first blocked one
+        const endX = prevX + (handX - prevX) * blocked;
+        const endY = prevY + (handY - prevY) * blocked;
+        const length = Math.hypot(endX - pivot.x, endY - pivot.y);
+        const steps = Math.max(1, Math.ceil(length / 2));
+        let cornerX = pivot.x;
+        let cornerY = pivot.y;
+        for (let s = 1; s <= steps; s++) {
+            const x = pivot.x + (endX - pivot.x) * s / steps;
+            const y = pivot.y + (endY - pivot.y) * s / steps;
+            if (terrain.checkCollision(x, y)) break;
+            cornerX = x;
+            cornerY = y;
+        }
+
+        if (Math.hypot(cornerX - pivot.x, cornerY - pivot.y) < MIN_WRAP_DISTANCE) return;
+
+        const corner = { x: cornerX, y: cornerY, side: 0 };
+        corner.side = crossSign(pivot, corner, handX, handY);
+        if (corner.side !== 0) {
+            this.anchors.push(corner);
+        }
+    }
+
+    /**
+     * Keep the koala within the rope's reach of the last anchor (a rope, not a rod -
+     * it only pulls when taut)
+     */
+    applyConstraint() {
+        const koala = this.koala;
+        const pivot = this.anchors[this.anchors.length - 1];
+        const reach = Math.max(MIN_LENGTH, this.length - this.getFixedLength());
+
+        const dx = koala.x - pivot.x;
+        const dy = (koala.y - HAND_OFFSET) - pivot.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist <= reach || dist === 0) return;
+
+        const nx = dx / dist;
+        const ny = dy / dist;
+        koala.x = pivot.x + nx * reach;
+        koala.y = pivot.y + ny * reach + HAND_OFFSET;
+
+        // Cancel the outward part of the velocity, keep the swing
+        const radial = koala.vx * nx + koala.vy * ny;
+        if (radial > 0) {
+            koala.vx -= radial * nx;
+            koala.vy -= radial * ny;
+        }
+    }
+
+    /**
+     * Rope already used up between the anchors
+     */
+    getFixedLength() {
+        let length = 0;
+        for (let i = 1; i < this.anchors.length; i++) {
+            length += Math.hypot(this.anchors[i].x - this.anchors[i - 1].x, this.anchors[i].y - this.anchors[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * Points the rope runs through, from the hook (or hook tip in flight) to the koala
+     */
+    getPoints() {
+        const points = this.hook ? [this.hook] : this.anchors.slice();
+        points.push({ x: this.koala.x, y: this.koala.y - HAND_OFFSET });
+        return points;
+    }
+
+    /**
+     * Done roping - tell the others and hand the turn back
+     */
+    finish() {
+        this.release();
+        this.send({ event: 'end', alive: this.koala.isAlive });
+        this.game.finishRope();
+    }
+
+    /**
+     * Share the rope state (every step in the replay log, throttled to peers unless forced)
+     */
+    sync(force) {
+        this.send(this.getState(), force);
+    }
+
+    /**
+     * Rope state (what applyState takes, minus the koala's position)
+     */
+    getState() {
+        return {
+            event: 'state',
+            angle: this.koala.aimAngle,
+            length: this.length,
+            anchors: this.anchors.map(anchor => ({ ...anchor })),
+            hook: this.hook ? { ...this.hook } : null
+        };
+    }
+
+    send(data, force = true) {
+        const koala = this.koala;
+        const action = {
+            type: 'rope',
+            ...data,
+            x: koala.x,
+            y: koala.y,
+            vx: koala.vx,
+            vy: koala.vy,
+            facingLeft: koala.facingLeft
+        };
+
+        this.game.recordAction(action);
+
+        const networkManager = this.game.networkManager;
+        if (networkManager && !this.game.isPractice) {
+            const now = performance.now();
+            if (force || now - this.lastSyncTime > SYNC_INTERVAL) {
+                networkManager.send({ ...action, timestamp: Date.now() });
+                this.lastSyncTime = now;
+            }
+        }
+    }
+
+    /**
+     * The player driving the rope finished roping
+     */
+    applyEnd(data) {
+        const koala = this.koala;
+
+        this.release();
+        koala.x = data.x;
+        koala.y = data.y;
+        koala.vx = data.vx;
+        koala.vy = data.vy;
+        koala.facingLeft = data.facingLeft;
+
+        if (data.alive === false) {
+            koala.die();
+        }
+    }
+
+    /**
+     * Take over a snapshot from the player driving the rope
+     */
+    applyState(data) {
+        const koala = this.koala;
+
+        koala.x = data.x;
+        koala.y = data.y;
+        koala.vx = data.vx;
+        koala.vy = data.vy;
+        koala.facingLeft = data.facingLeft;
+        koala.aimAngle = data.angle;
+
+        this.length = data.length;
+        this.anchors = data.anchors.map(anchor => ({ ...anchor }));
+        this.hook = data.hook ? { ...data.hook } : null;
+        koala.onRope = this.isAttached();
+        if (koala.onRope) {
+            koala.onGround = false;
+            koala.fallDistance = 0;
+        }
+
+        this.syncedThisStep = true;
+    }
+}
+
+/**
+ * Which way the rope turns at `corner` going from `from` to the koala's paw (-1, 0 or 1)
+ */
+function crossSign(from, corner, x, y) {
+    const cross = (corner.x - from.x) * (y - corner.y) - (corner.y - from.y) * (x - corner.x);
+    return Math.sign(cross);
+}
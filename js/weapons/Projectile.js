@@ -4,6 +4,13 @@
 
 export class Projectile {
     constructor(options) {
+        this.reset(options);
+    }
+
+    /**
+     * (Re)initialize every field - pooled projectiles go through here again
+     */
+    reset(options) {
         this.x = options.x;
         this.y = options.y;
         this.vx = options.vx;
@@ -37,17 +44,51 @@ export class Projectile {
         this.triggerTimer = 0;
         this.triggerDelay = options.weapon?.triggerDelay || 3.0;
 
-        // Dud state (for mines)
-        this.isDud = false;
-        if (options.weapon?.dudChance && Math.random() < options.weapon.dudChance) {
-            this.isDud = true;
-        }
+        // Dud state (for mines) - rolled by the creator from the seeded stream
+        this.isDud = options.isDud || false;
 
         // Explodes on settle (for holy hand grenade)
         this.explodesOnSettle = options.weapon?.explodesOnSettle || false;
         this.settleVelocityThreshold = options.weapon?.settleVelocityThreshold || 100;
         this.settleTime = 0; // Time spent below threshold
         this.settleRequiredTime = 0.3; // Must be slow for 0.3 seconds
+
+        // Splits into fragments in mid-air (fragments with the 'timer' trigger)
+        const fragments = options.weapon?.fragments;
+        this.splitDelay = fragments?.trigger === 'timer' ? fragments.delay : null;
+        this.flightTime = 0;
+        this.isFragment = options.isFragment || false;
+
+        // Homing missiles steer toward the point locked before firing
+        const weapon = options.weapon;
+        this.homingTarget = options.homingTarget || null;
+        this.armingDelay = weapon?.armingDelay ?? 0.3;
+        this.turnRate = (weapon?.turnRate || 0) * Math.PI / 180;
+        this.homingSpeed = weapon?.homingSpeed ?? weapon?.speed ?? 0;
+        this.fuelTime = weapon?.fuelTime || 0;
+        this.trail = []; // Recent positions (drawn behind homing missiles)
+
+        // Walkers (Sheep, Mole) move themselves - Game.updateWalker, not Physics
+        this.walker = weapon?.behavior === 'walker';
+        this.walkDirection = options.walkDirection || 1; // 1 = right, -1 = left
+        this.walkSpeed = weapon?.speed || 0;
+        this.hopSpeed = weapon?.hopSpeed ?? 220;
+        this.burrows = weapon?.burrows || false;
+        this.digRadius = weapon?.digRadius || 0;
+        this.digAccum = 0;
+        this.height = 16; // Feet at y + height / 2 (Physics.canWalkUp)
+        this.onGround = false;
+
+        // Flight state left over from a pooled projectile's last use
+        this.stationary = false;
+        this.destroyed = false;
+        this.dudActivated = false;
+        this.shooter = null;
+        this.isPellet = undefined;
+        this.maxRange = undefined;
+        this.startX = undefined;
+        this.startY = undefined;
+        return this;
     }
 
     /**
@@ -64,6 +105,20 @@ export class Projectile {
      * Update projectile
      */
     update(dt, wind) {
+        if (!this.stationary) {
+            this.flightTime += dt;
+        }
+
+        // Time to split (the fragments carry on instead)
+        if (this.splitDelay !== null && !this.stationary && this.flightTime >= this.splitDelay) {
+            return 'split';
+        }
+
+        // Homing: turn toward the locked point while the motor burns
+        if (this.homingTarget && !this.stationary && this.isThrusting()) {
+            this.steer(dt);
+        }
+
         // Handle settle-based explosion (Holy Hand Grenade)
         // Check velocity ALWAYS, not just when stationary
         if (this.explodesOnSettle) {
@@ -117,6 +172,31 @@ export class Projectile {
         return false;
     }
 
+    /**
+     * Is the homing motor burning? (armed, and fuel left)
+     */
+    isThrusting() {
+        const burnTime = this.flightTime - this.armingDelay;
+        return this.homingTarget !== null && burnTime >= 0 && burnTime <= this.fuelTime;
+    }
+
+    /**
+     * Turn toward the homing target (at most turnRate) and hold cruising speed
+     * Gravity and wind still push the missile between steps - it has to fight them
+     */
+    steer(dt) {
+        const heading = Math.atan2(this.vy, this.vx);
+        const wanted = Math.atan2(this.homingTarget.y - this.y, this.homingTarget.x - this.x);
+
+        // Shortest way round
+        const difference = Math.atan2(Math.sin(wanted - heading), Math.cos(wanted - heading));
+        const maxTurn = this.turnRate * dt;
+        const angle = heading + Math.max(-maxTurn, Math.min(maxTurn, difference));
+
+        this.vx = Math.cos(angle) * this.homingSpeed;
+        this.vy = Math.sin(angle) * this.homingSpeed;
+    }
+
     /**
      * Handle bounce off terrain
      */
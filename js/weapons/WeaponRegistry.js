@@ -0,0 +1,481 @@
+/**
+ * Weapon Registry - Loads weapon definitions from data/weapons/*.json and validates them
+ * data/weapons/index.json lists the files (in weapon bar order). Each file holds one
+ * weapon: stats, projectile behavior flags, icon, fire sound and loot crate weight.
+ * Invalid files are rejected with a readable error instead of breaking the game.
+ */
+
+import { FIRE_SOUNDS } from '../engine/AudioManager.js';
+
+const DEFAULT_SOURCE = new URL('../../data/weapons/', import.meta.url);
+
+/**
+ * Engine code path that fires the weapon
+ */
+export const WEAPON_BEHAVIORS = ['projectile', 'pellets', 'melee', 'blowtorch', 'airstrike', 'teleport', 'rope', 'walker', 'hitscan'];
+
+// Behaviors aimed with a click on the map instead of angle + power
+const TARGETTED_BEHAVIORS = ['airstrike', 'teleport'];
+
+const PROJECTILE_SPRITES = ['rocket', 'grenade', 'pellet', 'dynamite', 'mine', 'holygrenade', 'cluster', 'banana', 'homing', 'petrolbomb', 'napalm', 'sheep', 'mole', 'default'];
+const LOOT_RARITIES = ['common', 'uncommon', 'rare', 'legendary'];
+
+// When a projectile with fragments splits: as it explodes, or after flying for `delay` seconds
+const FRAGMENT_TRIGGERS = ['explosion', 'timer'];
+
+/**
+ * Known definition fields and their constraints
+ */
+const FIELDS = {
+    id: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]*$/ },
+    name: { type: 'string', required: true },
+    behavior: { type: 'string', required: true, oneOf: WEAPON_BEHAVIORS },
+    icon: { type: 'string', required: true },
+    projectileSprite: { type: 'string', oneOf: PROJECTILE_SPRITES },
+    sound: { type: 'string', oneOf: FIRE_SOUNDS },
+    ammo: { type: 'ammo', required: true },
+    loot: { type: 'loot' },
+
+    // Damage
+    damage: { type: 'number', min: 0 },
+    directDamage: { type: 'number', min: 0 },
+    explosionRadius: { type: 'number', min: 0 },
+    knockback: { type: 'number', min: 0 },
+
+    // Flight
+    speed: { type: 'number', min: 0 },
+    gravity: { type: 'number' },
+    affectedByWind: { type: 'boolean' },
+    bounces: { type: 'boolean' },
+    bounciness: { type: 'number', min: 0, max: 1 },
+    drops: { type: 'boolean' },
+    sticksToTerrain: { type: 'boolean' },
+    noContactExplosion: { type: 'boolean' },
+
+    // Fuses and triggers
+    usesTimer: { type: 'boolean' },
+    timerStartsOnThrow: { type: 'boolean' },
+    defaultTimer: { type: 'number', min: 1, max: 5 },
+    fixedTimer: { type: 'number', min: 0 },
+    showFuse: { type: 'boolean' },
+    triggeredByProximity: { type: 'boolean' },
+    triggerDelay: { type: 'number', min: 0 },
+    dudChance: { type: 'number', min: 0, max: 1 },
+    explodesOnSettle: { type: 'boolean' },
+    settleVelocityThreshold: { type: 'number', min: 0 },
+    retreatOnFire: { type: 'boolean' },
+
+    // Pellets
+    pelletCount: { type: 'integer', min: 1 },
+    spreadAngle: { type: 'number', min: 0 },
+    maxRange: { type: 'number', min: 0 },
+    shotsPerTurn: { type: 'integer', min: 1 },
+
+    // Cluster weapons
+    fragments: { type: 'fragments' },
+
+    // Incendiary
+    flames: { type: 'flames' },
+
+    // Homing (click a target, then fire with power): steers after armingDelay
+    // at up to turnRate degrees a second, at homingSpeed, for fuelTime seconds
+    homing: { type: 'boolean' },
+    armingDelay: { type: 'number', min: 0 },
+    turnRate: { type: 'number', min: 0 },
+    homingSpeed: { type: 'number', min: 0 },
+    fuelTime: { type: 'number', min: 0 },
+
+    // Hitscan guns: `bullets` rays over burstTime seconds, each up to `range` away, thrown
+    // off by up to `spread` degrees; every shot kicks the aim up `recoil` degrees and
+    // chips a chipRadius crater where it hits the ground
+    bullets: { type: 'integer', min: 1, max: 50 },
+    burstTime: { type: 'number', min: 0 },
+    spread: { type: 'number', min: 0, max: 90 },
+    recoil: { type: 'number', min: 0 },
+    chipRadius: { type: 'number', min: 0 },
+
+    // Walkers (set down, walk at speed and go off after walkTime or a second press):
+    // hop gaps at hopSpeed, or burrow down through the terrain digging digRadius tunnels
+    walkTime: { type: 'number', min: 0.5 },
+    hopSpeed: { type: 'number', min: 0 },
+    burrows: { type: 'boolean' },
+
+    // Behavior-specific
+    missiles: { type: 'integer', min: 2 },
+    range: { type: 'number', min: 0 },
+    meter: { type: 'number', min: 0 },
+    digRadius: { type: 'number', min: 0 },
+    maxLength: { type: 'number', min: 0 },
+    climbSpeed: { type: 'number', min: 0 },
+    swingForce: { type: 'number', min: 0 },
+    utility: { type: 'boolean' }
+};
+
+/**
+ * Fields of a fragments entry: how many child projectiles the weapon splits into, when,
+ * how they fly out (spread in degrees around straight up - or around the heading for
+ * mid-air splits - and launch speed) and how each one behaves
+ */
+const FRAGMENT_FIELDS = {
+    count: { type: 'integer', required: true, min: 1, max: 20 },
+    trigger: { type: 'string', oneOf: FRAGMENT_TRIGGERS },
+    delay: { type: 'number', min: 0 },
+    spread: { type: 'number', min: 0, max: 360 },
+    speed: { type: 'number', required: true, min: 0 },
+    damage: { type: 'number', required: true, min: 0 },
+    directDamage: { type: 'number', min: 0 },
+    explosionRadius: { type: 'number', required: true, min: 0 },
+    knockback: { type: 'number', min: 0 },
+    gravity: { type: 'number' },
+    affectedByWind: { type: 'boolean' },
+    bounces: { type: 'boolean' },
+    bounciness: { type: 'number', min: 0, max: 1 },
+    fuse: { type: 'number', min: 0 },
+    noContactExplosion: { type: 'boolean' },
+    projectileSprite: { type: 'string', oneOf: PROJECTILE_SPRITES }
+};
+
+/**
+ * Fields of a flames entry: how many burning flames the weapon spills where it
+ * explodes, thrown out at up to `speed` over `spread` degrees around straight up,
+ * how long each one burns and the damage it does a koala standing in it every fire tick
+ */
+const FLAME_FIELDS = {
+    count: { type: 'integer', required: true, min: 1, max: 40 },
+    speed: { type: 'number', required: true, min: 0 },
+    spread: { type: 'number', min: 0, max: 360 },
+    burnTime: { type: 'number', min: 0.5, max: 15 },
+    damage: { type: 'number', required: true, min: 0 }
+};
+
+/**
+ * Fields each behavior can't work without
+ */
+const REQUIRED_BY_BEHAVIOR = {
+    projectile: ['speed', 'damage', 'explosionRadius'],
+    pellets: ['speed', 'damage', 'explosionRadius', 'pelletCount'],
+    melee: ['damage', 'knockback', 'range'],
+    blowtorch: ['speed', 'meter', 'digRadius'],
+    airstrike: ['damage', 'explosionRadius', 'missiles'],
+    teleport: [],
+    rope: ['speed', 'maxLength'],
+    walker: ['speed', 'damage', 'explosionRadius', 'walkTime'],
+    hitscan: ['damage', 'range', 'bullets', 'burstTime']
+};
+
+export class WeaponRegistry {
+    constructor() {
+        this.definitions = new Map(); // id -> normalized definition (load order)
+        this.fragmentWeapons = new Map(); // id -> what a cluster weapon's fragments fly as
+        this.errors = [];
+        this.loading = null;
+        this.lootTable = null;
+    }
+
+    /**
+     * Load every definition listed in the source's index.json (once)
+     */
+    load(source = DEFAULT_SOURCE) {
+        if (!this.loading) {
+            this.loading = this.loadFrom(new URL(source, DEFAULT_SOURCE));
+        }
+        return this.loading;
+    }
+
+    async loadFrom(baseUrl) {
+        const index = await readJSON(new URL('index.json', baseUrl));
+        const files = Array.isArray(index.weapons) ? index.weapons : [];
+
+        for (const file of files) {
+            try {
+                this.register(await readJSON(new URL(file, baseUrl)), file);
+            } catch (error) {
+                this.errors.push(error.message);
+                console.error(`❌ ${error.message}`);
+            }
+        }
+
+        console.log(`🔫 Loaded ${this.definitions.size} weapon definitions`);
+        return this;
+    }
+
+    /**
+     * Validate and add a definition (throws with every problem found)
+     */
+    register(definition, source = definition?.id) {
+        const errors = this.validate(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid weapon definition ${source}: ${errors.join('; ')}`);
+        }
+
+        for (const key of Object.keys(definition)) {
+            if (!FIELDS[key]) {
+                console.warn(`⚠️ Weapon ${definition.id}: unknown field "${key}" ignored`);
+            }
+        }
+
+        const fragments = definition.fragments ? normalizeFragments(definition) : undefined;
+        const flames = definition.flames ? normalizeFlames(definition.flames) : undefined;
+        if (fragments) {
+            this.fragmentWeapons.set(fragments.weapon.id, fragments.weapon);
+        }
+
+        this.definitions.set(definition.id, {
+            ...definition,
+            ammo: definition.ammo === 'infinite' ? Infinity : definition.ammo,
+            targetted: TARGETTED_BEHAVIORS.includes(definition.behavior),
+            fragments,
+            flames
+        });
+        this.lootTable = null;
+    }
+
+    /**
+     * List everything wrong with a definition (empty = valid)
+     */
+    validate(definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['not a JSON object'];
+        }
+
+        const errors = [];
+
+        for (const [key, rule] of Object.entries(FIELDS)) {
+            const value = definition[key];
+            if (value === undefined) {
+                if (rule.required) errors.push(`${key} is required`);
+                continue;
+            }
+
+            const problem = checkField(value, rule);
+            if (problem) errors.push(`${key} ${problem}`);
+        }
+
+        const needed = REQUIRED_BY_BEHAVIOR[definition.behavior] || [];
+        for (const key of needed) {
+            if (definition[key] === undefined) {
+                errors.push(`${key} is required for ${definition.behavior} weapons`);
+            }
+        }
+
+        if (definition.usesTimer && definition.defaultTimer === undefined && definition.fixedTimer === undefined) {
+            errors.push('usesTimer needs a defaultTimer or fixedTimer');
+        }
+
+        if (definition.homing) {
+            if (definition.behavior !== 'projectile') {
+                errors.push('homing only works for projectile weapons');
+            }
+            for (const key of ['turnRate', 'fuelTime']) {
+                if (definition[key] === undefined) errors.push(`${key} is required for homing weapons`);
+            }
+        }
+
+        if (definition.burrows && definition.digRadius === undefined) {
+            errors.push('digRadius is required for burrowing weapons');
+        }
+
+        if (definition.flames && !['projectile', 'airstrike'].includes(definition.behavior)) {
+            errors.push('flames only work for projectile and airstrike weapons');
+        }
+
+        if (this.definitions.has(definition.id)) {
+            errors.push(`id "${definition.id}" is already registered`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get a definition by id
+     */
+    get(weaponId) {
+        return this.definitions.get(weaponId) || null;
+    }
+
+    /**
+     * The weapon a projectile flies as - a definition, or a cluster weapon's fragments
+     */
+    getProjectileWeapon(weaponId) {
+        return this.definitions.get(weaponId) || this.fragmentWeapons.get(weaponId) || null;
+    }
+
+    /**
+     * All definitions in weapon bar order
+     */
+    getAll() {
+        return Array.from(this.definitions.values());
+    }
+
+    /**
+     * Fresh weapon objects (own ammo counts) for one team's inventory
+     * ammoOverrides: { weaponId: count | "infinite" } from the game scheme
+     */
+    createInventory(ammoOverrides = {}) {
+        const inventory = {};
+        for (const definition of this.definitions.values()) {
+            const ammo = ammoOverrides[definition.id];
+            inventory[definition.id] = {
+                ...definition,
+                ammo: ammo === undefined ? definition.ammo : ammo === 'infinite' ? Infinity : ammo
+            };
+        }
+        return inventory;
+    }
+
+    /**
+     * Weighted weapon crate table for LootManager
+     */
+    getLootTable() {
+        if (!this.lootTable) {
+            this.lootTable = this.getAll()
+                .filter(definition => definition.loot)
+                .map(definition => ({
+                    id: definition.id,
+                    name: `${definition.name} Crate`,
+                    weight: definition.loot.weight,
+                    ammo: definition.loot.ammo,
+                    rarity: definition.loot.rarity
+                }));
+        }
+        return this.lootTable;
+    }
+}
+
+/**
+ * Check one value against its rule (returns a problem description or null)
+ */
+function checkField(value, rule) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string';
+            if (rule.pattern && !rule.pattern.test(value)) return `"${value}" must match ${rule.pattern}`;
+            if (rule.oneOf && !rule.oneOf.includes(value)) return `"${value}" must be one of ${rule.oneOf.join(', ')}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+            if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+            return null;
+
+        case 'ammo':
+            if (value === 'infinite') return null;
+            return Number.isInteger(value) && value >= 0 ? null : 'must be a whole number >= 0 or "infinite"';
+
+        case 'loot':
+            if (!value || typeof value !== 'object') return 'must be an object { weight, ammo, rarity }';
+            return checkField(value.weight, { type: 'number', min: 0 }) ? 'weight must be a number >= 0'
+                : checkField(value.ammo, { type: 'integer', min: 1 }) ? 'ammo must be a whole number >= 1'
+                : checkField(value.rarity, { type: 'string', oneOf: LOOT_RARITIES }) ? `rarity must be one of ${LOOT_RARITIES.join(', ')}`
+                : null;
+
+        case 'fragments': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object { count, speed, damage, explosionRadius, ... }';
+
+            const problems = checkFields(value, FRAGMENT_FIELDS);
+            if (value.trigger === 'timer' && value.delay === undefined) {
+                problems.push('the timer trigger needs a delay');
+            }
+            return problems.length > 0 ? problems.join(', ') : null;
+        }
+
+        case 'flames': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object { count, speed, damage, ... }';
+
+            const problems = checkFields(value, FLAME_FIELDS);
+            return problems.length > 0 ? problems.join(', ') : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a nested entry's fields (returns the problems found)
+ */
+function checkFields(value, fields) {
+    const problems = [];
+    for (const [key, rule] of Object.entries(fields)) {
+        if (value[key] === undefined) {
+            if (rule.required) problems.push(`${key} is required`);
+            continue;
+        }
+        const problem = checkField(value[key], rule);
+        if (problem) problems.push(`${key} ${problem}`);
+    }
+    return problems;
+}
+
+/**
+ * A definition's fragments with defaults filled in, plus the weapon they fly as
+ */
+function normalizeFragments(definition) {
+    const fragments = definition.fragments;
+    return {
+        count: fragments.count,
+        trigger: fragments.trigger || 'explosion',
+        delay: fragments.delay ?? 0,
+        spread: fragments.spread ?? 90,
+        speed: fragments.speed,
+        fuse: fragments.fuse ?? null,
+        weapon: {
+            id: `${definition.id}_fragment`,
+            name: `${definition.name} Fragment`,
+            behavior: 'projectile',
+            projectileSprite: fragments.projectileSprite || 'cluster',
+            damage: fragments.damage,
+            directDamage: fragments.directDamage,
+            explosionRadius: fragments.explosionRadius,
+            knockback: fragments.knockback ?? 0,
+            gravity: fragments.gravity ?? 1,
+            affectedByWind: fragments.affectedByWind ?? false,
+            bounces: fragments.bounces ?? false,
+            bounciness: fragments.bounciness ?? 0.5,
+            noContactExplosion: fragments.noContactExplosion ?? false,
+            showFuse: false
+        }
+    };
+}
+
+/**
+ * A definition's flames with defaults filled in
+ */
+function normalizeFlames(flames) {
+    return {
+        count: flames.count,
+        speed: flames.speed,
+        spread: flames.spread ?? 120,
+        burnTime: flames.burnTime ?? 4,
+        damage: flames.damage
+    };
+}
+
+/**
+ * Read a JSON file (fetch in the browser, the filesystem in Node)
+ */
+async function readJSON(url) {
+    try {
+        if (url.protocol === 'file:') {
+            const { readFile } = await import('node:fs/promises');
+            return JSON.parse(await readFile(url, 'utf8'));
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        throw new Error(`Could not load ${url.pathname}: ${error.message}`);
+    }
+}
+
+// Shared registry used by the game
+export const weaponRegistry = new WeaponRegistry();
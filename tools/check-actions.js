@@ -0,0 +1,143 @@
+/**
+ * Host action checks
+ *
+ * Usage:
+ *   node tools/check-actions.js
+ *
+ * Hosts a loopback match with one guest and has the guest cheat on its turn:
+ * teleporting in small hops, firing twice, striking mid-flight, shooting with no
+ * gun out and swapping the shotgun's second shot for another weapon. Each one has
+ * to be dropped by the host's ActionValidator and answered with a correction.
+ * Exits with code 1 if any of them gets through, so it can run as a CI check.
+ */
+
+import { NetworkManager } from '../js/network/NetworkManager.js';
+import { LoopbackTransport } from '../js/network/transports/LoopbackTransport.js';
+import { ActionValidator } from '../js/engine/ActionValidator.js';
+import { Simulation } from '../js/engine/Simulation.js';
+
+const REPLY_TIMEOUT = 500; // ms to wait for a relay or a resync over the loopback
+
+/**
+ * Resolve with the event's data, or null if it doesn't come in time
+ */
+function waitFor(emitter, event) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            emitter.off(event, onEvent);
+            resolve(null);
+        }, REPLY_TIMEOUT);
+        const onEvent = data => {
+            clearTimeout(timer);
+            resolve(data);
+        };
+        emitter.once(event, onEvent);
+    });
+}
+
+async function setUpMatch() {
+    const transport = new LoopbackTransport();
+    const host = new NetworkManager({ transport });
+    const guest = new NetworkManager({ transport });
+
+    const code = await host.hostGame();
+    const joined = waitFor(guest, 'lobbyUpdated');
+    await guest.joinGame(code);
+    await joined;
+
+    const started = waitFor(guest, 'gameStart');
+    host.startGame({});
+    await started;
+
+    const sim = await new Simulation({ seed: 12345 }).start();
+    const game = sim.game;
+    game.networkManager = host;
+    host.actionValidator = new ActionValidator(game);
+    host.on('remoteFire', data => game.handleRemoteFire(data));
+    host.on('remoteJump', data => game.handleRemoteJump(data));
+
+    // Past the countdown, then hand the turn to the guest's team
+    while (game.phase === 'countdown') sim.step();
+    game.currentTeamIndex = host.teamOwners.indexOf(guest.playerId);
+    return { host, guest, game };
+}
+
+/**
+ * Send a guest action and report whether the host relayed it and corrected the guest
+ * @param {string} correction - Guest event the host's correction arrives as
+ */
+async function attempt(host, guest, event, send, correction = 'resync') {
+    const relayed = waitFor(host, event);
+    const corrected = waitFor(guest, correction);
+    send();
+    return { relayed: Boolean(await relayed), corrected: Boolean(await corrected) };
+}
+
+// Corrections are throttled per player
+function waitForNextCorrection() {
+    return new Promise(resolve => setTimeout(resolve, 1100));
+}
+
+async function main() {
+    // Keep the match's own logging out of the report
+    const log = console.log;
+    console.log = () => {};
+    console.warn = () => {};
+
+    const failures = [];
+    const expectRejected = (what, result) => {
+        if (result.relayed) failures.push(`${what} was relayed`);
+        if (!result.corrected) failures.push(`${what} didn't correct the guest`);
+    };
+
+    let { host, guest, game } = await setUpMatch();
+    let koala = game.getCurrentKoala();
+
+    // Hops within reach are fine, but they add up - the next one is too far too soon
+    const hops = [];
+    const startX = koala.x;
+    host.on('remoteJump', data => hops.push(data.x - startX));
+    const corrected = waitFor(guest, 'remoteStateSync');
+    for (const dx of [100, 200]) {
+        guest.send({ type: 'jump', x: startX + dx, y: koala.y, vx: 0, vy: -250 });
+    }
+    if (!(await corrected)) failures.push('second quick hop didn\'t correct the guest');
+    if (hops.join() !== '100') failures.push(`hops relayed: ${hops.join() || 'none'}`);
+
+    await waitForNextCorrection();
+    const first = await attempt(host, guest, 'remoteFire',
+        () => guest.sendFire('bazooka', -Math.PI / 4, 0.5, koala.x, koala.y));
+    if (!first.relayed) failures.push('first fire was dropped');
+    if (game.phase !== 'projectile') failures.push(`first fire left the host in ${game.phase}`);
+
+    expectRejected('second fire in one turn', await attempt(host, guest, 'remoteFire',
+        () => guest.sendFire('bazooka', -Math.PI / 4, 0.5, koala.x, koala.y)));
+
+    await waitForNextCorrection();
+    expectRejected('air strike while the shot flies', await attempt(host, guest, 'remoteTargetWeapon',
+        () => guest.sendTargetWeapon('airstrike', koala.x, 100)));
+
+    await waitForNextCorrection();
+    expectRejected('bullet outside a burst', await attempt(host, guest, 'remoteBullet',
+        () => guest.sendBullet(0)));
+
+    // The shotgun's second shot may come while its pellets fly - but only from the shotgun
+    ({ host, guest, game } = await setUpMatch());
+    koala = game.getCurrentKoala();
+    const blast = () => guest.sendFire('shotgun', -Math.PI / 4, 1, koala.x, koala.y);
+    if (!(await attempt(host, guest, 'remoteFire', blast)).relayed) failures.push('shotgun blast was dropped');
+    expectRejected('grenade while the pellets fly', await attempt(host, guest, 'remoteFire',
+        () => guest.sendFire('holygrenade', -Math.PI / 4, 0.5, koala.x, koala.y)));
+    if (!(await attempt(host, guest, 'remoteFire', blast)).relayed) failures.push('second shotgun blast was dropped');
+
+    console.log = log;
+    for (const failure of failures) console.error(`❌ ${failure}`);
+    if (failures.length > 0) process.exit(1);
+    console.log('✅ Host action checks passed');
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,216 @@
+/**
+ * Relay server for LAN / offline multiplayer
+ *
+ * Usage:
+ *   node tools/relay-server.js [--port N]        (or: npm run relay)
+ *
+ * Then open the game with ?relay (relay on the page's host, port 8787)
+ * or ?relay=ws://192.168.1.10:8787 and host / join rooms as usual.
+ *
+ * Replaces the PeerJS cloud: peers register an ID (a host registers its room code),
+ * open connections to each other by ID, and the server forwards every message.
+ * The signal format is documented in js/network/transports/WebSocketTransport.js.
+ */
+
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+import { DEFAULT_RELAY_PORT } from '../js/network/transports/WebSocketTransport.js';
+
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // Custom maps travel in gameStart
+
+function parseArgs(argv) {
+    const args = { port: Number(process.env.PORT) || DEFAULT_RELAY_PORT };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+    }
+    return args;
+}
+
+/**
+ * Generate a random peer ID for clients that don't ask for one
+ */
+function generatePeerId() {
+    return 'peer-' + Math.random().toString(36).slice(2, 10);
+}
+
+export class RelayServer {
+    constructor(options = {}) {
+        this.port = options.port ?? DEFAULT_RELAY_PORT;
+        this.server = null;
+
+        this.peers = new Map();       // Peer ID -> socket
+        this.connections = new Map(); // Connection ID -> { from, to }
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<RelayServer>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocketServer({ port: this.port, maxPayload: MAX_MESSAGE_SIZE });
+            this.server.on('listening', () => {
+                this.port = this.server.address().port;
+                console.log(`📡 Relay server listening on ws://0.0.0.0:${this.port}`);
+                resolve(this);
+            });
+            this.server.on('error', reject);
+            this.server.on('connection', (socket) => this.handleSocket(socket));
+
+            // Drop clients that vanished without closing (laptop lid, Wi-Fi gone)
+            this.heartbeat = setInterval(() => {
+                for (const socket of this.server.clients) {
+                    if (!socket.isAlive) {
+                        socket.terminate();
+                        continue;
+                    }
+                    socket.isAlive = false;
+                    socket.ping();
+                }
+            }, HEARTBEAT_INTERVAL);
+        });
+    }
+
+    /**
+     * Stop listening and disconnect everyone
+     */
+    stop() {
+        clearInterval(this.heartbeat);
+        for (const socket of this.server?.clients || []) {
+            socket.terminate();
+        }
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+
+    handleSocket(socket) {
+        socket.isAlive = true;
+        socket.peerId = null;
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (raw) => {
+            let signal;
+            try {
+                signal = JSON.parse(raw);
+            } catch (e) {
+                return;
+            }
+
+            // Signals are objects with a type - anything else is junk
+            if (!signal || typeof signal !== 'object' || Array.isArray(signal) || typeof signal.type !== 'string') {
+                return;
+            }
+            this.handleSignal(socket, signal);
+        });
+
+        // A bad frame or an oversized message ends this client (ws closes it), not the server
+        socket.on('error', (err) => {
+            console.warn(`⚠️ ${socket.peerId || 'Unregistered client'}: ${err.message}`);
+        });
+
+        socket.on('close', () => this.removePeer(socket));
+    }
+
+    handleSignal(socket, signal) {
+        switch (signal.type) {
+            case 'register':
+                this.register(socket, signal.id);
+                break;
+
+            case 'connect':
+                this.connect(socket, signal);
+                break;
+
+            case 'data':
+            case 'close': {
+                const connection = this.connections.get(signal.connectionId);
+                if (!connection || !socket.peerId) return;
+
+                // Only the two ends of a connection may use it
+                const otherId = connection.from === socket.peerId ? connection.to
+                    : connection.to === socket.peerId ? connection.from : null;
+                if (!otherId) return;
+
+                if (signal.type === 'close') {
+                    this.connections.delete(signal.connectionId);
+                }
+                this.sendTo(otherId, signal);
+                break;
+            }
+        }
+    }
+
+    register(socket, id) {
+        if (socket.peerId) return;
+
+        const peerId = typeof id === 'string' && id ? id.slice(0, 64) : generatePeerId();
+        if (this.peers.has(peerId)) {
+            this.sendSignal(socket, { type: 'error', error: 'unavailable-id', message: `ID "${peerId}" is taken` });
+            return;
+        }
+
+        socket.peerId = peerId;
+        this.peers.set(peerId, socket);
+        this.sendSignal(socket, { type: 'open', id: peerId });
+        console.log(`✅ ${peerId} registered (${this.peers.size} online)`);
+    }
+
+    connect(socket, { connectionId, to, metadata }) {
+        if (!socket.peerId || typeof connectionId !== 'string' || this.connections.has(connectionId)) return;
+
+        if (!this.peers.has(to)) {
+            this.sendSignal(socket, { type: 'error', error: 'peer-unavailable', message: `Could not connect to peer ${to}` });
+            return;
+        }
+
+        this.connections.set(connectionId, { from: socket.peerId, to });
+        this.sendTo(to, { type: 'connection', connectionId, from: socket.peerId, metadata });
+
+        // The target has its handlers attached by the time this arrives (messages stay in order)
+        this.sendTo(to, { type: 'connected', connectionId });
+        this.sendSignal(socket, { type: 'connected', connectionId });
+        console.log(`🔗 ${socket.peerId} -> ${to}`);
+    }
+
+    /**
+     * A client left - close its connections on the other ends
+     */
+    removePeer(socket) {
+        const peerId = socket.peerId;
+        if (!peerId || this.peers.get(peerId) !== socket) return;
+
+        this.peers.delete(peerId);
+        for (const [connectionId, connection] of this.connections) {
+            if (connection.from !== peerId && connection.to !== peerId) continue;
+
+            this.connections.delete(connectionId);
+            this.sendTo(connection.from === peerId ? connection.to : connection.from, { type: 'close', connectionId });
+        }
+        console.log(`🔌 ${peerId} left (${this.peers.size} online)`);
+    }
+
+    sendTo(peerId, signal) {
+        const socket = this.peers.get(peerId);
+        if (socket) {
+            this.sendSignal(socket, signal);
+        }
+    }
+
+    sendSignal(socket, signal) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(signal));
+        }
+    }
+}
+
+// Run directly (not imported)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = parseArgs(process.argv.slice(2));
+    new RelayServer({ port: args.port }).start().catch(error => {
+        console.error('❌ Could not start the relay server:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,186 @@
+/**
+ * Headless match runner
+ *
+ * Usage:
+ *   node tools/simulate-match.js [match.json] [--seed N] [--max-time S] [--verbose]
+ *                                [--check-determinism] [--check-replay] [--record out.koalareplay]
+ *
+ * match.json:
+ *   {
+ *     "seed": 12345,
+ *     "maxTime": 300,
+ *     "teams": [ { "name": "Red Team", "color": "#e74c3c", "koalaCount": 3, "ai": "hard" }, ... ],
+ *     "scheme": { "turnTime": 45, "startingHealth": 150, "ammo": { "dynamite": 3 } },
+ *     "script": [ { "turn": 1, "at": 0.5, "type": "select", "weapon": "bazooka" }, ... ],
+ *     "expect": { "winner": "Red Team", "minTurns": 2, "maxTurns": 20 }
+ *   }
+ *
+ * Prints the result as JSON and exits with code 1 if an expectation fails,
+ * so it can be used directly as a CI check.
+ * --check-determinism runs the match twice and fails if terrain, positions
+ * or health differ between the runs.
+ * --check-replay plays the recorded replay log back and fails if it ends differently.
+ * --record writes the match's replay log (viewable from the main menu's Watch Replay).
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { Simulation } from '../js/engine/Simulation.js';
+import { ReplayPlayer } from '../js/engine/ReplayPlayer.js';
+
+// Default smoke match: both sides lob grenades toward the middle of the map
+const DEFAULT_MATCH = {
+    seed: 12345,
+    maxTime: 240,
+    script: [1, 2, 3, 4, 5, 6].flatMap(turn => [
+        { turn, at: 0.5, type: 'select', weapon: 'grenade' },
+        { turn, at: 1.0, type: 'aimAt', x: 1250, y: 0 },
+        { turn, at: 1.5, type: 'fire', power: 0.5 + turn * 0.05 }
+    ]),
+    expect: { minTurns: 6 }
+};
+
+function parseArgs(argv) {
+    const args = {
+        file: null,
+        seed: undefined,
+        maxTime: undefined,
+        verbose: false,
+        checkDeterminism: false,
+        checkReplay: false,
+        record: null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--seed') args.seed = Number(argv[++i]);
+        else if (arg === '--max-time') args.maxTime = Number(argv[++i]);
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--check-determinism') args.checkDeterminism = true;
+        else if (arg === '--check-replay') args.checkReplay = true;
+        else if (arg === '--record') args.record = argv[++i];
+        else args.file = arg;
+    }
+    return args;
+}
+
+function checkExpectations(result, expect = {}) {
+    const failures = [];
+
+    if (expect.winner !== undefined && result.winner !== expect.winner) {
+        failures.push(`winner: expected ${expect.winner}, got ${result.winner}`);
+    }
+    if (expect.minTurns !== undefined && result.turns < expect.minTurns) {
+        failures.push(`turns: expected at least ${expect.minTurns}, got ${result.turns}`);
+    }
+    if (expect.maxTurns !== undefined && result.turns > expect.maxTurns) {
+        failures.push(`turns: expected at most ${expect.maxTurns}, got ${result.turns}`);
+    }
+    if (expect.finished && result.timedOut) {
+        failures.push('match did not finish before maxTime');
+    }
+
+    return failures;
+}
+
+/**
+ * FNV-1a hash of the collision mask
+ */
+function hashMask(mask) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < mask.length; i++) {
+        hash ^= mask[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+async function runMatch(match, args) {
+    const sim = new Simulation({
+        seed: args.seed ?? match.seed,
+        script: match.script,
+        teams: match.teams,
+        scheme: match.scheme
+    });
+    await sim.start();
+
+    const result = sim.run(args.maxTime ?? match.maxTime ?? 600);
+    result.terrainHash = hashMask(sim.game.terrain.getMask());
+    result.replay = sim.game.replayRecorder.toJSON();
+    return result;
+}
+
+/**
+ * Play a replay log back headlessly and fingerprint the end state
+ */
+async function runReplay(log) {
+    const player = new ReplayPlayer(null, log);
+    await player.start();
+    player.fastForward(log.ticks);
+
+    const game = player.game;
+    const koalas = [];
+    for (const team of game.teams) {
+        for (const koala of team.koalas) {
+            koalas.push({
+                name: koala.name,
+                team: team.name,
+                x: koala.x,
+                y: koala.y,
+                health: koala.health,
+                isAlive: koala.isAlive
+            });
+        }
+    }
+
+    return {
+        terrainHash: hashMask(game.terrain.getMask()),
+        turns: game.turnNumber,
+        koalas
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const match = args.file ? JSON.parse(readFileSync(args.file, 'utf8')) : DEFAULT_MATCH;
+
+    // Game logs every action - keep CI output readable unless asked
+    const log = console.log;
+    if (!args.verbose) console.log = () => {};
+
+    const result = await runMatch(match, args);
+    const rerun = args.checkDeterminism ? await runMatch(match, args) : null;
+    const replayed = args.checkReplay ? await runReplay(result.replay) : null;
+
+    console.log = log;
+
+    const { stats, replay, ...summary } = result;
+    console.log(JSON.stringify(summary, null, 2));
+
+    if (args.record) {
+        writeFileSync(args.record, JSON.stringify(replay));
+        console.log(`💾 Replay written to ${args.record} (${replay.actions.length} actions)`);
+    }
+
+    const failures = checkExpectations(result, match.expect);
+    if (rerun) {
+        const fingerprint = r => JSON.stringify([r.terrainHash, r.turns, r.winner, r.koalas]);
+        if (fingerprint(result) !== fingerprint(rerun)) {
+            failures.push('determinism: two runs of the same match produced different results');
+        }
+    }
+    if (replayed) {
+        const fingerprint = r => JSON.stringify([r.terrainHash, r.turns, r.koalas]);
+        if (fingerprint(result) !== fingerprint(replayed)) {
+            failures.push('replay: playing the recorded log back produced a different result');
+        }
+    }
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error('❌ ' + failure));
+        process.exit(1);
+    }
+    console.log('✅ Simulation passed');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});